@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../cli');
+
+jest.mock('../services/HashnodeService', () => ({
+  HashnodeService: jest.fn(() => ({
+    fetchBlogPosts: jest.fn(() =>
+      Promise.resolve([
+        {
+          id: 'p1',
+          title: 'First',
+          slug: 'first',
+          url: 'https://blog.example.com/first',
+          publishedAt: '2026-01-15T10:00:00.000Z',
+          tags: []
+        }
+      ])
+    )
+  }))
+}));
+
+const README = '# Me\n<!-- BLOG-POSTS:START -->\n<!-- BLOG-POSTS:END -->\n';
+
+describe('cli', () => {
+  let workingCopy;
+
+  beforeEach(() => {
+    workingCopy = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    fs.writeFileSync(path.join(workingCopy, 'README.md'), README);
+    jest.spyOn(process, 'cwd').mockReturnValue(workingCopy);
+    jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(workingCopy, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const readme = () => fs.readFileSync(path.join(workingCopy, 'README.md'), 'utf8');
+  const printed = () => process.stdout.write.mock.calls.map(([text]) => text).join('');
+
+  it('prints the updated file and leaves it unchanged by default', () => {
+    return run(['render', '--publication', 'blog.example.com', '--format', 'list']).then(
+      exitCode => {
+        expect(exitCode).toBe(0);
+        expect(printed()).toContain('[First](https://blog.example.com/first)');
+        expect(printed()).toMatch(/^# Me\n<!-- BLOG-POSTS:START -->\n/);
+        expect(readme()).toBe(README);
+      }
+    );
+  });
+
+  it('writes the updated file with --write', () => {
+    return run(['--publication', 'blog.example.com', '--format', 'list', '--write']).then(
+      exitCode => {
+        expect(exitCode).toBe(0);
+        expect(printed()).toBe('');
+        expect(readme()).toContain('[First](https://blog.example.com/first)');
+      }
+    );
+  });
+
+  it('prints a diff of the changes with --diff', () => {
+    return run(['--publication', 'blog.example.com', '--format', 'list', '--diff']).then(() => {
+      expect(printed()).toMatch(/\n\+.*\[First\]\(https:\/\/blog\.example\.com\/first\)/);
+      expect(readme()).toBe(README);
+    });
+  });
+
+  it('reads options from the config file, overridden by flags', () => {
+    fs.writeFileSync(
+      path.join(workingCopy, 'blog.yml'),
+      'publication_name: blog.example.com\ndisplay_format: table\nsection_title: From the file\n'
+    );
+
+    return run(['--config', 'blog.yml', '--format', 'list']).then(exitCode => {
+      expect(exitCode).toBe(0);
+      expect(printed()).toContain('## From the file\n\n- ');
+    });
+  });
+
+  it('prints the usage with --help', () => {
+    return run(['--help']).then(exitCode => {
+      expect(exitCode).toBe(0);
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Usage: hashnode-readme/));
+    });
+  });
+
+  it('fails for unknown commands and flags', () => {
+    return Promise.all([run(['publish']), run(['--colour', 'red'])]).then(exitCodes => {
+      expect(exitCodes).toEqual([1, 1]);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('Unknown command: publish')
+      );
+    });
+  });
+});
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const { BlogController } = require('./controllers/BlogController');
+const { ConfigHelper } = require('./helpers/ConfigHelper');
+const { SummaryHelper } = require('./helpers/SummaryHelper');
+const { Logger } = require('./helpers/Logger');
+const { LocalFileService } = require('./services/LocalFileService');
+
+/**
+ * Short flag names for the most common inputs
+ */
+const FLAG_ALIASES = {
+  publication: 'publication_name',
+  file: 'filename',
+  format: 'display_format',
+  count: 'post_count',
+  title: 'section_title',
+  tags: 'include_tags'
+};
+
+/**
+ * Flags that control the CLI itself rather than the rendered content
+ */
+const CLI_FLAGS = {
+  config: { type: 'string', short: 'c' },
+  write: { type: 'boolean', short: 'w' },
+  diff: { type: 'boolean', short: 'd' },
+  debug: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: hashnode-readme render [options]
+
+Render the blog post sections of local files using the same options as the action.
+By default the updated file content is printed to stdout and nothing is written.
+
+Options:
+  -c, --config <path>       Config file (default: .github/hashnode-blog.yml if present)
+  -w, --write               Write the updated files instead of printing them
+  -d, --diff                Print a unified diff of the changes
+      --debug               Log debug messages
+  -h, --help                Show this help
+
+Every action input can be passed as a flag, e.g. --date-format "YYYY-MM-DD".
+Shorthands: --publication, --file, --format, --count, --title, --tags.
+Flags override the config file.
+
+Example:
+  hashnode-readme render --publication my-blog --format list --file README.md --diff`;
+
+/**
+ * Build the parseArgs option definitions for all CLI flags and action inputs
+ * @returns {Object} Option definitions
+ */
+function buildFlagOptions() {
+  const options = { ...CLI_FLAGS };
+  const flagNames = [
+    ...Object.keys(FLAG_ALIASES),
+    ...ConfigHelper.getInputNames().map(name => name.replace(/_/g, '-'))
+  ];
+
+  for (const flag of flagNames) {
+    options[flag] = { type: 'string' };
+  }
+
+  return options;
+}
+
+/**
+ * Resolve a flag to its input name
+ * @param {string} name - Flag name or shorthand
+ * @param {string} context - Where the name comes from, used in errors
+ * @returns {string} Input name
+ */
+function resolveInputName(name, context) {
+  return FLAG_ALIASES[name] || ConfigHelper.resolveInputName(name, context);
+}
+
+/**
+ * Collect input values from the command line flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Raw option values keyed by input name
+ */
+function collectInputs(values) {
+  const inputs = { config_file: values.config };
+
+  for (const [flag, value] of Object.entries(values)) {
+    if (CLI_FLAGS[flag]) {
+      continue;
+    }
+
+    inputs[resolveInputName(flag, 'command line')] = value;
+  }
+
+  return inputs;
+}
+
+/**
+ * Main entry point for the CLI
+ * @param {Array} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+async function run(argv = process.argv.slice(2)) {
+  const logger = new Logger();
+
+  Logger.configure({ cli: true });
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: buildFlagOptions(),
+      allowPositionals: true
+    });
+    const [command = 'render', ...rest] = positionals;
+
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    if (command !== 'render' || rest.length > 0) {
+      throw new Error(`Unknown command: ${positionals.join(' ')}. Run with --help for usage`);
+    }
+
+    Logger.configure({ debug: values.debug });
+
+    const inputs = collectInputs(values);
+    const fileService = new LocalFileService();
+    const blogController = new BlogController({ readInput: name => inputs[name], fileService });
+    const { files, assets, unusedAssets, postsCount } = await blogController.render();
+
+    if (postsCount === 0) {
+      logger.warn('No blog posts found, files are left unchanged');
+    }
+
+    const changedFiles = [...files.entries()]
+      .filter(([, file]) => file.original !== file.content)
+      .map(([path, file]) => ({ path, content: file.content }))
+      .concat(assets, unusedAssets);
+
+    if (values.diff) {
+      const diff = [...files.entries()]
+        .map(([path, file]) => SummaryHelper.buildFileDiff(path, file.original, file.content))
+        .filter(fileDiff => fileDiff)
+        .join('\n');
+      process.stdout.write(diff);
+    }
+
+    if (values.write) {
+      await fileService.writeFiles(changedFiles);
+      logger.info(
+        changedFiles.length ? `Updated ${changedFiles.length} file(s)` : 'No changes detected'
+      );
+    } else {
+      if (!values.diff) {
+        for (const [path, file] of files.entries()) {
+          const header = files.size > 1 ? `==> ${path} <==\n` : '';
+          process.stdout.write(`${header}${file.content}`);
+        }
+      }
+
+      if (assets.length) {
+        logger.info(
+          `Images not written, use --write to add them: ${assets.map(asset => asset.path).join(', ')}`
+        );
+      }
+
+      if (unusedAssets.length) {
+        logger.info(
+          `Unused images not removed, use --write to remove them: ${unusedAssets.map(asset => asset.path).join(', ')}`
+        );
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    logger.error(error.message);
+    return 1;
+  }
+}
+
+// Execute the CLI
+if (require.main === module) {
+  run().then(exitCode => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { run };
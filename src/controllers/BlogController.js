@@ -1,22 +1,38 @@
-const { setOutput } = require('@actions/core');
+const { getInput, setOutput, summary } = require('@actions/core');
 const { HashnodeService } = require('../services/HashnodeService');
 const { GitHubService } = require('../services/GitHubService');
 const { TemplateService } = require('../services/TemplateService');
+const { ImageService } = require('../services/ImageService');
+const { SvgCardService } = require('../services/SvgCardService');
 const { ValidationHelper } = require('../helpers/ValidationHelper');
 const { ConfigHelper } = require('../helpers/ConfigHelper');
+const { FilterHelper } = require('../helpers/FilterHelper');
+const { DateHelper } = require('../helpers/DateHelper');
+const { SortHelper } = require('../helpers/SortHelper');
+const { SectionHelper } = require('../helpers/SectionHelper');
+const { SummaryHelper } = require('../helpers/SummaryHelper');
 const { Logger } = require('../helpers/Logger');
 
 /**
  * Main controller for blog operations
  */
 class BlogController {
-  constructor() {
+  /**
+   * @param {Object} options - Controller options
+   * @param {Function} options.readInput - Returns the raw value of an input by name, action inputs by default
+   * @param {Object} options.fileService - Service used to read and commit files, GitHubService by default
+   */
+  constructor({ readInput = name => getInput(name), fileService = null } = {}) {
     this.logger = new Logger();
-    this.config = ConfigHelper.getConfig();
-    this.hashnodeService = new HashnodeService();
-    this.githubService = new GitHubService();
+    this.readInput = readInput;
+    this.config = ConfigHelper.getConfig(readInput);
+    this.hashnodeService = this.createHashnodeService();
+    this.githubService = fileService || new GitHubService();
+    this.imageService = new ImageService(this.githubService);
+    this.svgCardService = new SvgCardService(this.imageService);
     this.templateService = new TemplateService();
     this.validationHelper = new ValidationHelper();
+    this.postRequests = new Map();
   }
 
   /**
@@ -24,63 +40,81 @@ class BlogController {
    */
   async execute() {
     try {
-      // Validate inputs
-      this.logger.info('Validating inputs...');
-      this.validationHelper.validateInputs(this.config);
+      const { files, assets, unusedAssets, renderedSections, postsCount, stale } =
+        await this.render();
 
-      // Fetch blog posts from Hashnode
-      this.logger.info(
-        `Fetching ${this.config.postCount} posts from Hashnode publication: ${this.config.publicationName}`
-      );
-      const posts = await this.hashnodeService.fetchBlogPosts(
-        this.config.publicationName,
-        this.config.postCount
-      );
+      setOutput('stale', stale);
+      const withheld = stale && this.config.onFetchError === 'warn';
 
-      if (!posts || posts.length === 0) {
-        this.logger.warn('No blog posts found');
-        setOutput('posts_count', 0);
-        setOutput('file_updated', false);
-        return;
+      if (withheld) {
+        this.logger.warn('Posts could not be fetched for every section, no files were updated');
+      } else if (postsCount === 0) {
+        this.logger.warn(stale ? 'No blog posts could be fetched' : 'No blog posts found');
+      } else {
+        this.logger.info(`Found ${postsCount} blog posts`);
       }
 
-      this.logger.info(`Found ${posts.length} blog posts`);
-
-      // Generate content based on display format
-      this.logger.info(`Generating content with format: ${this.config.displayFormat}`);
-      const content = this.templateService.generateContent(posts, this.config);
+      // A dry run reports its outputs and preview even when there is nothing to commit
+      if (this.config.dryRun) {
+        await this.reportDryRun(renderedSections, files, postsCount, assets, unusedAssets);
+        return;
+      }
 
-      // Read current file content
-      this.logger.info(`Reading file: ${this.config.filename}`);
-      const currentContent = await this.githubService.getFileContent(this.config.filename);
+      if (withheld || postsCount === 0) {
+        setOutput('posts_count', postsCount);
+        setOutput('file_updated', false);
+        return;
+      }
 
-      // Update file with new content
-      this.logger.info('Updating file with new content...');
-      const updatedContent = this.updateFileContent(currentContent, content);
+      // Check if content actually changed, new and unused images are committed along with the files
+      const changedFiles = [...files.entries()]
+        .filter(([, file]) => file.original !== file.content)
+        .map(([path, file]) => ({ path, content: file.content }))
+        .concat(assets, unusedAssets);
 
-      // Check if content actually changed
-      if (currentContent === updatedContent) {
+      if (changedFiles.length === 0) {
         this.logger.info('No changes detected in file content');
-        setOutput('posts_count', posts.length);
+        setOutput('posts_count', postsCount);
         setOutput('file_updated', false);
         return;
       }
 
-      // Commit changes to repository
-      this.logger.info('Committing changes to repository...');
-      const commitSha = await this.githubService.updateFile(
-        this.config.filename,
-        updatedContent,
-        `Update blog posts (${posts.length} posts)`
-      );
+      // Commit all changed files to repository in a single commit
+      const message = `Update blog posts (${postsCount} posts)`;
+      const updatedFiles = changedFiles.map(file => file.path);
+      let commitSha;
+
+      if (this.config.commitMode === 'pull_request') {
+        this.logger.info(`Committing changes to branch ${this.config.prBranch}...`);
+        commitSha = await this.githubService.commitFiles(changedFiles, message, {
+          branch: this.config.prBranch,
+          baseBranch: this.config.targetBranch
+        });
+
+        const pullRequest = await this.githubService.createOrUpdatePullRequest({
+          head: this.config.prBranch,
+          base: this.config.targetBranch,
+          title: this.config.prTitle,
+          body: this.buildPullRequestBody(renderedSections, updatedFiles),
+          labels: this.config.prLabels,
+          autoMerge: this.config.prAutoMerge
+        });
+
+        setOutput('pull_request_url', pullRequest.url);
+        setOutput('pull_request_number', pullRequest.number);
+      } else {
+        this.logger.info(`Committing ${changedFiles.length} changed file(s) to repository...`);
+        commitSha = await this.githubService.commitFiles(changedFiles, message);
+      }
 
       // Set outputs
-      setOutput('posts_count', posts.length);
+      setOutput('posts_count', postsCount);
       setOutput('file_updated', true);
       setOutput('commit_sha', commitSha);
+      setOutput('updated_files', updatedFiles.join(','));
 
       this.logger.info(
-        `Successfully updated ${this.config.filename} with ${posts.length} blog posts`
+        `Successfully updated ${updatedFiles.join(', ')} with ${postsCount} blog posts`
       );
     } catch (error) {
       this.logger.error('Error in BlogController execution:', error);
@@ -89,28 +123,642 @@ class BlogController {
   }
 
   /**
-   * Update file content with new blog posts section
+   * Validate the configuration and render all sections of every target file without
+   * writing anything
+   * @returns {Object} Files (path to original and updated content), new image assets,
+   * unused image assets to remove, rendered sections, number of rendered posts and whether
+   * any section is stale
+   */
+  async render() {
+    await this.loadConfigFile();
+
+    this.logger.info('Validating inputs...');
+    const files = new Map();
+    const targets = await this.resolveConfiguration(files);
+
+    // Generate content for every target file
+    const renderedSections = [];
+
+    for (const { config, sections } of targets) {
+      renderedSections.push(...(await this.processTarget(config, sections, files)));
+    }
+
+    // A new timestamp alone is not worth a commit
+    for (const file of files.values()) {
+      if (!SectionHelper.hasContentChanged(file.original, file.content)) {
+        file.content = file.original;
+      }
+    }
+
+    const stale = renderedSections.some(rendered => rendered.stale);
+
+    return {
+      files,
+      assets: this.imageService.getAssetFiles(),
+      // Stale sections keep their previous content and the images it shows
+      unusedAssets: stale ? [] : await this.imageService.getUnusedAssetFiles(),
+      renderedSections,
+      postsCount: renderedSections.reduce((total, { posts }) => total + posts.length, 0),
+      stale
+    };
+  }
+
+  /**
+   * Merge the options of the config file into the configuration. The default config file
+   * is optional, a config file set through the `config_file` input must exist.
+   * @throws {Error} If the config file is missing, not valid YAML/JSON or fails schema validation
+   */
+  async loadConfigFile() {
+    const { configFile } = this.config;
+    const content = await this.githubService.getFileContent(configFile, { optional: true });
+
+    if (!content.trim()) {
+      if (this.readInput('config_file')) {
+        throw new Error(`Config file ${configFile} is missing or empty`);
+      }
+
+      this.logger.debug(`No config file found at ${configFile}, using inputs`);
+      return;
+    }
+
+    this.logger.info(`Loading config file: ${configFile}`);
+    const options = ConfigHelper.parseStructured(content, configFile);
+
+    this.validationHelper.validateConfigFile(options, configFile);
+    this.config = ConfigHelper.getConfig(this.readInput, options);
+    this.hashnodeService = this.createHashnodeService();
+  }
+
+  /**
+   * Create the Hashnode client with the configured retry behaviour and token. The token
+   * is masked in all log output from here on.
+   * @returns {HashnodeService} Hashnode service
+   */
+  createHashnodeService() {
+    Logger.addSecret(this.config.hashnodeToken);
+
+    return new HashnodeService({
+      maxRetries: this.config.maxRetries,
+      retryDelay: this.config.retryDelay,
+      token: this.config.hashnodeToken
+    });
+  }
+
+  /**
+   * Read every target file and validate the configuration of every target and section
+   * before any posts are fetched, so that all problems are reported together
+   * @param {Map} files - File path to original and updated content, filled with the target files
+   * @returns {Array} Targets with their `config` and the `sections` resolved from their file
+   * @throws {Error} Combining the validation errors of all targets and sections
+   */
+  async resolveConfiguration(files) {
+    const errors = [];
+    const targets = [];
+
+    for (const config of this.resolveTargets(errors)) {
+      if (!files.has(config.filename)) {
+        this.logger.info(`Reading file: ${config.filename}`);
+        const original = await this.githubService.getFileContent(config.filename);
+        files.set(config.filename, { original, content: original });
+      }
+
+      const sections = this.resolveSections(files.get(config.filename).content, config, errors);
+
+      for (const { config: sectionConfig } of sections) {
+        if (sectionConfig.customTemplateFile) {
+          await this.loadCustomTemplate(sectionConfig).catch(error => errors.push(error.message));
+        }
+      }
+
+      targets.push({ config, sections });
+    }
+
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    return targets;
+  }
+
+  /**
+   * Build and validate the configuration for every target. Without a `targets` input
+   * the action inputs describe a single target.
+   * @param {Array} errors - Collects the validation errors; invalid targets are left out
+   * @returns {Array} Valid target configurations
+   */
+  resolveTargets(errors) {
+    const targets = this.config.targets || [];
+
+    if (targets.length === 0) {
+      return this.collectErrors(errors, () => {
+        this.validationHelper.validateInputs(this.config);
+        return [this.config];
+      });
+    }
+
+    this.validationHelper.validateTargets(targets);
+
+    return targets.flatMap((target, index) =>
+      this.collectErrors(errors, () => {
+        const config = ConfigHelper.applyOverrides(
+          this.config,
+          target,
+          `targets[${index}]`,
+          'target'
+        );
+
+        this.validationHelper.validateInputs(config, `targets[${index}]`);
+        return [config];
+      })
+    );
+  }
+
+  /**
+   * Run a validation step, collecting its error instead of throwing it
+   * @param {Array} errors - Collected error messages
+   * @param {Function} step - Step returning a list of results
+   * @returns {Array} Results of the step, empty if it failed
+   */
+  collectErrors(errors, step) {
+    try {
+      return step();
+    } catch (error) {
+      errors.push(error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Render all sections of a target into its file. Several targets may update the same
+   * file, so file contents are tracked in a shared map.
+   * @param {Object} config - Target configuration
+   * @param {Array} sections - Sections of the target from resolveSections
+   * @param {Map} files - File path to original and updated content
+   * @returns {Array} Rendered sections of the target
+   */
+  async processTarget(config, sections, files) {
+    const file = files.get(config.filename);
+    const renderedSections = [];
+    // An earlier target may have updated the file already. Only section bodies change,
+    // so the sections are located again in the current content in the same order.
+    const { sections: currentSections } = SectionHelper.findSections(file.content);
+
+    for (const [index, { section, config: sectionConfig }] of sections.entries()) {
+      renderedSections.push(
+        await this.renderSection({
+          section: section && currentSections[index],
+          config: sectionConfig
+        })
+      );
+    }
+
+    // Sections whose posts could not be fetched keep their previous content
+    const freshSections = renderedSections.filter(rendered => !rendered.stale);
+    const postsCount = freshSections.reduce((total, { posts }) => total + posts.length, 0);
+
+    if (postsCount > 0) {
+      this.logger.info(`Updating ${config.filename} with new content...`);
+      file.content = this.updateFileContent(file.content, freshSections);
+    } else {
+      // The unchanged file still shows the images its sections stored before
+      for (const { config: sectionConfig } of sections) {
+        if (ConfigHelper.storesImages(sectionConfig)) {
+          this.imageService.keepAssetsDir(sectionConfig.assetsDir);
+        }
+      }
+    }
+
+    return renderedSections.map(rendered => ({ ...rendered, filename: config.filename }));
+  }
+
+  /**
+   * Find the marker sections in the file and build the configuration for each one.
+   * Section settings from the `sections` input override the action inputs, and
+   * attributes on the start marker override both.
    * @param {string} currentContent - Current file content
-   * @param {string} newContent - New blog posts content
-   * @returns {string} Updated file content
+   * @param {Object} targetConfig - Configuration of the target the file belongs to
+   * @param {Array} errors - Collects the validation errors; invalid sections are left out
+   * @returns {Array} Sections with their configuration (section is null when the file has no markers)
+   */
+  resolveSections(currentContent, targetConfig, errors) {
+    const { sections, unclosed } = SectionHelper.findSections(currentContent);
+
+    for (const name of unclosed) {
+      this.logger.warn(`Section "${name || 'default'}" has no end marker and will be skipped`);
+    }
+
+    for (const name of Object.keys(targetConfig.sections || {})) {
+      if (!sections.some(section => section.name === name)) {
+        this.logger.warn(
+          `Section "${name}" is configured but has no markers in ${targetConfig.filename}`
+        );
+      }
+    }
+
+    if (sections.length === 0) {
+      this.validationHelper.reportWarnings(
+        targetConfig,
+        targetConfig === this.config ? '' : targetConfig.filename
+      );
+      return [{ section: null, config: targetConfig }];
+    }
+
+    return sections.flatMap(section =>
+      this.collectErrors(errors, () => {
+        const label = section.name ? `section "${section.name}"` : 'default section';
+        const sectionSettings = section.name ? targetConfig.sections?.[section.name] : null;
+        const config = ConfigHelper.applyOverrides(
+          ConfigHelper.applyOverrides(
+            targetConfig,
+            sectionSettings,
+            `sections settings for ${label}`
+          ),
+          section.attributes,
+          `marker of ${label}`
+        );
+
+        const context = `${label} in ${targetConfig.filename}`;
+        this.validationHelper.validateInputs(config, context);
+        this.validationHelper.reportWarnings(config, context);
+
+        return [{ section, config }];
+      })
+    );
+  }
+
+  /**
+   * Fetch posts and generate the body of a single section. Unless `on_fetch_error` is
+   * "fail", a failed fetch marks the section as stale instead of failing the run.
+   * @param {Object} sectionInfo - Section and its configuration
+   * @returns {Object} Section, posts, rendered body and whether the section is stale
    */
-  updateFileContent(currentContent, newContent) {
-    const sectionStart = `<!-- BLOG-POSTS:START -->`;
-    const sectionEnd = `<!-- BLOG-POSTS:END -->`;
+  async renderSection({ section, config }) {
+    const label = section?.name ? ` for section "${section.name}"` : '';
+    const previousBody = section?.body || '';
+    let posts;
+    let seriesList = null;
 
-    const fullSection = `${sectionStart}\n${this.config.sectionTitle ? `## ${this.config.sectionTitle}\n\n` : ''}${newContent}\n${sectionEnd}`;
+    try {
+      if (config.series.length > 0) {
+        seriesList = await this.fetchSeries(config);
+      } else {
+        posts = await this.fetchPosts(config);
+      }
+    } catch (error) {
+      if (config.onFetchError === 'fail') {
+        throw error;
+      }
+
+      this.logger.warn(
+        `Could not fetch posts${label} in ${config.filename}, keeping the previous content: ${error.message}`
+      );
+      return { section, posts: [], previousBody, body: previousBody.trim(), stale: true };
+    }
+
+    this.logger.info(`Generating content${label} with format: ${config.displayFormat}`);
+    let content;
+
+    if (seriesList) {
+      const groups = [];
+
+      for (const series of seriesList) {
+        groups.push({ ...series, posts: await this.prepareImages(series.posts, config) });
+      }
+
+      posts = groups.flatMap(series => series.posts);
+      content = this.templateService.generateSeriesContent(groups, config);
+    } else {
+      posts = await this.prepareImages(posts, config);
+      content =
+        config.groupBy === 'author'
+          ? this.templateService.generateAuthorContent(posts, config)
+          : this.templateService.generateContent(posts, config);
+    }
+
+    const timestamp = config.showLastUpdated ? `${SectionHelper.buildTimestamp(new Date())}\n` : '';
+
+    return {
+      section,
+      posts,
+      previousBody,
+      body: `${timestamp}${config.sectionTitle ? `## ${config.sectionTitle}\n\n` : ''}${content}`,
+      stale: false
+    };
+  }
+
+  /**
+   * Resolve the images of posts for a section configuration
+   * @param {Array} posts - Blog posts
+   * @param {Object} config - Section configuration
+   * @returns {Array} Posts with their cover images or SVG cards
+   */
+  async prepareImages(posts, config) {
+    if (config.removeUnusedImages && ConfigHelper.storesImages(config)) {
+      this.imageService.addAssetsDir(config.assetsDir, config.filename);
+    }
+
+    // SVG cards embed their covers and the list format shows no images
+    if (config.displayFormat === 'svg-card') {
+      return this.svgCardService.createCards(posts, config);
+    } else if (config.displayFormat !== 'list') {
+      return this.imageService.resolveCovers(posts, config);
+    }
+
+    return posts;
+  }
+
+  /**
+   * Fetch posts for a section configuration. Sections that need the same posts share one request.
+   * @param {Object} config - Section configuration
+   * @returns {Array} Posts to render
+   */
+  async fetchPosts(config) {
+    if (config.postSource === 'scheduled') {
+      return (await this.fetchScheduledPosts(config)).slice(0, config.postCount);
+    }
+
+    const fetchLimit = SortHelper.getFetchLimit(config);
+    const popularDays = config.sortBy === 'popular' ? config.popularDays : null;
+    // Pages come newest first, so paging stops at the oldest date any post may have
+    const oldestDate = DateHelper.getLatestDate([
+      FilterHelper.getDateRange(config).start,
+      popularDays && SortHelper.getPopularSince(popularDays)
+    ]);
+    const cacheKey = JSON.stringify([
+      config.publicationName,
+      fetchLimit,
+      config.includeTags,
+      config.excludeTags,
+      config.tagMatch,
+      config.authors,
+      config.publishedAfter,
+      config.publishedBefore,
+      config.maxAgeDays,
+      popularDays
+    ]);
+
+    if (!this.postRequests.has(cacheKey)) {
+      this.logger.info(
+        `Fetching ${fetchLimit === Infinity ? 'all' : fetchLimit} posts${popularDays ? ` of the last ${popularDays} days` : ''} from Hashnode publication: ${config.publicationName}`
+      );
+      this.postRequests.set(
+        cacheKey,
+        this.hashnodeService.fetchBlogPosts(config.publicationName, fetchLimit, {
+          filter: FilterHelper.createPostFilter(config),
+          publishedAfter: oldestDate
+        })
+      );
+    }
+
+    const posts = await this.postRequests.get(cacheKey);
+    const pinned = await this.fetchPinnedPosts(config);
+    const pinnedSlugs = new Set(pinned.map(post => post.slug));
+    const latest = SortHelper.sortPosts(posts, config).filter(post => !pinnedSlugs.has(post.slug));
+
+    return [...pinned, ...latest].slice(0, config.postCount);
+  }
+
+  /**
+   * Fetch the scheduled posts of a section configuration. Sections that need the same
+   * posts share one request.
+   * @param {Object} config - Section configuration
+   * @returns {Array} Scheduled posts, soonest first
+   */
+  async fetchScheduledPosts(config) {
+    const cacheKey = JSON.stringify([
+      'scheduled',
+      config.publicationName,
+      config.includeTags,
+      config.excludeTags,
+      config.tagMatch,
+      config.authors,
+      config.publishedAfter,
+      config.publishedBefore,
+      config.maxAgeDays
+    ]);
+
+    if (!this.postRequests.has(cacheKey)) {
+      this.logger.info(
+        `Fetching scheduled posts from Hashnode publication: ${config.publicationName}`
+      );
+      this.postRequests.set(
+        cacheKey,
+        this.hashnodeService.fetchScheduledPosts(config.publicationName, {
+          filter: FilterHelper.createPostFilter(config)
+        })
+      );
+    }
+
+    return this.postRequests.get(cacheKey);
+  }
+
+  /**
+   * Fetch the pinned posts of a section configuration in the configured order.
+   * Pinned posts that no longer exist are skipped with a warning.
+   * @param {Object} config - Section configuration
+   * @returns {Array} Pinned posts, marked with `pinned`
+   */
+  async fetchPinnedPosts(config) {
+    const pinned = [];
+
+    for (const slug of config.pinnedPosts) {
+      const cacheKey = JSON.stringify(['post', config.publicationName, slug]);
+
+      if (!this.postRequests.has(cacheKey)) {
+        this.logger.info(`Fetching pinned post: ${slug}`);
+        this.postRequests.set(
+          cacheKey,
+          this.hashnodeService.fetchPost(config.publicationName, slug)
+        );
+      }
+
+      const post = await this.postRequests.get(cacheKey);
+
+      if (!post) {
+        this.logger.warn(`Pinned post ${slug} not found in ${config.publicationName}, skipping it`);
+      } else if (!pinned.some(item => item.slug === post.slug)) {
+        pinned.push({ ...post, pinned: true });
+      }
+    }
+
+    return pinned;
+  }
+
+  /**
+   * Fetch the series of a section configuration, each limited to the first post_count
+   * matching parts. Sections that need the same series share one request.
+   * @param {Object} config - Section configuration
+   * @returns {Array} Series with the posts to render
+   */
+  async fetchSeries(config) {
+    const cacheKey = JSON.stringify([
+      'series',
+      config.publicationName,
+      config.series,
+      config.includeTags,
+      config.excludeTags,
+      config.tagMatch,
+      config.authors,
+      config.publishedAfter,
+      config.publishedBefore,
+      config.maxAgeDays
+    ]);
+
+    if (!this.postRequests.has(cacheKey)) {
+      this.logger.info(
+        `Fetching ${config.series.includes('all') ? 'all series' : `series ${config.series.join(', ')}`} from Hashnode publication: ${config.publicationName}`
+      );
+      this.postRequests.set(
+        cacheKey,
+        this.hashnodeService.fetchSeries(config.publicationName, config.series, {
+          filter: FilterHelper.createPostFilter(config)
+        })
+      );
+    }
+
+    const seriesList = await this.postRequests.get(cacheKey);
+    return seriesList.map(series => ({
+      ...series,
+      posts: series.posts.slice(0, config.postCount)
+    }));
+  }
+
+  /**
+   * Load the custom post template from the repository
+   * @param {Object} config - Configuration to load the template into
+   * @throws {Error} If the template file is missing or empty
+   */
+  async loadCustomTemplate(config) {
+    this.logger.info(`Loading custom template: ${config.customTemplateFile}`);
+    const template = await this.githubService.getFileContent(config.customTemplateFile);
+
+    if (!template.trim()) {
+      throw new Error(`Custom template file ${config.customTemplateFile} is missing or empty`);
+    }
+
+    config.customTemplate = template.trim();
+  }
+
+  /**
+   * Report what would be committed without writing anything: sets the generated content
+   * and diff as outputs and writes a preview to the job summary
+   * @param {Array} renderedSections - Rendered sections from all targets
+   * @param {Map} files - File path to original and updated content
+   * @param {number} postsCount - Number of rendered posts
+   * @param {Array} assets - New image assets
+   * @param {Array} unusedAssets - Unused image assets that would be removed
+   */
+  async reportDryRun(renderedSections, files, postsCount, assets = [], unusedAssets = []) {
+    const generatedContent = renderedSections.map(rendered => rendered.body).join('\n\n');
+    const diff = [...files.entries()]
+      .map(([path, file]) => SummaryHelper.buildFileDiff(path, file.original, file.content))
+      .filter(fileDiff => fileDiff)
+      .join('\n');
+
+    this.logger.info(`Dry run: ${diff ? 'changes detected' : 'no changes'}, nothing was committed`);
+    if (diff) {
+      this.logger.info('Dry run diff:', diff);
+    }
+    if (assets.length) {
+      this.logger.info(`Dry run would add images: ${assets.map(asset => asset.path).join(', ')}`);
+    }
+    if (unusedAssets.length) {
+      this.logger.info(
+        `Dry run would remove unused images: ${unusedAssets.map(asset => asset.path).join(', ')}`
+      );
+    }
+
+    setOutput('posts_count', postsCount);
+    setOutput('file_updated', false);
+    setOutput('generated_content', generatedContent);
+    setOutput('diff', diff);
+
+    if (!process.env.GITHUB_STEP_SUMMARY) {
+      this.logger.debug('No job summary available, skipping preview');
+      return;
+    }
+
+    summary.addHeading('Hashnode blog posts preview (dry run)', 2);
+
+    const changes = renderedSections
+      .filter(rendered => !rendered.stale)
+      .map(rendered => ({
+        filename: rendered.filename,
+        section: rendered.section?.name,
+        ...SummaryHelper.comparePosts(rendered.previousBody, rendered.posts)
+      }));
+    summary
+      .addHeading('Post changes', 3)
+      .addRaw(`\n${SummaryHelper.buildChangeSummary(changes)}\n`, true);
+
+    for (const rendered of renderedSections) {
+      const label = rendered.section?.name ? ` (${rendered.section.name})` : '';
+      const staleNote = rendered.stale ? ' – stale, posts could not be fetched' : '';
+      summary
+        .addHeading(`${rendered.filename}${label}${staleNote}`, 3)
+        .addRaw(`\n${rendered.body}\n`, true);
+    }
+
+    // A fenced block keeps the diff from being interpreted as HTML
+    summary.addHeading('Diff', 3).addRaw(`\n\`\`\`diff\n${diff || 'No changes'}\n\`\`\`\n`, true);
+
+    if (assets.length) {
+      summary.addHeading('New images', 3).addList(assets.map(asset => asset.path));
+    }
+
+    if (unusedAssets.length) {
+      summary.addHeading('Removed images', 3).addList(unusedAssets.map(asset => asset.path));
+    }
+
+    await summary.write();
+  }
+
+  /**
+   * Build the pull request description with a summary of added and removed posts
+   * @param {Array} renderedSections - Rendered sections from all targets
+   * @param {Array} updatedFiles - Paths of the changed files
+   * @returns {string} Pull request body
+   */
+  buildPullRequestBody(renderedSections, updatedFiles) {
+    const changes = renderedSections
+      .filter(rendered => !rendered.stale && updatedFiles.includes(rendered.filename))
+      .map(rendered => ({
+        filename: rendered.filename,
+        section: rendered.section?.name,
+        ...SummaryHelper.comparePosts(rendered.previousBody, rendered.posts)
+      }));
+
+    return [
+      'Automated update of blog posts from Hashnode.',
+      '',
+      `Updated files: ${updatedFiles.map(file => `\`${file}\``).join(', ')}`,
+      '',
+      '### Post changes',
+      '',
+      SummaryHelper.buildChangeSummary(changes)
+    ].join('\n');
+  }
+
+  /**
+   * Update file content with the rendered blog post sections
+   * @param {string} currentContent - Current file content
+   * @param {Array} renderedSections - Rendered sections from renderSection
+   * @returns {string} Updated file content
+   */
+  updateFileContent(currentContent, renderedSections) {
+    const [first] = renderedSections;
 
-    // If markers exist, replace content between them
-    if (currentContent.includes(sectionStart) && currentContent.includes(sectionEnd)) {
-      const beforeSection = currentContent.substring(0, currentContent.indexOf(sectionStart));
-      const afterSection = currentContent.substring(
-        currentContent.indexOf(sectionEnd) + sectionEnd.length
+    // If no markers exist, append the default section to end of file
+    if (!first.section) {
+      const fullSection = SectionHelper.buildSection(
+        SectionHelper.buildMarker(null, 'START'),
+        SectionHelper.buildMarker(null, 'END'),
+        first.body
       );
-      return beforeSection + fullSection + afterSection;
+      return `${currentContent}\n\n${fullSection}\n`;
     }
 
-    // If no markers exist, append to end of file
-    return currentContent + '\n\n' + fullSection + '\n';
+    return SectionHelper.replaceSections(currentContent, renderedSections);
   }
 }
 
@@ -0,0 +1,415 @@
+const moment = require('moment-timezone');
+const { setOutput, setSecret } = require('@actions/core');
+const { BlogController } = require('../BlogController');
+const { ConfigHelper } = require('../../helpers/ConfigHelper');
+
+jest.mock('@actions/core', () => ({
+  ...jest.requireActual('@actions/core'),
+  setOutput: jest.fn(),
+  setSecret: jest.fn()
+}));
+
+/**
+ * Build a transformed post
+ * @param {number} number - Post number, higher numbers are newer
+ * @returns {Object} Post
+ */
+const postFrom = number => ({
+  id: `p${number}`,
+  title: `Post ${number}`,
+  slug: `post-${number}`,
+  url: `https://blog.example.com/post-${number}`,
+  publishedAt: moment.utc('2026-01-01').add(number, 'days').toISOString(),
+  tags: []
+});
+
+/**
+ * Build a section configuration
+ * @param {Object} inputs - Action inputs
+ * @returns {Object} Section configuration
+ */
+const configFrom = inputs =>
+  ConfigHelper.applyOverrides(
+    ConfigHelper.getConfig(() => undefined),
+    {
+      publication_name: 'blog.example.com',
+      ...inputs
+    }
+  );
+
+const ids = list => list.map(post => post.id);
+
+describe('BlogController', () => {
+  let controller;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    controller = new BlogController({ readInput: () => '', fileService: {} });
+    controller.hashnodeService = {
+      fetchBlogPosts: jest.fn(() => Promise.resolve([5, 4, 3, 2, 1].map(postFrom))),
+      fetchPost: jest.fn((publication, slug) => {
+        const number = Number(slug.replace('post-', ''));
+        return Promise.resolve(number ? postFrom(number) : null);
+      })
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hashnode_token', () => {
+    it('authenticates Hashnode requests and masks the token', () => {
+      const inputs = { hashnode_token: 'hn-secret' };
+      controller = new BlogController({ readInput: name => inputs[name], fileService: {} });
+
+      expect(controller.hashnodeService.authenticated).toBe(true);
+      expect(setSecret).toHaveBeenCalledWith('hn-secret');
+      expect(controller.logger.mask('token hn-secret')).toBe('token ***');
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    const load = (content, inputs = {}) => {
+      controller = new BlogController({
+        readInput: name => inputs[name],
+        fileService: { getFileContent: jest.fn(() => Promise.resolve(content)) }
+      });
+
+      return controller.loadConfigFile().then(() => controller.config);
+    };
+
+    it('merges the config file under the inputs', () => {
+      return load('display_format: table\npost_count: 3\n', { display_format: 'list' }).then(
+        config => {
+          expect(controller.githubService.getFileContent).toHaveBeenCalledWith(
+            '.github/hashnode-blog.yml',
+            { optional: true }
+          );
+          expect(config.displayFormat).toBe('list');
+          expect(config.postCount).toBe(3);
+        }
+      );
+    });
+
+    it('keeps the inputs without the default config file', () => {
+      return load('', { post_count: '2' }).then(config => expect(config.postCount).toBe(2));
+    });
+
+    it('fails for a missing config file set through config_file', () => {
+      return expect(load('', { config_file: 'blog.yml' })).rejects.toThrow(
+        'Config file blog.yml is missing or empty'
+      );
+    });
+
+    it('fails for options the schema does not know', () => {
+      return expect(load('colour: red\n')).rejects.toThrow(
+        /^Invalid config file \.github\/hashnode-blog\.yml:\n- colour is not a supported option/
+      );
+    });
+  });
+
+  describe('loadCustomTemplate', () => {
+    it('reads the template file into the section configuration', () => {
+      const config = configFrom({ display_format: 'custom', custom_template_file: 'post.hbs' });
+      controller.githubService = { getFileContent: jest.fn(() => Promise.resolve('{{title}}\n')) };
+
+      return controller.loadCustomTemplate(config).then(() => {
+        expect(controller.githubService.getFileContent).toHaveBeenCalledWith('post.hbs');
+        expect(config.customTemplate).toBe('{{title}}');
+      });
+    });
+
+    it('fails for a missing or empty template file', () => {
+      const config = configFrom({ display_format: 'custom', custom_template_file: 'post.hbs' });
+      controller.githubService = { getFileContent: () => Promise.resolve('  ') };
+
+      return expect(controller.loadCustomTemplate(config)).rejects.toThrow(
+        'Custom template file post.hbs is missing or empty'
+      );
+    });
+  });
+
+  describe('fetchPosts with pinned posts', () => {
+    it('leads with the pinned posts in the configured order and fills up with the latest', () => {
+      const config = configFrom({ post_count: 4, pinned_posts: 'post-2, post-4' });
+
+      return controller.fetchPosts(config).then(posts => {
+        expect(ids(posts)).toEqual(['p2', 'p4', 'p5', 'p3']);
+        expect(posts.map(post => Boolean(post.pinned))).toEqual([true, true, false, false]);
+      });
+    });
+
+    it('takes the slug from pinned post URLs', () => {
+      const config = configFrom({ pinned_posts: 'https://blog.example.com/post-1/' });
+
+      return controller.fetchPosts(config).then(posts => {
+        expect(controller.hashnodeService.fetchPost).toHaveBeenCalledWith(
+          'blog.example.com',
+          'post-1'
+        );
+        expect(posts[0]).toMatchObject({ id: 'p1', pinned: true });
+      });
+    });
+
+    it('counts pinned posts toward post_count', () => {
+      const config = configFrom({ post_count: 2, pinned_posts: 'post-1, post-2, post-3' });
+
+      return controller.fetchPosts(config).then(posts => {
+        expect(ids(posts)).toEqual(['p1', 'p2']);
+      });
+    });
+
+    it('skips pinned posts that no longer exist with a warning', () => {
+      const config = configFrom({ post_count: 2, pinned_posts: 'gone, post-1' });
+      jest.spyOn(controller.logger, 'warn').mockImplementation(() => {});
+
+      return controller.fetchPosts(config).then(posts => {
+        expect(ids(posts)).toEqual(['p1', 'p5']);
+        expect(controller.logger.warn).toHaveBeenCalledWith(
+          'Pinned post gone not found in blog.example.com, skipping it'
+        );
+      });
+    });
+
+    it('shows a post pinned twice once', () => {
+      const config = configFrom({
+        post_count: 3,
+        pinned_posts: 'post-1, https://blog.example.com/post-1'
+      });
+
+      return controller.fetchPosts(config).then(posts => {
+        expect(ids(posts)).toEqual(['p1', 'p5', 'p4']);
+      });
+    });
+
+    it('fetches each pinned post once for all sections', () => {
+      const config = configFrom({ pinned_posts: 'post-1' });
+
+      return controller
+        .fetchPosts(config)
+        .then(() => controller.fetchPosts({ ...config, postCount: 2 }))
+        .then(() => {
+          expect(controller.hashnodeService.fetchPost).toHaveBeenCalledTimes(1);
+        });
+    });
+  });
+
+  describe('fetchPosts fetch limit', () => {
+    const fetchedLimit = () => controller.hashnodeService.fetchBlogPosts.mock.calls[0][1];
+
+    it('fetches only the displayed posts for the newest order', () => {
+      return controller
+        .fetchPosts(configFrom({ post_count: 3 }))
+        .then(() => expect(fetchedLimit()).toBe(3));
+    });
+
+    it('ranks at most the newest 100 posts for other orders by default', () => {
+      return controller
+        .fetchPosts(configFrom({ post_count: 3, sort_by: 'views' }))
+        .then(() => expect(fetchedLimit()).toBe(100));
+    });
+
+    it('ranks every post with fetch_limit all', () => {
+      return controller
+        .fetchPosts(configFrom({ post_count: 3, sort_by: 'views', fetch_limit: 'all' }))
+        .then(() => expect(fetchedLimit()).toBe(Infinity));
+    });
+  });
+
+  describe('on_fetch_error', () => {
+    const original = [
+      '# Me',
+      '<!-- BLOG-POSTS:START -->',
+      '- [Old post](https://blog.example.com/old)',
+      '<!-- BLOG-POSTS:END -->'
+    ].join('\n');
+    const configWith = (onFetchError, inputs = {}) =>
+      ConfigHelper.applyOverrides(
+        ConfigHelper.getConfig(name => (name === 'on_fetch_error' ? onFetchError : undefined)),
+        { publication_name: 'blog.example.com', ...inputs }
+      );
+    const update = config => {
+      const files = new Map([['README.md', { original, content: original }]]);
+      const [{ section }] = controller.resolveSections(original, config, []);
+
+      return controller
+        .processTarget(config, [{ section, config }], files)
+        .then(rendered => ({ rendered, content: files.get('README.md').content }));
+    };
+
+    beforeEach(() => {
+      jest.spyOn(controller.logger, 'warn').mockImplementation(() => {});
+      controller.hashnodeService.fetchBlogPosts.mockImplementation(() =>
+        Promise.reject(new Error('Hashnode is down'))
+      );
+    });
+
+    it('keeps the previous section body and marks it stale with keep', () => {
+      return update(configWith('keep')).then(({ rendered: [section], content }) => {
+        expect(content).toBe(original);
+        expect(section).toMatchObject({
+          stale: true,
+          posts: [],
+          body: '- [Old post](https://blog.example.com/old)'
+        });
+        expect(controller.logger.warn).toHaveBeenCalledWith(
+          'Could not fetch posts in README.md, keeping the previous content: Hashnode is down'
+        );
+      });
+    });
+
+    it('keeps the previous section body with warn', () => {
+      return update(configWith('warn')).then(({ rendered, content }) => {
+        expect(content).toBe(original);
+        expect(rendered[0].stale).toBe(true);
+      });
+    });
+
+    it('fails the run by default', () => {
+      return expect(update(configWith(undefined))).rejects.toThrow('Hashnode is down');
+    });
+
+    it('stamps refreshed sections with show_last_updated', () => {
+      controller.hashnodeService.fetchBlogPosts.mockResolvedValue([postFrom(1)]);
+
+      return update(configWith('keep', { show_last_updated: true, display_format: 'list' })).then(
+        ({ rendered: [section], content }) => {
+          expect(section.stale).toBe(false);
+          expect(section.body).toMatch(
+            /^<!-- BLOG-POSTS:LAST-UPDATED \d{4}-\d\d-\d\dT[\d:]{8}Z -->\n/
+          );
+          expect(content).toContain('[Post 1](https://blog.example.com/post-1)');
+        }
+      );
+    });
+  });
+
+  describe('execute without posts', () => {
+    const rendered = {
+      files: new Map([['README.md', { original: 'old', content: 'old' }]]),
+      assets: [],
+      unusedAssets: [],
+      renderedSections: [],
+      postsCount: 0,
+      stale: false
+    };
+
+    beforeEach(() => {
+      controller.githubService = { commitFiles: jest.fn() };
+      jest.spyOn(controller, 'render').mockResolvedValue(rendered);
+      jest.spyOn(controller, 'reportDryRun').mockResolvedValue();
+      jest.spyOn(controller.logger, 'warn').mockImplementation(() => {});
+    });
+
+    it('still reports a dry run', () => {
+      controller.config.dryRun = true;
+
+      return controller.execute().then(() => {
+        expect(controller.reportDryRun).toHaveBeenCalledWith([], rendered.files, 0, [], []);
+        expect(controller.logger.warn).toHaveBeenCalledWith('No blog posts found');
+      });
+    });
+
+    it('commits nothing', () => {
+      return controller.execute().then(() => {
+        expect(controller.reportDryRun).not.toHaveBeenCalled();
+        expect(controller.githubService.commitFiles).not.toHaveBeenCalled();
+        expect(setOutput).toHaveBeenCalledWith('posts_count', 0);
+        expect(setOutput).toHaveBeenCalledWith('file_updated', false);
+      });
+    });
+  });
+
+  describe('prepareImages', () => {
+    const stored = ['post-1-0123abcd.jpg', 'someone-else-89abcdef.jpg', 'logo.png'];
+
+    beforeEach(() => {
+      controller = new BlogController({
+        readInput: () => '',
+        fileService: { listFiles: () => Promise.resolve(stored) }
+      });
+    });
+
+    it('keeps every stored image unless remove_unused_images is set', () => {
+      const config = configFrom({ cache_images: true });
+
+      return controller
+        .prepareImages([], config)
+        .then(() => controller.imageService.getUnusedAssetFiles())
+        .then(unused => expect(unused).toEqual([]));
+    });
+
+    it('keeps the images of a directory that no section stores images in', () => {
+      const config = configFrom({ remove_unused_images: true });
+
+      return controller
+        .prepareImages([], config)
+        .then(() => controller.imageService.getUnusedAssetFiles())
+        .then(unused => expect(unused).toEqual([]));
+    });
+
+    it('removes the generated images no section shows when enabled', () => {
+      const config = configFrom({
+        cache_images: true,
+        remove_unused_images: true
+      });
+      controller.imageService.referenceAsset('assets/blog/post-1-0123abcd.jpg');
+
+      return controller
+        .prepareImages([], config)
+        .then(() => controller.imageService.getUnusedAssetFiles())
+        .then(unused => {
+          expect(unused).toEqual([
+            { path: 'assets/blog/someone-else-89abcdef.jpg', deleted: true }
+          ]);
+        });
+    });
+
+    it('keeps the images of targets whose file is left unchanged', () => {
+      const stored = {
+        'assets/a': ['post-9-89abcdef.jpg'],
+        'assets/b': ['post-2-deadbeef.jpg']
+      };
+      controller = new BlogController({
+        readInput: () => '',
+        fileService: { listFiles: dir => Promise.resolve(stored[dir] || []) }
+      });
+      controller.hashnodeService = {
+        fetchBlogPosts: jest.fn(publication =>
+          Promise.resolve(publication === 'a.example.com' ? [postFrom(1)] : [])
+        )
+      };
+      jest.spyOn(controller.logger, 'warn').mockImplementation(() => {});
+      const files = new Map(
+        ['README.md', 'docs/blog.md'].map(filename => [filename, { original: '', content: '' }])
+      );
+      const targets = [
+        { publication_name: 'a.example.com', filename: 'README.md', assets_dir: 'assets/a' },
+        { publication_name: 'b.example.com', filename: 'docs/blog.md', assets_dir: 'assets/b' }
+      ].map(inputs =>
+        ConfigHelper.applyOverrides(
+          configFrom({ cache_images: true, remove_unused_images: true }),
+          inputs,
+          'targets',
+          'target'
+        )
+      );
+
+      return targets
+        .reduce(
+          (previous, config) =>
+            previous.then(() =>
+              controller.processTarget(config, [{ section: null, config }], files)
+            ),
+          Promise.resolve()
+        )
+        .then(() => controller.imageService.getUnusedAssetFiles())
+        .then(unused => {
+          expect(files.get('docs/blog.md').content).toBe('');
+          expect(unused).toEqual([{ path: 'assets/a/post-9-89abcdef.jpg', deleted: true }]);
+        });
+    });
+  });
+});
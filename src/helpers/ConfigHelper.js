@@ -1,32 +1,425 @@
 const { getInput } = require('@actions/core');
 
+const { load, CORE_SCHEMA } = require('js-yaml');
+
+/**
+ * Action inputs and how they map onto configuration keys.
+ * `parse` receives the raw value (a string for action inputs, or any YAML value for
+ * section overrides) and is only called when a value was provided.
+ * `scope` limits where an option may be overridden: 'action' options can only be set as
+ * action inputs, 'target' options also per target, and all others per section as well.
+ */
+const OPTIONS = [
+  { input: 'publication_name', key: 'publicationName', default: '' },
+  {
+    input: 'post_count',
+    key: 'postCount',
+    default: 6,
+    parse: value => ConfigHelper.parseCount(value)
+  },
+  {
+    input: 'fetch_limit',
+    key: 'fetchLimit',
+    default: null,
+    parse: value => ConfigHelper.parseCount(value)
+  },
+  { input: 'display_format', key: 'displayFormat', default: 'stacked-left' },
+  { input: 'render_target', key: 'renderTarget', default: 'html' },
+  { input: 'filename', key: 'filename', default: 'README.md', scope: 'target' },
+  { input: 'github_token', key: 'githubToken', default: '', scope: 'action' },
+  { input: 'hashnode_token', key: 'hashnodeToken', default: '', scope: 'action' },
+  {
+    input: 'config_file',
+    key: 'configFile',
+    default: '.github/hashnode-blog.yml',
+    scope: 'action'
+  },
+
+  // API client options
+  {
+    input: 'max_retries',
+    key: 'maxRetries',
+    default: 3,
+    scope: 'action',
+    parse: value => parseInt(value, 10)
+  },
+  {
+    input: 'retry_delay',
+    key: 'retryDelay',
+    default: 1,
+    scope: 'action',
+    // Fractions of a second are allowed
+    parse: value => Number(value)
+  },
+  { input: 'on_fetch_error', key: 'onFetchError', default: 'fail', scope: 'action' },
+
+  // Customization options
+  { input: 'card_width', key: 'cardWidth', default: 500, parse: value => parseInt(value, 10) },
+  { input: 'image_width', key: 'imageWidth', default: 150, parse: value => parseInt(value, 10) },
+  { input: 'image_height', key: 'imageHeight', default: 150, parse: value => parseInt(value, 10) },
+  { input: 'date_format', key: 'dateFormat', default: 'MMM DD, YYYY' },
+  { input: 'date_locale', key: 'dateLocale', default: 'en' },
+  { input: 'timezone', key: 'timezone', default: 'UTC' },
+  {
+    input: 'description_length',
+    key: 'descriptionLength',
+    default: 200,
+    parse: value => parseInt(value, 10)
+  },
+  {
+    input: 'show_fields',
+    key: 'showFields',
+    default: [],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  { input: 'custom_css', key: 'customCss', default: '' },
+  { input: 'theme', key: 'theme', default: 'light' },
+  {
+    input: 'theme_colors',
+    key: 'themeColors',
+    default: {},
+    parse: value => ConfigHelper.parseStructured(value, 'theme_colors')
+  },
+  { input: 'section_title', key: 'sectionTitle', default: '✍️ Latest Blog Posts' },
+  { input: 'no_posts_message', key: 'noPostsMessage', default: 'No blog posts found.' },
+  {
+    input: 'show_last_updated',
+    key: 'showLastUpdated',
+    default: false,
+    parse: value => ConfigHelper.parseBoolean(value)
+  },
+  { input: 'target_branch', key: 'targetBranch', default: 'main', scope: 'action' },
+
+  // Image options
+  {
+    input: 'cover_fallback',
+    key: 'coverFallback',
+    default: ['avatar', 'logo'],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  {
+    input: 'cache_images',
+    key: 'cacheImages',
+    default: false,
+    parse: value => ConfigHelper.parseBoolean(value)
+  },
+  { input: 'assets_dir', key: 'assetsDir', default: 'assets/blog' },
+  {
+    input: 'remove_unused_images',
+    key: 'removeUnusedImages',
+    default: false,
+    parse: value => ConfigHelper.parseBoolean(value)
+  },
+
+  // Commit options
+  { input: 'commit_mode', key: 'commitMode', default: 'direct', scope: 'action' },
+  { input: 'pr_branch', key: 'prBranch', default: 'hashnode-blog-posts', scope: 'action' },
+  { input: 'pr_title', key: 'prTitle', default: 'Update blog posts', scope: 'action' },
+  {
+    input: 'pr_labels',
+    key: 'prLabels',
+    default: [],
+    scope: 'action',
+    parse: value => ConfigHelper.parseList(value)
+  },
+  { input: 'pr_auto_merge', key: 'prAutoMerge', default: '', scope: 'action' },
+  {
+    input: 'dry_run',
+    key: 'dryRun',
+    default: false,
+    scope: 'action',
+    parse: value => ConfigHelper.parseBoolean(value)
+  },
+
+  // Post source
+  { input: 'post_source', key: 'postSource', default: 'published' },
+
+  // Filtering options
+  {
+    input: 'include_tags',
+    key: 'includeTags',
+    default: [],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  {
+    input: 'exclude_tags',
+    key: 'excludeTags',
+    default: [],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  { input: 'tag_match', key: 'tagMatch', default: 'any' },
+  {
+    input: 'authors',
+    key: 'authors',
+    default: [],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  { input: 'published_after', key: 'publishedAfter', default: '' },
+  { input: 'published_before', key: 'publishedBefore', default: '' },
+  {
+    input: 'max_age_days',
+    key: 'maxAgeDays',
+    default: null,
+    parse: value => parseInt(value, 10)
+  },
+
+  // Sorting options
+  { input: 'sort_by', key: 'sortBy', default: 'newest' },
+  {
+    input: 'popular_days',
+    key: 'popularDays',
+    default: 30,
+    parse: value => parseInt(value, 10)
+  },
+
+  // Pinned posts
+  {
+    input: 'pinned_posts',
+    key: 'pinnedPosts',
+    default: [],
+    parse: value => ConfigHelper.parseList(value).map(ConfigHelper.parsePostSlug)
+  },
+
+  // Grouping options
+  {
+    input: 'series',
+    key: 'series',
+    default: [],
+    parse: value => ConfigHelper.parseList(value)
+  },
+  { input: 'group_by', key: 'groupBy', default: 'none' },
+
+  // Custom template options
+  { input: 'custom_template', key: 'customTemplate', default: '' },
+  { input: 'custom_template_file', key: 'customTemplateFile', default: '' },
+  { input: 'custom_header', key: 'customHeader', default: '' },
+  { input: 'custom_footer', key: 'customFooter', default: '' },
+  {
+    input: 'custom_separator',
+    key: 'customSeparator',
+    default: '\n\n',
+    parse: value => ConfigHelper.parseEscapes(String(value))
+  },
+
+  // Section options
+  {
+    input: 'sections',
+    key: 'sections',
+    default: {},
+    scope: 'target',
+    parse: value => ConfigHelper.parseStructured(value, 'sections')
+  },
+  {
+    input: 'targets',
+    key: 'targets',
+    default: [],
+    scope: 'action',
+    parse: value => ConfigHelper.parseStructured(value, 'targets')
+  }
+];
+
+/**
+ * Short names accepted for options inside marker comments and section settings
+ */
+const OPTION_ALIASES = {
+  format: 'display_format',
+  count: 'post_count',
+  title: 'section_title',
+  tags: 'include_tags'
+};
+
 /**
  * Helper class for managing configuration
  */
 class ConfigHelper {
   /**
-   * Get configuration from GitHub Action inputs
+   * Get configuration from GitHub Action inputs. Inputs that are set take precedence over
+   * the config file, which takes precedence over the defaults.
+   * @param {Function} readInput - Returns the raw value of an input by name (action inputs by default)
+   * @param {Object} fileOptions - Options from the config file keyed by input name
    * @returns {Object} Configuration object
    */
-  static getConfig() {
-    return {
-      publicationName: getInput('publication_name'),
-      postCount: parseInt(getInput('post_count') || '6', 10),
-      displayFormat: getInput('display_format') || 'stacked-left',
-      filename: getInput('filename') || 'README.md',
-      githubToken: getInput('github_token'),
-
-      // Customization options
-      cardWidth: parseInt(getInput('card_width') || '500', 10),
-      imageWidth: parseInt(getInput('image_width') || '100', 10),
-      imageHeight: parseInt(getInput('image_height') || '100', 10),
-      dateFormat: getInput('date_format') || 'MMM DD, YYYY',
-      descriptionLength: parseInt(getInput('description_length') || '200', 10),
-      customCss: getInput('custom_css') || '',
-      sectionTitle: getInput('section_title') || '✍️ Latest Blog Posts',
-      noPostsMessage: getInput('no_posts_message') || 'No blog posts found.',
-      targetBranch: getInput('target_branch') || 'main'
-    };
+  static getConfig(readInput = name => getInput(name), fileOptions = {}) {
+    const config = {};
+
+    for (const option of OPTIONS) {
+      const value = readInput(option.input);
+
+      config[option.key] = ConfigHelper.parseOption(
+        option,
+        value === undefined || value === null || value === '' ? fileOptions[option.input] : value
+      );
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the definition of an option
+   * @param {string} inputName - Input name
+   * @returns {Object} Option definition with `input`, `key` and `default`
+   */
+  static getOption(inputName) {
+    return OPTIONS.find(option => option.input === inputName);
+  }
+
+  /**
+   * Get the names of all inputs
+   * @returns {Array} Input names
+   */
+  static getInputNames() {
+    return OPTIONS.map(option => option.input);
+  }
+
+  /**
+   * Resolve an option name, alias or dashed CLI name to its input name
+   * @param {string} name - Option name
+   * @param {string} context - Description of where the name comes from, used in errors
+   * @returns {string} Input name
+   * @throws {Error} If the option is unknown
+   */
+  static resolveInputName(name, context) {
+    const normalized = name.replace(/-/g, '_');
+    const inputName = OPTION_ALIASES[normalized] || normalized;
+
+    if (!OPTIONS.some(option => option.input === inputName)) {
+      throw new Error(`Unknown option "${name}" in ${context}`);
+    }
+
+    return inputName;
+  }
+
+  /**
+   * Parse a single raw option value, falling back to the option default
+   * @param {Object} option - Option definition
+   * @param {any} value - Raw value
+   * @returns {any} Parsed value
+   */
+  static parseOption(option, value) {
+    if (value === undefined || value === null || value === '') {
+      return option.default;
+    }
+
+    return option.parse ? option.parse(value) : String(value);
+  }
+
+  /**
+   * Create a target or section configuration by applying overrides on top of a base configuration
+   * @param {Object} baseConfig - Base configuration object
+   * @param {Object} overrides - Overrides keyed by input name (or alias)
+   * @param {string} context - Description of where the overrides come from, used in errors
+   * @param {string} level - 'target' or 'section', the level the overrides apply to
+   * @returns {Object} Merged configuration object
+   * @throws {Error} If an override is unknown or not allowed at this level
+   */
+  static applyOverrides(baseConfig, overrides = {}, context = 'section', level = 'section') {
+    const config = { ...baseConfig };
+
+    for (const [name, value] of Object.entries(overrides || {})) {
+      const inputName = OPTION_ALIASES[name] || name;
+      const option = OPTIONS.find(candidate => candidate.input === inputName);
+
+      if (!option) {
+        throw new Error(`Unknown option "${name}" in ${context}`);
+      }
+
+      if (option.scope === 'action' || (option.scope === 'target' && level !== 'target')) {
+        throw new Error(`Option "${name}" cannot be set per ${level} (in ${context})`);
+      }
+
+      config[option.key] = ConfigHelper.parseOption(option, value);
+    }
+
+    return config;
+  }
+
+  /**
+   * Parse a YAML or JSON input into an object
+   * @param {string|Object} value - Raw input value
+   * @param {string} inputName - Input name, used in error messages
+   * @returns {Object} Parsed value
+   * @throws {Error} If the value is not valid YAML/JSON
+   */
+  static parseStructured(value, inputName) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    try {
+      // The core schema keeps unquoted dates such as `published_after: 2024-01-15` as strings
+      return load(value, { schema: CORE_SCHEMA }) ?? {};
+    } catch (error) {
+      throw new Error(`Invalid YAML/JSON in ${inputName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a post count input, where "all" means no limit
+   * @param {string} value - Raw input value
+   * @returns {number} Parsed count (Infinity for "all")
+   */
+  static parseCount(value) {
+    if (String(value).trim().toLowerCase() === 'all') {
+      return Infinity;
+    }
+
+    return Number(value);
+  }
+
+  /**
+   * Parse a comma or newline separated list input
+   * @param {string} value - Raw input value
+   * @returns {Array} List of trimmed, non-empty values
+   */
+  static parseList(value) {
+    if (!value) {
+      return [];
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => String(item).trim()).filter(item => item);
+    }
+
+    return String(value)
+      .split(/[,\n]/)
+      .map(item => item.trim())
+      .filter(item => item);
+  }
+
+  /**
+   * Parse a post slug, or take it from the path of a post URL
+   * @param {string} value - Post slug or URL, e.g. https://blog.example.com/my-post
+   * @returns {string} Post slug, the value unchanged if it is not a URL
+   */
+  static parsePostSlug(value) {
+    if (!/^https?:\/\//i.test(value)) {
+      return value;
+    }
+
+    try {
+      const segments = new URL(value).pathname.split('/').filter(segment => segment);
+      return segments[segments.length - 1] || value;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Parse a boolean input ("true"/"false", as accepted by GitHub Actions)
+   * @param {string|boolean} value - Raw input value
+   * @returns {boolean} Parsed value
+   */
+  static parseBoolean(value) {
+    return ['true', 'yes', 'on', '1'].includes(String(value).trim().toLowerCase());
+  }
+
+  /**
+   * Convert escape sequences typed into action inputs (\n, \t) to real characters
+   * @param {string} value - Raw input value
+   * @returns {string} Value with escape sequences replaced
+   */
+  static parseEscapes(value) {
+    return value.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
   }
 
   /**
@@ -34,7 +427,87 @@ class ConfigHelper {
    * @returns {Array} Array of supported formats
    */
   static getSupportedFormats() {
-    return ['card', 'stacked-left', 'stacked-right', 'list', 'table'];
+    return [
+      'card',
+      'stacked-left',
+      'stacked-right',
+      'list',
+      'table',
+      'grid',
+      'compact',
+      'svg-card',
+      'custom'
+    ];
+  }
+
+  /**
+   * Get supported render targets
+   * @returns {Array} Array of supported render targets
+   */
+  static getSupportedRenderTargets() {
+    return ['html', 'github'];
+  }
+
+  /**
+   * Get supported sort orders
+   * @returns {Array} Array of sort orders
+   */
+  static getSupportedSortOrders() {
+    return ['newest', 'oldest', 'updated', 'reactions', 'views', 'comments', 'popular'];
+  }
+
+  /**
+   * Get the supported post sources: published posts, or scheduled drafts that need a
+   * hashnode_token
+   * @returns {Array} Array of post sources
+   */
+  static getSupportedPostSources() {
+    return ['published', 'scheduled'];
+  }
+
+  /**
+   * Get the post fields show_fields can select
+   * @returns {Array} Array of field names
+   */
+  static getSupportedFields() {
+    return [
+      'date',
+      'readTime',
+      'author',
+      'tags',
+      'reactions',
+      'views',
+      'comments',
+      'series',
+      'part',
+      'visibility'
+    ];
+  }
+
+  /**
+   * Get the cover_fallback entries with a special meaning. Other entries are image URLs
+   * or paths in the repository.
+   * @returns {Array} Array of fallback keywords
+   */
+  static getCoverFallbackKeywords() {
+    return ['avatar', 'logo', 'generated', 'none'];
+  }
+
+  /**
+   * Check whether a section configuration stores images in its assets directory
+   * @param {Object} config - Section configuration
+   * @returns {boolean} True for SVG cards, cached images and generated title cards
+   */
+  static storesImages(config) {
+    if (config.displayFormat === 'list') {
+      return false;
+    }
+
+    return (
+      config.displayFormat === 'svg-card' ||
+      config.cacheImages ||
+      (config.coverFallback || []).includes('generated')
+    );
   }
 
   /**
@@ -1,4 +1,9 @@
-const moment = require('moment');
+const moment = require('moment-timezone');
+// Registers every moment locale so month names and relative times can be localized
+require('moment/min/locales');
+const { Logger } = require('./Logger');
+
+const logger = new Logger();
 
 /**
  * Helper class for date formatting and manipulation
@@ -8,60 +13,126 @@ class DateHelper {
    * Format date according to specified format
    * @param {string|Date} date - Date to format
    * @param {string} format - Moment.js format string or 'relative'
+   * @param {Object} options - Formatting options
+   * @param {string} options.locale - Moment locale used for month names and relative times
+   * @param {string} options.timezone - IANA timezone the date is converted to
    * @returns {string} Formatted date string
    */
-  static formatDate(date, format = 'MMM DD, YYYY') {
+  static formatDate(date, format = 'MMM DD, YYYY', { locale = 'en', timezone = '' } = {}) {
     if (!date) {
       return 'Unknown date';
     }
 
     try {
-      const momentDate = moment(date);
+      const momentDate = timezone ? moment.tz(date, timezone) : moment(date);
 
       if (!momentDate.isValid()) {
         return 'Invalid date';
       }
 
+      momentDate.locale(locale);
+
       if (format === 'relative') {
-        return DateHelper.getRelativeTime(momentDate);
+        return DateHelper.getRelativeTime(momentDate, locale);
       }
 
       return momentDate.format(format);
     } catch (error) {
-      console.error('Error formatting date:', error);
+      logger.warn(`Could not format date ${date}: ${error.message}`);
       return 'Error formatting date';
     }
   }
 
   /**
-   * Get relative time (e.g., "2 days ago")
+   * Get relative time (e.g., "2 days ago", or "in 2 days" for future dates such as
+   * scheduled posts), localized through moment's locale data
    * @param {moment.Moment} momentDate - Moment date object
+   * @param {string} locale - Moment locale
    * @returns {string} Relative time string
    */
-  static getRelativeTime(momentDate) {
+  static getRelativeTime(momentDate, locale = 'en') {
     const now = moment();
-    const diffInDays = now.diff(momentDate, 'days');
-    const diffInHours = now.diff(momentDate, 'hours');
-    const diffInMinutes = now.diff(momentDate, 'minutes');
-    const diffInWeeks = now.diff(momentDate, 'weeks');
-    const diffInMonths = now.diff(momentDate, 'months');
-    const diffInYears = now.diff(momentDate, 'years');
+    const future = momentDate.isAfter(now);
+    const [later, earlier] = future ? [momentDate, now] : [now, momentDate];
+    const diffInDays = later.diff(earlier, 'days');
+    const diffInHours = later.diff(earlier, 'hours');
+    const diffInMinutes = later.diff(earlier, 'minutes');
+    const diffInWeeks = later.diff(earlier, 'weeks');
+    const diffInMonths = later.diff(earlier, 'months');
+    const diffInYears = later.diff(earlier, 'years');
+    const format = (key, count, days) =>
+      DateHelper.formatRelative(locale, key, count, days, future);
 
     if (diffInMinutes < 60) {
-      return diffInMinutes <= 1 ? 'Just now' : `${diffInMinutes} minutes ago`;
+      return diffInMinutes <= 1 ? format('s', 0) : format('mm', diffInMinutes);
     } else if (diffInHours < 24) {
-      return diffInHours === 1 ? '1 hour ago' : `${diffInHours} hours ago`;
+      return format(diffInHours === 1 ? 'h' : 'hh', diffInHours);
     } else if (diffInDays < 7) {
-      return diffInDays === 1 ? '1 day ago' : `${diffInDays} days ago`;
+      return format(diffInDays === 1 ? 'd' : 'dd', diffInDays);
     } else if (diffInWeeks < 4) {
-      return diffInWeeks === 1 ? '1 week ago' : `${diffInWeeks} weeks ago`;
+      return format(diffInWeeks === 1 ? 'w' : 'ww', diffInWeeks, diffInDays);
     } else if (diffInMonths < 12) {
-      return diffInMonths === 1 ? '1 month ago' : `${diffInMonths} months ago`;
+      return format(diffInMonths === 1 ? 'M' : 'MM', diffInMonths);
     } else {
-      return diffInYears === 1 ? '1 year ago' : `${diffInYears} years ago`;
+      return format(diffInYears === 1 ? 'y' : 'yy', diffInYears);
     }
   }
 
+  /**
+   * Format a relative time with a locale's relative time strings
+   * @param {string} locale - Moment locale
+   * @param {string} key - Moment relative time key (s, mm, h, hh, d, dd, w, ww, M, MM, y, yy)
+   * @param {number} count - Number of units
+   * @param {number} days - Same duration in days, used when a locale has no week strings
+   * @param {boolean} future - Format as a future time ("in 2 days") instead of a past one
+   * @returns {string} Relative time string
+   */
+  static formatRelative(locale, key, count, days = count, future = false) {
+    const localeData = moment.localeData(locale);
+
+    // Locales without their own week strings inherit the English ones, so use days instead
+    if ((key === 'w' || key === 'ww') && !DateHelper.hasWeekStrings(locale)) {
+      return DateHelper.formatRelative(locale, 'dd', days, days, future);
+    }
+
+    return localeData.pastFuture(
+      future ? 1 : -1,
+      localeData.relativeTime(count, false, key, future)
+    );
+  }
+
+  /**
+   * Check whether a locale defines its own relative time strings for weeks
+   * @param {string} locale - Moment locale
+   * @returns {boolean} Whether week strings are localized
+   */
+  static hasWeekStrings(locale) {
+    if (String(locale).toLowerCase().startsWith('en')) {
+      return true;
+    }
+
+    const weeks = moment.localeData(locale).relativeTime(2, false, 'ww', false);
+    return weeks !== moment.localeData('en').relativeTime(2, false, 'ww', false);
+  }
+
+  /**
+   * Check whether a moment locale is available
+   * @param {string} locale - Locale name (e.g. 'de', 'ja', 'pt-br')
+   * @returns {boolean} Whether the locale is supported
+   */
+  static isSupportedLocale(locale) {
+    return moment.locales().includes(String(locale).toLowerCase());
+  }
+
+  /**
+   * Check whether a timezone name is known
+   * @param {string} timezone - IANA timezone name
+   * @returns {boolean} Whether the timezone is valid
+   */
+  static isValidTimezone(timezone) {
+    return moment.tz.zone(timezone) !== null;
+  }
+
   /**
    * Parse date from various formats
    * @param {string|Date} date - Date to parse
@@ -76,7 +147,7 @@ class DateHelper {
       const momentDate = moment(date);
       return momentDate.isValid() ? momentDate : null;
     } catch (error) {
-      console.error('Error parsing date:', error);
+      logger.warn(`Could not parse date ${date}: ${error.message}`);
       return null;
     }
   }
@@ -185,14 +256,78 @@ class DateHelper {
       return items;
     }
 
-    return items.filter(item => {
-      const itemDate = moment(item[dateProperty]);
-      return (
-        itemDate.isValid() &&
-        itemDate.isSameOrAfter(start, 'day') &&
-        itemDate.isSameOrBefore(end, 'day')
-      );
-    });
+    return items.filter(item => DateHelper.isInDateRange(item[dateProperty], start, end));
+  }
+
+  /**
+   * Check whether a date falls within a date range, comparing whole days in the timezone
+   * each bound is given in
+   * @param {string|Date} date - Date to check
+   * @param {moment.Moment|null} start - Start date (inclusive), null for no lower bound
+   * @param {moment.Moment|null} end - End date (inclusive), null for no upper bound
+   * @returns {boolean} Whether the date is valid and within the range
+   */
+  static isInDateRange(date, start, end) {
+    const momentDate = moment(date);
+    const inZoneOf = bound =>
+      bound.tz()
+        ? momentDate.clone().tz(bound.tz())
+        : momentDate.clone().utcOffset(bound.utcOffset());
+
+    return (
+      momentDate.isValid() &&
+      (!start || inZoneOf(start).isSameOrAfter(start, 'day')) &&
+      (!end || inZoneOf(end).isSameOrBefore(end, 'day'))
+    );
+  }
+
+  /**
+   * Get the latest of several dates
+   * @param {Array} dates - Moment dates, empty entries are ignored
+   * @returns {moment.Moment|null} Latest date, null if there are none
+   */
+  static getLatestDate(dates) {
+    const validDates = dates.filter(Boolean);
+    return validDates.length > 0 ? moment.max(validDates) : null;
+  }
+
+  /**
+   * Parse an absolute date or a relative date expression. Supported expressions are
+   * "today", "yesterday", "<n> days|weeks|months|years ago" and
+   * "start of week|month|quarter|year".
+   * @param {string} expression - ISO 8601 date (e.g. 2024-01-15) or relative expression
+   * @param {string} timezone - IANA timezone relative expressions are evaluated in
+   * @returns {moment.Moment|null} Parsed date or null if the expression is not understood
+   */
+  static parseDateExpression(expression, timezone = '') {
+    const text = String(expression ?? '').trim();
+    const value = text.toLowerCase();
+    const zone = timezone && DateHelper.isValidTimezone(timezone) ? timezone : null;
+    const now = zone ? moment.tz(zone) : moment();
+    const relative = value.match(/^(\d+)\s+(day|week|month|year)s?\s+ago$/);
+    const startOf = value.match(/^start\s+of\s+(?:the\s+)?(week|month|quarter|year)$/);
+
+    if (value === 'today') {
+      return now.startOf('day');
+    }
+
+    if (value === 'yesterday') {
+      return now.subtract(1, 'day').startOf('day');
+    }
+
+    if (relative) {
+      return now.subtract(parseInt(relative[1], 10), relative[2]).startOf('day');
+    }
+
+    if (startOf) {
+      return now.startOf(startOf[1]);
+    }
+
+    const date = zone
+      ? moment.tz(text, moment.ISO_8601, true, zone)
+      : moment(text, moment.ISO_8601, true);
+
+    return date.isValid() ? date : null;
   }
 }
 
@@ -0,0 +1,134 @@
+const { DateHelper } = require('./DateHelper');
+
+/**
+ * Helper class for filtering blog posts
+ */
+class FilterHelper {
+  /**
+   * Create a post filter from the configuration
+   * @param {Object} config - Configuration object
+   * @returns {Function|null} Predicate accepting a post, or null when no filters are set
+   */
+  static createPostFilter(config) {
+    const includeTags = FilterHelper.normalizeTags(config.includeTags);
+    const excludeTags = FilterHelper.normalizeTags(config.excludeTags);
+    const authors = FilterHelper.normalizeUsernames(config.authors);
+    const { start, end } = FilterHelper.getDateRange(config);
+
+    if (
+      includeTags.length === 0 &&
+      excludeTags.length === 0 &&
+      authors.length === 0 &&
+      !start &&
+      !end
+    ) {
+      return null;
+    }
+
+    return post =>
+      DateHelper.isInDateRange(post.publishedAt, start, end) &&
+      FilterHelper.matchesAuthors(post, authors) &&
+      FilterHelper.matchesTags(post, {
+        includeTags,
+        excludeTags,
+        tagMatch: config.tagMatch
+      });
+  }
+
+  /**
+   * Get the range of publication dates posts must fall within. The start is the later of
+   * published_after and the date max_age_days ago.
+   * @param {Object} config - Configuration object
+   * @returns {Object} `start` and `end` dates, null where the range is open
+   */
+  static getDateRange(config) {
+    return {
+      start: DateHelper.getLatestDate([
+        config.publishedAfter &&
+          DateHelper.parseDateExpression(config.publishedAfter, config.timezone),
+        config.maxAgeDays &&
+          DateHelper.parseDateExpression(`${config.maxAgeDays} days ago`, config.timezone)
+      ]),
+      end: config.publishedBefore
+        ? DateHelper.parseDateExpression(config.publishedBefore, config.timezone)
+        : null
+    };
+  }
+
+  /**
+   * Check whether a post passes the include/exclude tag filters.
+   * Tags are matched case-insensitively against both the tag slug and name.
+   * @param {Object} post - Blog post object
+   * @param {Object} options - Filter options
+   * @param {Array} options.includeTags - Tags the post must have
+   * @param {Array} options.excludeTags - Tags the post must not have
+   * @param {string} options.tagMatch - 'any' to require one included tag, 'all' to require every one
+   * @returns {boolean} Whether the post matches
+   */
+  static matchesTags(post, { includeTags = [], excludeTags = [], tagMatch = 'any' } = {}) {
+    const postTags = new Set(
+      (post.tags || [])
+        .flatMap(tag => [tag.slug, tag.name])
+        .filter(Boolean)
+        .map(FilterHelper.normalizeTag)
+    );
+    const hasTag = tag => postTags.has(FilterHelper.normalizeTag(tag));
+
+    if (excludeTags.some(hasTag)) {
+      return false;
+    }
+
+    if (includeTags.length === 0) {
+      return true;
+    }
+
+    return tagMatch === 'all' ? includeTags.every(hasTag) : includeTags.some(hasTag);
+  }
+
+  /**
+   * Check whether a post was written by one of the given authors, as author or co-author
+   * @param {Object} post - Blog post object
+   * @param {Array} authors - Normalized usernames, empty to match every post
+   * @returns {boolean} Whether the post matches
+   */
+  static matchesAuthors(post, authors) {
+    if (authors.length === 0) {
+      return true;
+    }
+
+    return [post.author, ...(post.coAuthors || [])].some(
+      author => author?.username && authors.includes(author.username.toLowerCase())
+    );
+  }
+
+  /**
+   * Normalize a list of usernames for comparison, accepting a leading @
+   * @param {Array} usernames - Hashnode usernames
+   * @returns {Array} Normalized usernames
+   */
+  static normalizeUsernames(usernames) {
+    return (usernames || [])
+      .map(username => String(username).trim().replace(/^@/, '').toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalize a list of tags for comparison
+   * @param {Array} tags - Tag names or slugs
+   * @returns {Array} Normalized tags
+   */
+  static normalizeTags(tags) {
+    return (tags || []).map(FilterHelper.normalizeTag).filter(Boolean);
+  }
+
+  /**
+   * Normalize a single tag name or slug for comparison
+   * @param {string} tag - Tag name or slug
+   * @returns {string} Normalized tag
+   */
+  static normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').toLowerCase();
+  }
+}
+
+module.exports = { FilterHelper };
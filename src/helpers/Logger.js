@@ -6,13 +6,78 @@ const _debug = core.debug;
 const _startGroup = core.startGroup;
 const _endGroup = core.endGroup;
 
+// Settings shared by all logger instances, changed through Logger.configure
+const settings = {
+  cli: false,
+  debug: false,
+  secrets: []
+};
+
+// Replaces secrets in everything the logger writes
+const MASK = '***';
+
 /**
  * Logger helper class for consistent logging across the application
  */
 class Logger {
   constructor(context = '✍️ Hashnode-Blog-Pull-Action') {
     this.context = context;
-    this.isDebugEnabled = process.env.RUNNER_DEBUG === '1' || getInput('debug') === 'true';
+    this.isDebugEnabled =
+      settings.debug || process.env.RUNNER_DEBUG === '1' || getInput('debug') === 'true';
+  }
+
+  /**
+   * Configure all loggers. In CLI mode every message goes to stderr so stdout only carries
+   * the command output, and no GitHub Actions workflow commands are emitted.
+   * @param {Object} options - Logger settings
+   * @param {boolean} options.cli - Enable CLI mode
+   * @param {boolean} options.debug - Enable debug messages
+   */
+  static configure({ cli = settings.cli, debug = settings.debug } = {}) {
+    settings.cli = cli;
+    settings.debug = debug;
+  }
+
+  /**
+   * Register a secret that all loggers replace with *** in their output. In the action
+   * the secret is also registered with the runner, which masks it in the whole job log.
+   * @param {string} secret - Secret value, e.g. an API token
+   */
+  static addSecret(secret) {
+    if (!secret || settings.secrets.includes(secret)) {
+      return;
+    }
+
+    settings.secrets.push(secret);
+    if (!settings.cli) {
+      core.setSecret(secret);
+    }
+  }
+
+  /**
+   * Replace all registered secrets in a text
+   * @param {string} text - Text to mask
+   * @returns {string} Masked text
+   */
+  mask(text) {
+    return settings.secrets.reduce((masked, secret) => masked.split(secret).join(MASK), text);
+  }
+
+  /**
+   * Write a line to the console
+   * @param {string} text - Text to write
+   * @param {string} level - 'log', 'warn' or 'error'
+   */
+  print(text, level = 'log') {
+    const masked = this.mask(String(text));
+
+    if (settings.cli || level === 'error') {
+      console.error(masked);
+    } else if (level === 'warn') {
+      console.warn(masked);
+    } else {
+      console.log(masked);
+    }
   }
 
   /**
@@ -22,10 +87,10 @@ class Logger {
    */
   info(message, data = null) {
     const formattedMessage = this.formatMessage('ℹ️ INFO', message);
-    console.log(formattedMessage);
+    this.print(formattedMessage);
 
     if (data) {
-      console.log(this.formatData(data));
+      this.print(this.formatData(data));
     }
   }
 
@@ -36,11 +101,13 @@ class Logger {
    */
   warn(message, data = null) {
     const formattedMessage = this.formatMessage('⚠️ WARN', message);
-    console.warn(formattedMessage);
-    warning(message);
+    this.print(formattedMessage, 'warn');
+    if (!settings.cli) {
+      warning(this.mask(message));
+    }
 
     if (data) {
-      console.warn(this.formatData(data));
+      this.print(this.formatData(data), 'warn');
     }
   }
 
@@ -51,19 +118,39 @@ class Logger {
    */
   error(message, error = null) {
     const formattedMessage = this.formatMessage('❌ ERROR', message);
-    console.error(formattedMessage);
-    _error(message);
+    this.print(formattedMessage, 'error');
+    if (!settings.cli) {
+      _error(this.mask(message));
+    }
 
     if (error) {
       if (error instanceof Error) {
-        console.error(this.formatError(error));
-        _error(error.stack || error.message);
+        this.print(this.formatData(this.formatError(error)), 'error');
+        if (!settings.cli) {
+          _error(this.mask(error.stack || error.message));
+        }
       } else {
-        console.error(this.formatData(error));
+        this.print(this.formatData(error), 'error');
       }
     }
   }
 
+  /**
+   * Log an error or warning as a GitHub Actions annotation
+   * @param {string} level - 'error' or 'warning'
+   * @param {string} message - Message to log
+   * @param {Object} properties - Annotation properties such as `title`, `file` and `startLine`
+   */
+  annotate(level, message, properties = {}) {
+    const isError = level === 'error';
+    const formattedMessage = this.formatMessage(isError ? '❌ ERROR' : '⚠️ WARN', message);
+    this.print(formattedMessage, isError ? 'error' : 'warn');
+
+    if (!settings.cli) {
+      (isError ? _error : warning)(this.mask(message), properties);
+    }
+  }
+
   /**
    * Log debug message (only in debug mode)
    * @param {string} message - Message to log
@@ -75,11 +162,13 @@ class Logger {
     }
 
     const formattedMessage = this.formatMessage('🔍 DEBUG', message);
-    console.log(formattedMessage);
-    _debug(message);
+    this.print(formattedMessage);
+    if (!settings.cli) {
+      _debug(this.mask(message));
+    }
 
     if (data) {
-      console.log(this.formatData(data));
+      this.print(this.formatData(data));
     }
   }
 
@@ -90,10 +179,10 @@ class Logger {
    */
   success(message, data = null) {
     const formattedMessage = this.formatMessage('✅ SUCCESS', message);
-    console.log(formattedMessage);
+    this.print(formattedMessage);
 
     if (data) {
-      console.log(this.formatData(data));
+      this.print(this.formatData(data));
     }
   }
 
@@ -102,7 +191,9 @@ class Logger {
    * @param {string} title - Group title
    */
   startGroup(title) {
-    _startGroup(title);
+    if (!settings.cli) {
+      _startGroup(title);
+    }
     this.info(`Starting: ${title}`);
   }
 
@@ -110,7 +201,9 @@ class Logger {
    * End the current log group
    */
   endGroup() {
-    _endGroup();
+    if (!settings.cli) {
+      _endGroup();
+    }
   }
 
   /**
@@ -121,10 +214,10 @@ class Logger {
    */
   log(level, message, data = null) {
     const formattedMessage = this.formatMessage(level.toUpperCase(), message);
-    console.log(formattedMessage);
+    this.print(formattedMessage);
 
     if (data) {
-      console.log(this.formatData(data));
+      this.print(this.formatData(data));
     }
   }
 
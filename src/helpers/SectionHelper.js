@@ -0,0 +1,140 @@
+const SECTION_PREFIX = 'BLOG-POSTS';
+const TIMESTAMP_PATTERN = new RegExp(`<!--\\s*${SECTION_PREFIX}:LAST-UPDATED\\b[^>]*-->`, 'g');
+
+/**
+ * Helper class for locating and replacing blog post marker sections in a file.
+ *
+ * A section is delimited by a pair of HTML comments. The default section uses
+ * `<!-- BLOG-POSTS:START -->` / `<!-- BLOG-POSTS:END -->`, named sections use
+ * `<!-- BLOG-POSTS:name:START -->` / `<!-- BLOG-POSTS:name:END -->`. The start
+ * marker may carry options as attributes, e.g.
+ * `<!-- BLOG-POSTS:featured:START format="card" count="3" -->`.
+ */
+class SectionHelper {
+  /**
+   * Find all marker sections in file content
+   * @param {string} content - File content
+   * @returns {Object} Found sections and names of sections missing an end marker
+   */
+  static findSections(content) {
+    const startPattern = new RegExp(
+      `<!--\\s*${SECTION_PREFIX}(?::([\\w-]+))?:START\\b([\\s\\S]*?)-->`,
+      'g'
+    );
+    const sections = [];
+    const unclosed = [];
+    let match;
+
+    while ((match = startPattern.exec(content)) !== null) {
+      const [startMarker, name = null, attributeText] = match;
+      const endMarker = SectionHelper.buildMarker(name, 'END');
+      const endPattern = new RegExp(
+        `<!--\\s*${SECTION_PREFIX}${name ? `:${name}` : ''}:END\\s*-->`,
+        'g'
+      );
+      endPattern.lastIndex = startPattern.lastIndex;
+      const endMatch = endPattern.exec(content);
+
+      if (!endMatch) {
+        unclosed.push(name);
+        continue;
+      }
+
+      sections.push({
+        name,
+        attributes: SectionHelper.parseAttributes(attributeText),
+        startMarker,
+        endMarker,
+        start: match.index,
+        end: endMatch.index + endMatch[0].length,
+        body: content.substring(startPattern.lastIndex, endMatch.index)
+      });
+      startPattern.lastIndex = endMatch.index + endMatch[0].length;
+    }
+
+    return { sections, unclosed };
+  }
+
+  /**
+   * Parse key="value" attributes from a start marker
+   * @param {string} text - Attribute text following the START keyword
+   * @returns {Object} Attributes keyed by name
+   */
+  static parseAttributes(text) {
+    const attributes = {};
+    const attributePattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/g;
+    let match;
+
+    while ((match = attributePattern.exec(text || '')) !== null) {
+      const [, name, doubleQuoted, singleQuoted, bare] = match;
+      attributes[name] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Build a section marker comment
+   * @param {string|null} name - Section name, null for the default section
+   * @param {string} position - 'START' or 'END'
+   * @returns {string} Marker comment
+   */
+  static buildMarker(name, position) {
+    return `<!-- ${SECTION_PREFIX}${name ? `:${name}` : ''}:${position} -->`;
+  }
+
+  /**
+   * Build the full section text including markers
+   * @param {string} startMarker - Start marker (kept verbatim so attributes survive)
+   * @param {string} endMarker - End marker
+   * @param {string} body - Section body
+   * @returns {string} Section text
+   */
+  static buildSection(startMarker, endMarker, body) {
+    return `${startMarker}\n${body}\n${endMarker}`;
+  }
+
+  /**
+   * Build the comment recording when a section was last updated
+   * @param {Date} date - Update time
+   * @returns {string} Timestamp comment
+   */
+  static buildTimestamp(date) {
+    return `<!-- ${SECTION_PREFIX}:LAST-UPDATED ${date.toISOString().replace(/\.\d{3}Z$/, 'Z')} -->`;
+  }
+
+  /**
+   * Check whether two versions of a file differ in more than their timestamp comments
+   * @param {string} original - Original content
+   * @param {string} updated - Updated content
+   * @returns {boolean} True if the content changed
+   */
+  static hasContentChanged(original, updated) {
+    const normalize = content =>
+      content.replace(TIMESTAMP_PATTERN, `<!-- ${SECTION_PREFIX}:LAST-UPDATED -->`);
+
+    return normalize(original) !== normalize(updated);
+  }
+
+  /**
+   * Replace sections in file content with new bodies
+   * @param {string} content - Current file content
+   * @param {Array} replacements - Objects with a `section` (from findSections) and new `body`
+   * @returns {string} Updated file content
+   */
+  static replaceSections(content, replacements) {
+    return [...replacements]
+      .sort((a, b) => b.section.start - a.section.start)
+      .reduce(
+        (result, { section, body }) =>
+          `${result.substring(0, section.start)}${SectionHelper.buildSection(
+            section.startMarker,
+            section.endMarker,
+            body
+          )}${result.substring(section.end)}`,
+        content
+      );
+  }
+}
+
+module.exports = { SectionHelper };
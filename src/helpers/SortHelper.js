@@ -0,0 +1,107 @@
+const moment = require('moment-timezone');
+const { DateHelper } = require('./DateHelper');
+
+/**
+ * Engagement metrics each engagement sort order ranks posts by, in order of importance
+ */
+const ENGAGEMENT_METRICS = {
+  reactions: [post => post.reactions || 0],
+  views: [post => post.views || 0],
+  comments: [post => post.comments || 0],
+  // Reactions and comments are interactions of similar weight, views only break ties
+  popular: [post => (post.reactions || 0) + (post.comments || 0), post => post.views || 0]
+};
+
+// Number of the newest posts the engagement and updated sort orders rank, unless fetch_limit is set
+const DEFAULT_RANKING_LIMIT = 100;
+
+/**
+ * Helper class for ordering blog posts
+ */
+class SortHelper {
+  /**
+   * Order posts for a section configuration. The posts are not modified; posts may be
+   * shared between sections, so a sorted copy is returned.
+   * @param {Array} posts - Blog posts, newest first
+   * @param {Object} config - Configuration object
+   * @param {string} config.sortBy - Sort order from ConfigHelper.getSupportedSortOrders
+   * @param {number} config.popularDays - Days the popular sort order looks back
+   * @returns {Array} Sorted posts
+   */
+  static sortPosts(posts, { sortBy = 'newest', popularDays } = {}) {
+    if (sortBy === 'oldest') {
+      return DateHelper.sortByDateAsc([...posts]);
+    }
+    if (sortBy === 'updated') {
+      return DateHelper.sortByDateDesc([...posts], 'updatedAt');
+    }
+    if (sortBy === 'popular') {
+      return SortHelper.sortByEngagement(
+        DateHelper.filterByDateRange(posts, SortHelper.getPopularSince(popularDays), moment()),
+        sortBy
+      );
+    }
+    if (ENGAGEMENT_METRICS[sortBy]) {
+      return SortHelper.sortByEngagement(posts, sortBy);
+    }
+
+    return DateHelper.sortByDateDesc([...posts]);
+  }
+
+  /**
+   * Sort posts by an engagement metric, most engaged first. Posts with the same
+   * engagement keep newest-first order.
+   * @param {Array} posts - Blog posts
+   * @param {string} sortBy - Key of ENGAGEMENT_METRICS
+   * @returns {Array} Sorted posts
+   */
+  static sortByEngagement(posts, sortBy) {
+    const metrics = ENGAGEMENT_METRICS[sortBy];
+
+    return DateHelper.sortByDateDesc([...posts]).sort((a, b) => {
+      for (const getValue of metrics) {
+        const difference = getValue(b) - getValue(a);
+
+        if (difference !== 0) {
+          return difference;
+        }
+      }
+
+      return 0;
+    });
+  }
+
+  /**
+   * Get the start of the period the popular sort order ranks posts from
+   * @param {number} days - Number of days to look back
+   * @returns {moment.Moment} Start of the period
+   */
+  static getPopularSince(days) {
+    return moment().subtract(days, 'days').startOf('day');
+  }
+
+  /**
+   * Get the number of posts to fetch for a section configuration. Hashnode returns posts
+   * newest first, so the newest order only needs the displayed posts and the oldest order
+   * needs every post; the other orders rank the newest DEFAULT_RANKING_LIMIT posts unless
+   * fetch_limit says otherwise.
+   * @param {Object} config - Configuration object
+   * @param {string} config.sortBy - Sort order
+   * @param {number} config.postCount - Number of posts to display
+   * @param {number|null} config.fetchLimit - Configured fetch limit, null if not set
+   * @returns {number} Number of posts to fetch, Infinity for all posts
+   */
+  static getFetchLimit({ sortBy = 'newest', postCount, fetchLimit = null }) {
+    if (fetchLimit !== null) {
+      return fetchLimit;
+    }
+
+    if (sortBy === 'newest') {
+      return postCount;
+    }
+
+    return sortBy === 'oldest' ? Infinity : Math.max(postCount, DEFAULT_RANKING_LIMIT);
+  }
+}
+
+module.exports = { SortHelper };
@@ -0,0 +1,147 @@
+const { createTwoFilesPatch } = require('diff');
+const { TemplateHelper } = require('./TemplateHelper');
+
+const templateHelper = new TemplateHelper();
+
+// Author profiles in bylines and series pages in series headings are linked alongside posts,
+// and scheduled drafts link to the publication home page
+const NON_POST_LINK_PATTERNS = [
+  /^https?:\/\/hashnode\.com\/@/i,
+  /\/series\/[^/?#]+\/?$/,
+  /^https?:\/\/[^/?#]+\/?$/
+];
+
+/**
+ * Helper class for summarizing post changes between runs
+ */
+class SummaryHelper {
+  /**
+   * Extract post links from a previously rendered section body.
+   * Markdown links and `href` attributes are considered; image sources, relative links,
+   * author profiles, series pages and publication home pages are ignored.
+   * @param {string} body - Rendered section body
+   * @returns {Array} Unique link URLs in order of appearance
+   */
+  static extractPostLinks(body) {
+    if (!body) {
+      return [];
+    }
+
+    const links = [];
+    // Link texts may contain brackets escaped with a backslash, e.g. "[v2\]"
+    const linkPattern = /(?<!!)\[(?:\\.|[^\]\\])*\]\(([^)\s]+)[^)]*\)|href="([^"]+)"/g;
+    let match;
+
+    while ((match = linkPattern.exec(body)) !== null) {
+      // Markdown link targets were percent-escaped and attribute values HTML-escaped when rendered
+      const url = match[1]
+        ? SummaryHelper.decodeMarkdownUrl(match[1])
+        : SummaryHelper.decodeEntities(match[2]);
+      if (SummaryHelper.isPostLink(url) && !links.includes(url)) {
+        links.push(url);
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Check whether a link can point to a post
+   * @param {string} url - Link URL
+   * @returns {boolean} Whether the link is absolute and no profile or series page
+   */
+  static isPostLink(url) {
+    return /^https?:\/\//.test(url) && !NON_POST_LINK_PATTERNS.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Decode the HTML entities produced when escaping attribute values
+   * @param {string} text - Escaped text
+   * @returns {string} Decoded text
+   */
+  static decodeEntities(text) {
+    const entities = { quot: '"', lt: '<', gt: '>', amp: '&' };
+
+    return text.replace(/&(?:#(\d+)|(quot|lt|gt|amp));/g, (match, code, name) =>
+      code ? String.fromCharCode(code) : entities[name]
+    );
+  }
+
+  /**
+   * Decode the characters TemplateHelper.escapeMarkdownUrl percent-escapes in link targets
+   * @param {string} url - Escaped link target
+   * @returns {string} Decoded URL
+   */
+  static decodeMarkdownUrl(url) {
+    return url.replace(/%([0-9a-f]{2})/gi, (match, code) => {
+      const character = String.fromCharCode(parseInt(code, 16));
+      return /[\s()<>]/.test(character) ? character : match;
+    });
+  }
+
+  /**
+   * Compare the posts in a section before and after rendering. Scheduled drafts are left
+   * out, as they have no URL of their own to tell them apart.
+   * @param {string} previousBody - Section body before the update
+   * @param {Array} posts - Posts rendered into the section
+   * @returns {Object} Added posts and removed post URLs
+   */
+  static comparePosts(previousBody, posts) {
+    const published = posts.filter(post => !post.scheduled);
+    const urlOf = post => SummaryHelper.decodeMarkdownUrl(post.url || '');
+    const previousLinks = SummaryHelper.extractPostLinks(previousBody);
+    const currentLinks = new Set(published.map(urlOf));
+
+    return {
+      added: published.filter(post => !previousLinks.includes(urlOf(post))),
+      removed: previousLinks.filter(url => !currentLinks.has(url))
+    };
+  }
+
+  /**
+   * Build a Markdown summary of added and removed posts per file and section
+   * @param {Array} changes - Objects with `filename`, `section` name, `added` and `removed`
+   * @returns {string} Markdown summary
+   */
+  static buildChangeSummary(changes) {
+    const relevant = changes.filter(change => change.added.length || change.removed.length);
+
+    if (relevant.length === 0) {
+      return 'No posts were added or removed; only formatting changed.';
+    }
+
+    return relevant
+      .map(change => {
+        const heading = `#### ${change.filename}${change.section ? ` (${change.section})` : ''}`;
+        const added = change.added.map(post => {
+          const markdown = templateHelper.escapePost(post, 'md');
+          return `- ➕ [${markdown.title}](${markdown.url})`;
+        });
+        const removed = change.removed.map(
+          url => `- ➖ <${templateHelper.escapeMarkdownUrl(url)}>`
+        );
+
+        return [heading, '', ...added, ...removed].join('\n');
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Build a unified diff between two versions of a file
+   * @param {string} path - File path
+   * @param {string} original - Original content
+   * @param {string} updated - Updated content
+   * @returns {string} Unified diff, empty when the content is unchanged
+   */
+  static buildFileDiff(path, original, updated) {
+    if (original === updated) {
+      return '';
+    }
+
+    return createTwoFilesPatch(`a/${path}`, `b/${path}`, original, updated)
+      .replace(/^=+\n/, '')
+      .replace(/\t$/gm, '');
+  }
+}
+
+module.exports = { SummaryHelper };
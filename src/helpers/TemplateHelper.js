@@ -1,3 +1,64 @@
+const { DateHelper } = require('./DateHelper');
+
+const TEMPLATE_BLOCKS = ['if', 'unless', 'each'];
+
+// Escaping contexts usable as template filters, e.g. {{title | md}}
+const ESCAPE_CONTEXTS = ['html', 'attr', 'url', 'md', 'mdurl', 'raw'];
+
+// Post fields shown when show_fields is not set
+const DEFAULT_FIELDS = ['date'];
+const FORMAT_DEFAULT_FIELDS = {
+  'svg-card': ['date', 'readTime', 'tags']
+};
+
+// Separator between the post fields of a metadata line
+const FIELD_SEPARATOR = ' · ';
+
+// Shown before the other fields of pinned posts
+const PINNED_BADGE = '📌 Pinned';
+
+// Shown before the date of scheduled posts
+const SCHEDULED_MARKER = '🗓️';
+
+// Default theme palette
+const DEFAULT_THEME = {
+  primaryColor: '#1a1a1a',
+  secondaryColor: '#6b7280',
+  textColor: '#4b5563',
+  backgroundColor: '#ffffff',
+  surfaceColor: '#f8f9fa',
+  borderColor: '#e1e5e9',
+  borderRadius: '8px',
+  fontSize: '14px',
+  fontFamily: 'system-ui, -apple-system, sans-serif'
+};
+
+// Named theme presets, each overriding parts of the default palette
+const THEME_PRESETS = {
+  light: {},
+  dark: {
+    primaryColor: '#e6edf3',
+    secondaryColor: '#9198a1',
+    textColor: '#c9d1d9',
+    backgroundColor: '#0d1117',
+    surfaceColor: '#161b22',
+    borderColor: '#3d444d'
+  },
+  'high-contrast': {
+    primaryColor: '#000000',
+    secondaryColor: '#1f1f1f',
+    textColor: '#000000',
+    backgroundColor: '#ffffff',
+    surfaceColor: '#ffffff',
+    borderColor: '#000000'
+  }
+};
+
+// Themes that follow the reader's color scheme, mapping each scheme to a preset
+const AUTO_THEMES = {
+  'github-auto': { light: 'light', dark: 'dark' }
+};
+
 /**
  * Helper class for template processing and variable replacement
  */
@@ -14,39 +75,256 @@ class TemplateHelper {
       return '';
     }
 
-    let result = template;
-
-    // Post variables
-    const postVars = {
-      '{{title}}': post.title || '',
-      '{{description}}': post.description || '',
-      '{{url}}': post.url || '',
-      '{{coverImage}}': post.coverImage || '',
-      '{{publishedAt}}': post.publishedAt || '',
-      '{{formattedDate}}': post.formattedDate || '',
-      '{{slug}}': post.slug || '',
-      '{{authorName}}': post.author?.name || '',
-      '{{authorUsername}}': post.author?.username || '',
-      '{{readTime}}': post.readTime || 0,
-      '{{id}}': post.id || ''
+    return this.renderTemplate(template, this.buildTemplateContext(post, config));
+  }
+
+  /**
+   * Build the variable context exposed to custom post templates
+   * @param {Object} post - Blog post data
+   * @param {Object} config - Configuration object
+   * @returns {Object} Template context
+   */
+  buildTemplateContext(post, config) {
+    return {
+      ...post,
+      title: post.title || '',
+      description: post.description || '',
+      url: post.url || '',
+      coverImage: post.coverImage || '',
+      publishedAt: post.publishedAt || '',
+      formattedDate: post.formattedDate || '',
+      slug: post.slug || '',
+      authorName: post.author?.name || '',
+      authorUsername: post.author?.username || '',
+      authorAvatar: post.author?.profilePicture || '',
+      authorUrl: post.author?.profileUrl || '',
+      coAuthors: post.coAuthors || [],
+      readTime: post.readTime || 0,
+      subtitle: post.subtitle || '',
+      reactions: post.reactions || 0,
+      views: post.views || 0,
+      comments: post.comments || 0,
+      series: post.series || null,
+      part: post.part || null,
+      pinned: Boolean(post.pinned),
+      scheduled: Boolean(post.scheduled),
+      delisted: Boolean(post.delisted),
+      meta: post.meta || '',
+      details: post.details || '',
+      id: post.id || '',
+      tags: post.tags || [],
+      ...this.buildConfigContext(config)
     };
+  }
 
-    // Config variables
-    const configVars = {
-      '{{imageWidth}}': config.imageWidth || 100,
-      '{{imageHeight}}': config.imageHeight || 100,
-      '{{cardWidth}}': config.cardWidth || 400,
-      '{{customCss}}': config.customCss || ''
+  /**
+   * Build the config variables shared by all custom templates
+   * @param {Object} config - Configuration object
+   * @returns {Object} Config variables
+   */
+  buildConfigContext(config) {
+    const themeStyles = this.buildThemeStyles(config);
+
+    return {
+      imageWidth: config.imageWidth || 100,
+      imageHeight: config.imageHeight || 100,
+      cardWidth: config.cardWidth || 400,
+      customCss: config.customCss || '',
+      sectionTitle: config.sectionTitle || '',
+      publicationName: config.publicationName || '',
+      theme: themeStyles.values,
+      themeStylesheet: themeStyles.stylesheet
     };
+  }
 
-    // Replace all variables
-    const allVars = { ...postVars, ...configVars };
+  /**
+   * Render a template string against a context object.
+   * Supports {{variable}} and {{nested.path}} lookups, {{#if path}}…{{else}}…{{/if}},
+   * {{#unless path}}…{{/unless}} and {{#each path}}…{{/each}} blocks. Inside a loop the
+   * current item is available as {{this}} (or through its properties directly), along
+   * with {{@index}}, {{@number}}, {{@first}} and {{@last}}.
+   * Variables are HTML-escaped by default. A filter picks another escaping context
+   * ({{url | url}}, {{title | md}}, {{url | mdurl}}, {{title | attr}}), and {{{title}}} or
+   * {{title | raw}} outputs the value unescaped.
+   * @param {string} template - Template string
+   * @param {Object} context - Variables available to the template
+   * @returns {string} Rendered template
+   * @throws {Error} If the template contains unbalanced or unknown blocks
+   */
+  renderTemplate(template, context = {}) {
+    if (!template || typeof template !== 'string') {
+      return '';
+    }
+
+    const nodes = this.parseTemplate(template);
+    return this.renderNodes(nodes, [{ data: context, locals: {} }]);
+  }
 
-    for (const [variable, value] of Object.entries(allVars)) {
-      result = result.replace(new RegExp(this.escapeRegExp(variable), 'g'), String(value));
+  /**
+   * Parse a template string into a tree of text, variable and block nodes
+   * @param {string} template - Template string
+   * @returns {Array} Template nodes
+   * @throws {Error} If the template contains unbalanced or unknown blocks
+   */
+  parseTemplate(template) {
+    const tagPattern = /{{({?)\s*([#/]?)\s*([\w.@]+)(?:\s+([\w.@]+))?\s*(?:\|\s*(\w+)\s*)?(}?)}}/g;
+    const root = { type: 'root', children: [] };
+    const stack = [{ node: root, target: root.children }];
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(template)) !== null) {
+      const frame = stack[stack.length - 1];
+      const [tag, rawOpen, marker, name, argument, filter, rawClose] = match;
+
+      if (match.index > lastIndex) {
+        frame.target.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      ({ lastIndex } = tagPattern);
+
+      if (marker === '#') {
+        if (!TEMPLATE_BLOCKS.includes(name)) {
+          throw new Error(`Unknown template block: ${tag}`);
+        }
+        if (!argument) {
+          throw new Error(`Template block ${tag} requires a variable name`);
+        }
+
+        const node = { type: name, path: argument, children: [], inverse: [] };
+        frame.target.push(node);
+        stack.push({ node, target: node.children });
+      } else if (marker === '/') {
+        if (stack.length === 1 || frame.node.type !== name) {
+          throw new Error(`Unexpected closing tag ${tag} in template`);
+        }
+        stack.pop();
+      } else if (name === 'else') {
+        if (stack.length === 1 || frame.target === frame.node.inverse) {
+          throw new Error('Unexpected {{else}} in template');
+        }
+        frame.target = frame.node.inverse;
+      } else {
+        const context = rawOpen && rawClose ? 'raw' : filter || 'html';
+        if (!ESCAPE_CONTEXTS.includes(context)) {
+          throw new Error(
+            `Unknown template filter "${filter}" in ${tag}. Use one of: ${ESCAPE_CONTEXTS.join(', ')}`
+          );
+        }
+        frame.target.push({ type: 'variable', path: name, context });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed template block: {{#${stack[stack.length - 1].node.type}}}`);
+    }
+
+    if (lastIndex < template.length) {
+      root.children.push({ type: 'text', value: template.slice(lastIndex) });
     }
 
-    return result;
+    return root.children;
+  }
+
+  /**
+   * Render parsed template nodes
+   * @param {Array} nodes - Template nodes
+   * @param {Array} scopes - Scope chain, innermost last
+   * @returns {string} Rendered output
+   */
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => this.renderNode(node, scopes)).join('');
+  }
+
+  /**
+   * Render a single parsed template node
+   * @param {Object} node - Template node
+   * @param {Array} scopes - Scope chain, innermost last
+   * @returns {string} Rendered output
+   */
+  renderNode(node, scopes) {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    const value = this.resolveTemplatePath(node.path, scopes);
+
+    if (node.type === 'variable') {
+      return this.escape(value, node.context);
+    }
+
+    if (node.type === 'if' || node.type === 'unless') {
+      const truthy = this.isTemplateTruthy(value) === (node.type === 'if');
+      return this.renderNodes(truthy ? node.children : node.inverse, scopes);
+    }
+
+    if (!Array.isArray(value) || value.length === 0) {
+      return this.renderNodes(node.inverse, scopes);
+    }
+
+    return value
+      .map((item, index) =>
+        this.renderNodes(node.children, [
+          ...scopes,
+          {
+            data: item,
+            locals: {
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === value.length - 1
+            }
+          }
+        ])
+      )
+      .join('');
+  }
+
+  /**
+   * Resolve a dotted variable path against the scope chain
+   * @param {string} path - Variable path (e.g. "title", "author.name", "this", "@index")
+   * @param {Array} scopes - Scope chain, innermost last
+   * @returns {any} Resolved value or undefined
+   */
+  resolveTemplatePath(path, scopes) {
+    const innermost = scopes[scopes.length - 1];
+
+    if (path.startsWith('@')) {
+      return innermost.locals[path];
+    }
+
+    const [head, ...rest] = path.split('.');
+    let value;
+
+    if (head === 'this') {
+      value = innermost.data;
+    } else {
+      const scope = [...scopes]
+        .reverse()
+        .find(({ data }) => data !== null && typeof data === 'object' && head in data);
+      value = scope ? scope.data[head] : undefined;
+    }
+
+    for (const key of rest) {
+      if (value === null || value === undefined) {
+        return undefined;
+      }
+      value = value[key];
+    }
+
+    return value;
+  }
+
+  /**
+   * Determine whether a template value counts as truthy for {{#if}} blocks
+   * @param {any} value - Value to check
+   * @returns {boolean} Whether the value is truthy
+   */
+  isTemplateTruthy(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+
+    return Boolean(value);
   }
 
   /**
@@ -87,7 +365,7 @@ class TemplateHelper {
 
     const classAttr = className ? ` class="${className}"` : '';
 
-    return `<img src="${src}" alt="${this.escapeHtml(alt)}"${classAttr} style="${styles}" />`;
+    return `<img src="${this.escape(src, 'url')}" alt="${this.escapeAttribute(alt)}"${classAttr} style="${styles}" />`;
   }
 
   /**
@@ -110,7 +388,7 @@ class TemplateHelper {
     const classAttr = className ? ` class="${className}"` : '';
     const styleAttr = style ? ` style="${style}"` : '';
 
-    return `<a href="${href}"${targetAttr}${relAttr}${classAttr}${styleAttr}>${this.escapeHtml(text)}</a>`;
+    return `<a href="${this.escape(href, 'url')}"${targetAttr}${relAttr}${classAttr}${styleAttr}>${this.escapeHtml(text)}</a>`;
   }
 
   /**
@@ -150,6 +428,114 @@ class TemplateHelper {
     return text.replace(/[&<>"']/g, match => htmlEscapes[match]);
   }
 
+  /**
+   * Escape a value for the given output context
+   * @param {any} value - Value to escape
+   * @param {string} context - html (text), attr (attribute value), url (URL attribute),
+   * md (Markdown text, including link text and table cells), mdurl (Markdown link target) or raw
+   * @returns {string} Escaped value
+   */
+  escape(value, context = 'html') {
+    const text = value === undefined || value === null ? '' : String(value);
+
+    const escapers = {
+      html: unsafe => this.escapeHtml(unsafe),
+      attr: unsafe => this.escapeAttribute(unsafe),
+      url: unsafe => this.escapeAttribute(this.sanitizeUrl(unsafe)),
+      md: unsafe => this.escapeMarkdown(unsafe),
+      mdurl: unsafe => this.escapeMarkdownUrl(unsafe),
+      raw: unsafe => unsafe
+    };
+
+    return (escapers[context] || escapers.html)(text);
+  }
+
+  /**
+   * Escape the displayable fields of a post for HTML or Markdown output.
+   * In HTML mode text fields are safe for both element content and attribute values.
+   * @param {Object} post - Processed blog post
+   * @param {string} mode - 'html' or 'md'
+   * @returns {Object} Escaped title, description, formattedDate, meta, details, url and coverImage
+   */
+  escapePost(post, mode = 'html') {
+    const textContext = mode === 'md' ? 'md' : 'attr';
+    const urlContext = mode === 'md' ? 'mdurl' : 'url';
+
+    return {
+      title: this.escape(post.title, textContext),
+      description: this.escape(post.description, textContext),
+      formattedDate: this.escape(post.formattedDate, textContext),
+      meta: this.escape(post.meta, textContext),
+      details: this.escape(post.details, textContext),
+      url: this.escape(post.url, urlContext),
+      coverImage: this.escape(post.coverImage, urlContext)
+    };
+  }
+
+  /**
+   * Escape a value for use inside a double-quoted HTML attribute
+   * @param {any} value - Value to escape
+   * @returns {string} Escaped value
+   */
+  escapeAttribute(value) {
+    return this.escapeHtml(value === undefined || value === null ? '' : String(value)).replace(
+      /[\r\n]+/g,
+      ' '
+    );
+  }
+
+  /**
+   * Only allow http(s), mailto and relative URLs, so values like `javascript:` can't be injected.
+   * Browsers ignore tabs, newlines and other control characters when reading the scheme
+   * (`java\tscript:`), so they are removed before it is checked.
+   * @param {string} url - URL to check
+   * @returns {string} The trimmed URL without control characters, or '#' when it uses an unsafe scheme
+   */
+  sanitizeUrl(url) {
+    const trimmed = Array.from(String(url || ''))
+      .filter(char => char > '\u001f' && char !== '\u007f')
+      .join('')
+      .trim();
+    const scheme = trimmed.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) {
+      return '#';
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Escape text for inline Markdown (link text, emphasis, table cells).
+   * Markdown punctuation is backslash-escaped and HTML is neutralized.
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeMarkdown(text) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .replace(/[\r\n]+/g, ' ')
+      .replace(/[\\`*_[\]|!#~]/g, '\\$&')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape a URL for use as a Markdown link or image target
+   * @param {string} url - URL to escape
+   * @returns {string} Escaped URL
+   */
+  escapeMarkdownUrl(url) {
+    return this.sanitizeUrl(url).replace(
+      /[\s()<>]/g,
+      character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+    );
+  }
+
   /**
    * Truncate text to specified length
    * @param {string} text - Text to truncate
@@ -169,6 +555,155 @@ class TemplateHelper {
     return text.substring(0, length).trim() + suffix;
   }
 
+  /**
+   * Wrap text into lines of at most `maxChars` characters, ending with an ellipsis when
+   * it does not fit into `maxLines` lines
+   * @param {string} text - Text to wrap
+   * @param {number} maxChars - Maximum characters per line
+   * @param {number} maxLines - Maximum number of lines
+   * @returns {Array} Lines
+   */
+  wrapText(text, maxChars, maxLines) {
+    const lines = [];
+
+    for (const word of String(text)
+      .split(/\s+/)
+      .filter(part => part)) {
+      const current = lines[lines.length - 1];
+
+      if (current !== undefined && `${current} ${word}`.length <= maxChars) {
+        lines[lines.length - 1] = `${current} ${word}`;
+      } else {
+        lines.push(word.length > maxChars ? `${word.substring(0, maxChars - 1)}…` : word);
+      }
+    }
+
+    if (lines.length > maxLines) {
+      const last = lines[maxLines - 1];
+      lines.length = maxLines;
+      lines[maxLines - 1] = `${last.substring(0, maxChars - 1)}…`;
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get the post fields a section shows
+   * @param {Object} config - Configuration object
+   * @returns {Array} Field names from show_fields, or the default fields of the display format
+   * (led by the part number when posts are grouped by series)
+   */
+  getShowFields(config) {
+    if (config.showFields && config.showFields.length > 0) {
+      return config.showFields;
+    }
+
+    const fields = FORMAT_DEFAULT_FIELDS[config.displayFormat] || DEFAULT_FIELDS;
+    return config.series && config.series.length > 0 ? ['part', ...fields] : fields;
+  }
+
+  /**
+   * Format the date of a post with the configured format, locale and timezone.
+   * Scheduled posts show their scheduled date behind a calendar marker.
+   * @param {Object} post - Blog post
+   * @param {Object} config - Configuration object
+   * @returns {string} Formatted date
+   */
+  formatPostDate(post, config) {
+    const date = DateHelper.formatDate(post.publishedAt, config.dateFormat, {
+      locale: config.dateLocale,
+      timezone: config.timezone
+    });
+
+    return post.scheduled ? `${SCHEDULED_MARKER} ${date}` : date;
+  }
+
+  /**
+   * Build the display text of post fields, e.g. "8 min read" or "#javascript".
+   * Fields without a value are left out. Pinned posts always lead with a pinned badge.
+   * @param {Object} post - Blog post with a formattedDate
+   * @param {Array} fields - Field names in display order
+   * @param {string} locale - Locale used to format counts
+   * @returns {Array} Objects with the `field` name and its `text`
+   */
+  buildPostFields(post, fields, locale = 'en') {
+    const count = value => Number(value || 0).toLocaleString(locale);
+    const authorNames = this.getAuthors(post).map(author => author.name);
+    const values = {
+      date: post.formattedDate,
+      readTime: post.readTime ? `${post.readTime} min read` : '',
+      author: authorNames.length ? `by ${this.joinNames(authorNames)}` : '',
+      tags: (post.tags || []).map(tag => `#${tag.slug || tag.name}`).join(' '),
+      reactions: `${count(post.reactions)} ❤️`,
+      views: `${count(post.views)} views`,
+      comments: `${count(post.comments)} 💬`,
+      series: post.series?.name ? `📚 ${post.series.name}` : '',
+      part: post.part ? `Part ${post.part.number} of ${post.part.total}` : '',
+      visibility: post.delisted ? '🔒 Delisted' : ''
+    };
+
+    const badges = post.pinned ? [{ field: 'pinned', text: PINNED_BADGE }] : [];
+
+    return [
+      ...badges,
+      ...fields.map(field => ({ field, text: values[field] })).filter(({ text }) => text)
+    ];
+  }
+
+  /**
+   * Get the author and co-authors of a post
+   * @param {Object} post - Blog post
+   * @returns {Array} Authors with a name, the main author first
+   */
+  getAuthors(post) {
+    return [post.author, ...(post.coAuthors || [])].filter(author => author?.name);
+  }
+
+  /**
+   * Join names into a readable list, e.g. "Ann, Bob & Cleo"
+   * @param {Array} names - Names
+   * @returns {string} Joined names
+   */
+  joinNames(names) {
+    return names.length > 1
+      ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`
+      : names.join('');
+  }
+
+  /**
+   * Generate the author byline of a post: the avatar and profile link of every author
+   * @param {Object} post - Blog post
+   * @param {Object} options - Byline options
+   * @param {boolean} options.styled - Round the avatars with inline styles (not kept by GitHub)
+   * @param {boolean} options.markdown - Markdown-escape the names, for bylines GitHub parses as Markdown
+   * @returns {string} Byline HTML, empty when the post has no author
+   */
+  generateByline(post, { styled = false, markdown = false } = {}) {
+    const avatarStyle = styled ? ' style="border-radius: 50%; vertical-align: middle;"' : '';
+    const linkStyle = styled ? ' style="color: inherit; text-decoration: none;"' : '';
+    const authors = this.getAuthors(post).map(author => {
+      const name = markdown ? this.escapeMarkdown(author.name) : this.escapeHtml(author.name);
+      const avatar = author.profilePicture
+        ? `<img src="${this.escape(author.profilePicture, 'url')}" alt="" width="20" height="20"${avatarStyle} /> `
+        : '';
+
+      return author.profileUrl
+        ? `<a href="${this.escape(author.profileUrl, 'url')}"${linkStyle}>${avatar}${name}</a>`
+        : `${avatar}${name}`;
+    });
+
+    return this.joinNames(authors);
+  }
+
+  /**
+   * Join post field texts into a metadata line
+   * @param {Array} fields - Fields from buildPostFields
+   * @returns {string} Metadata line
+   */
+  joinPostFields(fields) {
+    return fields.map(({ text }) => text).join(FIELD_SEPARATOR);
+  }
+
   /**
    * Generate CSS for responsive design
    * @param {Object} breakpoints - Breakpoint definitions
@@ -276,17 +811,7 @@ class TemplateHelper {
    * @returns {string} CSS custom properties
    */
   generateThemeVariables(theme = {}) {
-    const defaults = {
-      primaryColor: '#1a1a1a',
-      secondaryColor: '#6b7280',
-      backgroundColor: '#ffffff',
-      borderColor: '#e1e5e9',
-      borderRadius: '8px',
-      fontSize: '14px',
-      fontFamily: 'system-ui, -apple-system, sans-serif'
-    };
-
-    const themeVars = { ...defaults, ...theme };
+    const themeVars = { ...this.resolveTheme(), ...theme };
 
     const cssVars = Object.entries(themeVars)
       .map(([key, value]) => `  --blog-${key.replace(/([A-Z])/g, '-$1').toLowerCase()}: ${value};`)
@@ -294,6 +819,95 @@ class TemplateHelper {
 
     return `:root {\n${cssVars}\n}`;
   }
+
+  /**
+   * Get the full palette of a theme preset
+   * @param {string} preset - Preset name
+   * @param {Object} colors - Palette values overriding the preset, with snake_case or camelCase keys
+   * @returns {Object} Theme palette
+   */
+  resolveTheme(preset = 'light', colors = {}) {
+    const overrides = Object.fromEntries(
+      Object.entries(colors || {})
+        .filter(([key]) => key !== 'dark')
+        .map(([key, value]) => [
+          key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+          value
+        ])
+    );
+
+    return { ...DEFAULT_THEME, ...THEME_PRESETS[preset], ...overrides };
+  }
+
+  /**
+   * Get the color schemes a theme is rendered in. Auto themes have a light and a dark
+   * scheme; `theme_colors` apply to both, its `dark` entry to the dark scheme only.
+   * @param {Object} config - Configuration object
+   * @returns {Array} Schemes with a `name` ('light' or 'dark', null for fixed themes) and `palette`
+   */
+  getThemeSchemes(config) {
+    const theme = config.theme || 'light';
+    const colors = config.themeColors || {};
+
+    if (!AUTO_THEMES[theme]) {
+      return [{ name: null, palette: this.resolveTheme(theme, colors) }];
+    }
+
+    return Object.entries(AUTO_THEMES[theme]).map(([name, preset]) => ({
+      name,
+      palette: this.resolveTheme(preset, {
+        ...colors,
+        ...(name === 'dark' ? colors.dark : {})
+      })
+    }));
+  }
+
+  /**
+   * Get the theme values for inline styles. Fixed themes use the palette values directly;
+   * auto themes reference CSS variables defined by a stylesheet that switches palettes
+   * with `prefers-color-scheme`.
+   * @param {Object} config - Configuration object
+   * @returns {Object} Style `values` keyed like the palette and the `stylesheet` to emit (empty for fixed themes)
+   */
+  buildThemeStyles(config) {
+    const [primary, ...others] = this.getThemeSchemes(config);
+
+    if (others.length === 0) {
+      return { values: primary.palette, stylesheet: '' };
+    }
+
+    const values = Object.fromEntries(
+      Object.entries(primary.palette).map(([key, value]) => [
+        key,
+        `var(--blog-${key.replace(/([A-Z])/g, '-$1').toLowerCase()}, ${value})`
+      ])
+    );
+    const rules = [
+      this.generateThemeVariables(primary.palette),
+      ...others.map(
+        scheme =>
+          `@media (prefers-color-scheme: ${scheme.name}) {\n${this.generateThemeVariables(scheme.palette).replace(/^/gm, '  ')}\n}`
+      )
+    ];
+
+    return { values, stylesheet: `<style>\n${rules.join('\n')}\n</style>` };
+  }
+
+  /**
+   * Get the names of the theme presets
+   * @returns {Array} Theme names
+   */
+  static getThemeNames() {
+    return [...Object.keys(THEME_PRESETS), ...Object.keys(AUTO_THEMES)];
+  }
+
+  /**
+   * Get the keys accepted in theme_colors
+   * @returns {Array} Palette keys in snake_case
+   */
+  static getThemeColorKeys() {
+    return Object.keys(DEFAULT_THEME).map(key => key.replace(/([A-Z])/g, '_$1').toLowerCase());
+  }
 }
 
 module.exports = { TemplateHelper };
@@ -1,5 +1,32 @@
+const Ajv = require('ajv');
+const { readFileSync } = require('fs');
+const path = require('path');
 const { ConfigHelper } = require('./ConfigHelper');
+const { DateHelper } = require('./DateHelper');
+const { FilterHelper } = require('./FilterHelper');
+const { TemplateHelper } = require('./TemplateHelper');
 const { Logger } = require('./Logger');
+const configSchema = require('../../schema/hashnode-blog.schema.json');
+
+// Accepted values of the theme_colors entries, by key suffix
+const THEME_VALUE_PATTERNS = {
+  color: /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/]+\))$/i,
+  size: /^\d+(\.\d+)?(px|em|rem|%)?$/,
+  family: /^[\w\s,'"-]+$/
+};
+
+// Display formats that use each layout option
+const FORMAT_LAYOUT_OPTIONS = {
+  card_width: ['card', 'svg-card'],
+  image_width: ['stacked-left', 'stacked-right', 'table', 'compact', 'svg-card'],
+  image_height: ['stacked-left', 'stacked-right', 'table', 'compact', 'svg-card'],
+  description_length: ['card', 'stacked-left', 'stacked-right', 'table']
+};
+
+// Compiled once; union types are used for values like `post_count: 6` or `post_count: all`
+const validateConfigSchema = new Ajv({ allErrors: true, allowUnionTypes: true }).compile(
+  configSchema
+);
 
 /**
  * Helper class for validating inputs
@@ -7,21 +34,462 @@ const { Logger } = require('./Logger');
 class ValidationHelper {
   constructor() {
     this.logger = new Logger();
+    this.reportedProblems = new Set();
   }
 
   /**
-   * Validate all configuration inputs
+   * Validate all configuration inputs. Every check runs so that all problems are reported
+   * at once, each as an annotation.
    * @param {Object} config - Configuration object to validate
-   * @throws {Error} If validation fails
+   * @param {string} context - Where the configuration comes from, e.g. a target or section marker
+   * (omitted for the action inputs)
+   * @throws {Error} Summarizing every invalid input if validation fails
+   */
+  validateInputs(config, context = '') {
+    const checks = [
+      ['publication_name', () => this.validatePublicationName(config.publicationName)],
+      ['post_count', () => this.validatePostCount(config.postCount)],
+      ['fetch_limit', () => this.validateFetchLimit(config.fetchLimit, config.postCount)],
+      ['display_format', () => this.validateDisplayFormat(config.displayFormat)],
+      ['render_target', () => this.validateRenderTarget(config.renderTarget)],
+      ['filename', () => this.validateFilename(config.filename)],
+      ['card_width', () => this.validateNumericOption('cardWidth', config.cardWidth, 100, 1200)],
+      ['image_width', () => this.validateNumericOption('imageWidth', config.imageWidth, 50, 500)],
+      [
+        'image_height',
+        () => this.validateNumericOption('imageHeight', config.imageHeight, 50, 500)
+      ],
+      [
+        'description_length',
+        () => this.validateNumericOption('descriptionLength', config.descriptionLength, 50, 1000)
+      ],
+      ['date_locale', () => this.validateDateLocale(config.dateLocale)],
+      ['timezone', () => this.validateTimezone(config.timezone)],
+      ['target_branch', () => config.targetBranch && this.validateBranchName(config.targetBranch)],
+      [null, () => this.validateCustomizationOptions(config)],
+      ['custom_template', () => this.validateCustomTemplate(config)],
+      ['include_tags', () => this.validateTagFilters(config)],
+      ['authors', () => this.validateAuthors(config.authors)],
+      [
+        'published_after',
+        () => this.validateDateExpression('published_after', config.publishedAfter)
+      ],
+      ['published_before', () => this.validateDateRange(config)],
+      [
+        'max_age_days',
+        () =>
+          config.maxAgeDays !== null &&
+          this.validateNumericOption('maxAgeDays', config.maxAgeDays, 1, 36500)
+      ],
+      ['post_source', () => this.validatePostSource(config)],
+      ['sort_by', () => this.validateSortOrder(config.sortBy)],
+      ['pinned_posts', () => this.validatePinnedPosts(config.pinnedPosts)],
+      ['series', () => this.validateSeries(config.series)],
+      ['group_by', () => this.validateGroupBy(config.groupBy)],
+      [
+        'popular_days',
+        () => this.validateNumericOption('popularDays', config.popularDays, 1, 3650)
+      ],
+      ['sections', () => this.validateSections(config.sections)],
+      ['commit_mode', () => this.validateCommitOptions(config)],
+      ['max_retries', () => this.validateNumericOption('maxRetries', config.maxRetries, 0, 10)],
+      [
+        'retry_delay',
+        () => this.validateNumericOption('retryDelay', config.retryDelay, 0, 60, { integer: false })
+      ],
+      ['on_fetch_error', () => this.validateFetchErrorPolicy(config.onFetchError)],
+      ['cover_fallback', () => this.validateCoverFallback(config.coverFallback)],
+      ['assets_dir', () => this.validateAssetsDir(config.assetsDir)],
+      ['show_fields', () => this.validateShowFields(config.showFields)],
+      ['theme', () => this.validateTheme(config)],
+      ['theme_colors', () => this.validateThemeColors(config.themeColors)]
+    ];
+    const errors = [];
+
+    for (const [input, check] of checks) {
+      try {
+        check();
+      } catch (error) {
+        errors.push({ input, message: error.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        this.reportProblem('error', error, context);
+      }
+
+      const count = `${errors.length} invalid input${errors.length === 1 ? '' : 's'}`;
+      throw new Error(
+        `Found ${count}${context ? ` in ${context}` : ''}:\n${errors
+          .map(error => `- ${error.input ? `${error.input}: ` : ''}${error.message}`)
+          .join('\n')}`
+      );
+    }
+
+    this.logger.info(`All inputs validated successfully${context ? ` for ${context}` : ''}`);
+  }
+
+  /**
+   * Report warnings about options that have no effect as annotations. These do not fail the run.
+   * @param {Object} config - Configuration a section is rendered with
+   * @param {string} context - Section the configuration belongs to (omitted for the action inputs)
+   */
+  reportWarnings(config, context = '') {
+    for (const warning of this.collectWarnings(config)) {
+      this.reportProblem('warning', warning, context);
+    }
+  }
+
+  /**
+   * Collect warnings about options that are set but have no effect with the rest of the configuration
+   * @param {Object} config - Configuration object
+   * @returns {Array} Warnings with the `input` they concern and a `message`
+   */
+  collectWarnings(config) {
+    const warnings = [];
+    const format = config.displayFormat;
+
+    // Custom templates may use any layout option
+    if (format !== 'custom') {
+      for (const [input, formats] of Object.entries(FORMAT_LAYOUT_OPTIONS)) {
+        const option = ConfigHelper.getOption(input);
+
+        if (config[option.key] !== option.default && !formats.includes(format)) {
+          warnings.push({ input, message: `${input} is ignored by the ${format} format` });
+        }
+      }
+
+      for (const input of [
+        'custom_template',
+        'custom_template_file',
+        'custom_header',
+        'custom_footer'
+      ]) {
+        if (config[ConfigHelper.getOption(input).key]) {
+          warnings.push({ input, message: `${input} is ignored unless display_format is custom` });
+        }
+      }
+    }
+
+    if (config.customCss) {
+      if (config.renderTarget === 'github') {
+        warnings.push({
+          input: 'custom_css',
+          message: 'custom_css is ignored with render_target github'
+        });
+      } else if (/\.(md|markdown)$/i.test(config.filename || '')) {
+        warnings.push({
+          input: 'custom_css',
+          message: `GitHub strips inline styles from Markdown files, so custom_css has no effect in ${config.filename}`
+        });
+      }
+    }
+
+    const storesImages = ConfigHelper.storesImages(config);
+
+    if (format === 'list') {
+      for (const input of ['cover_fallback', 'cache_images']) {
+        const option = ConfigHelper.getOption(input);
+
+        if (JSON.stringify(config[option.key]) !== JSON.stringify(option.default)) {
+          warnings.push({ input, message: `${input} is ignored by the list format` });
+        }
+      }
+    } else if (format === 'svg-card' && config.cacheImages) {
+      warnings.push({
+        input: 'cache_images',
+        message: 'cache_images is ignored by the svg-card format, covers are embedded in the cards'
+      });
+    } else if (!storesImages && config.assetsDir !== ConfigHelper.getOption('assets_dir').default) {
+      warnings.push({
+        input: 'assets_dir',
+        message:
+          'assets_dir is ignored unless cache_images is enabled or cover_fallback includes generated'
+      });
+    }
+
+    if (!storesImages && config.removeUnusedImages) {
+      warnings.push({
+        input: 'remove_unused_images',
+        message: `remove_unused_images has no effect, the ${format} format stores no images with these options`
+      });
+    }
+
+    const themed =
+      format === 'svg-card' ||
+      format === 'custom' ||
+      (config.renderTarget !== 'github' &&
+        ['card', 'stacked-left', 'stacked-right', 'table'].includes(format));
+
+    if (!themed) {
+      for (const input of ['theme', 'theme_colors']) {
+        const option = ConfigHelper.getOption(input);
+
+        if (JSON.stringify(config[option.key]) !== JSON.stringify(option.default)) {
+          warnings.push({
+            input,
+            message:
+              config.renderTarget === 'github' && format !== 'list'
+                ? `${input} is ignored by the ${format} format with render_target github, as GitHub strips colors from Markdown files; use the svg-card format for themed cards`
+                : `${input} is ignored by the ${format} format`
+          });
+        }
+      }
+    }
+
+    if (
+      config.sortBy !== 'popular' &&
+      config.popularDays !== ConfigHelper.getOption('popular_days').default
+    ) {
+      warnings.push({
+        input: 'popular_days',
+        message: 'popular_days is ignored unless sort_by is popular'
+      });
+    }
+
+    if (config.series.length > 0) {
+      for (const input of ['fetch_limit', 'sort_by', 'pinned_posts', 'group_by']) {
+        const option = ConfigHelper.getOption(input);
+
+        if (JSON.stringify(config[option.key]) !== JSON.stringify(option.default)) {
+          warnings.push({
+            input,
+            message: `${input} is ignored when series is set, series posts are shown in reading order`
+          });
+        }
+      }
+    }
+
+    if (config.postSource === 'scheduled') {
+      for (const input of ['fetch_limit', 'sort_by', 'pinned_posts']) {
+        const option = ConfigHelper.getOption(input);
+
+        if (JSON.stringify(config[option.key]) !== JSON.stringify(option.default)) {
+          warnings.push({
+            input,
+            message: `${input} is ignored when post_source is scheduled, scheduled posts are shown soonest first`
+          });
+        }
+      }
+    }
+
+    const pinnedCount = new Set(config.pinnedPosts).size;
+
+    if (
+      config.series.length === 0 &&
+      config.postSource !== 'scheduled' &&
+      pinnedCount > config.postCount
+    ) {
+      warnings.push({
+        input: 'pinned_posts',
+        message: `Only the first ${config.postCount} of ${pinnedCount} pinned posts are shown, pinned posts count toward post_count`
+      });
+    }
+
+    if (config.commitMode !== 'pull_request') {
+      for (const input of ['pr_branch', 'pr_title', 'pr_labels', 'pr_auto_merge']) {
+        const option = ConfigHelper.getOption(input);
+        const value = config[option.key];
+
+        if (Array.isArray(value) ? value.length > 0 : value !== option.default) {
+          warnings.push({
+            input,
+            message: `${input} is ignored unless commit_mode is pull_request`
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Report a validation problem as an annotation. Problems with the action inputs point to the
+   * input in the workflow file when it is available. Each problem is only reported once, even
+   * when several targets or sections share the configuration.
+   * @param {string} level - 'error' or 'warning'
+   * @param {Object} problem - Problem with the `input` it concerns and a `message`
+   * @param {string} context - Where the configuration comes from
+   */
+  reportProblem(level, { input, message }, context) {
+    const key = `${level}:${input}:${message}`;
+
+    if (this.reportedProblems.has(key)) {
+      return;
+    }
+    this.reportedProblems.add(key);
+
+    const location = input && !context ? this.findInputLocation(input) : {};
+    const title = input
+      ? `${level === 'error' ? 'Invalid input' : 'Input warning'}: ${input}`
+      : 'Invalid configuration';
+
+    this.logger.annotate(level, context ? `${message} (${context})` : message, {
+      title,
+      ...location
+    });
+  }
+
+  /**
+   * Find where an input is set in the workflow file that is running, if the workflow is
+   * checked out in the workspace. Only the steps that use this action are searched; when
+   * several of them set the input, the line is left out.
+   * @param {string} input - Input name
+   * @returns {Object} Annotation properties with `file` and `startLine`, empty if not found
+   */
+  findInputLocation(input) {
+    const workflowRef = process.env.GITHUB_WORKFLOW_REF;
+    const workspace = process.env.GITHUB_WORKSPACE;
+
+    if (!workflowRef || !workspace) {
+      return {};
+    }
+
+    // GITHUB_WORKFLOW_REF looks like owner/repo/.github/workflows/file.yml@refs/heads/main
+    const file = workflowRef.replace(/@.*$/, '').split('/').slice(2).join('/');
+
+    try {
+      const lines = readFileSync(path.join(workspace, file), 'utf8').split('\n');
+      const inputPattern = new RegExp(`^\\s*${input}\\s*:`);
+      const matches = [];
+
+      // Inputs are nested under the `with` key of a step
+      for (const { start, end, keyIndent } of this.findActionSteps(lines)) {
+        for (let index = start; index < end; index++) {
+          if (inputPattern.test(lines[index]) && this.indentOf(lines[index]) > keyIndent) {
+            matches.push(index);
+          }
+        }
+      }
+
+      if (matches.length === 0) {
+        return {};
+      }
+
+      return matches.length === 1 ? { file, startLine: matches[0] + 1 } : { file };
+    } catch (error) {
+      this.logger.debug(`Unable to read workflow file ${file}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Find the steps of a workflow that use this action: the published action named by
+   * GITHUB_ACTION_REPOSITORY, or a local checkout of it
+   * @param {Array} lines - Lines of the workflow file
+   * @returns {Array} Steps with the `start` and `end` line index and the `keyIndent` of their keys
    */
-  validateInputs(config) {
-    this.validatePublicationName(config.publicationName);
-    this.validatePostCount(config.postCount);
-    this.validateDisplayFormat(config.displayFormat);
-    this.validateFilename(config.filename);
-    this.validateCustomizationOptions(config);
+  findActionSteps(lines) {
+    const repository = (process.env.GITHUB_ACTION_REPOSITORY || '').replace(
+      /[.*+?^${}()|[\]\\]/g,
+      '\\$&'
+    );
+    const usesPattern = repository
+      ? new RegExp(`^\\s*(?:-\\s+)?uses\\s*:\\s*["']?${repository}(?:[@/"'\\s]|$)`, 'i')
+      : /^\s*(?:-\s+)?uses\s*:\s*["']?\.\//;
+    const steps = [];
+
+    lines.forEach((line, start) => {
+      const dash = /^(\s*)-\s+(?=\S)/.exec(line);
+
+      if (!dash) {
+        return;
+      }
+
+      const dashIndent = dash[1].length;
+      const keyIndent = dash[0].length;
+      let end = start + 1;
+
+      while (
+        end < lines.length &&
+        (!lines[end].trim() ||
+          lines[end].trim().startsWith('#') ||
+          this.indentOf(lines[end]) > dashIndent)
+      ) {
+        end++;
+      }
+
+      const uses = lines
+        .slice(start, end)
+        .some(
+          (stepLine, offset) =>
+            (offset === 0 || this.indentOf(stepLine) === keyIndent) && usesPattern.test(stepLine)
+        );
 
-    this.logger.info('All inputs validated successfully');
+      if (uses) {
+        steps.push({ start, end, keyIndent });
+      }
+    });
+
+    return steps;
+  }
+
+  /**
+   * Get the indentation of a line
+   * @param {string} line - Line of text
+   * @returns {number} Number of leading spaces
+   */
+  indentOf(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  /**
+   * Validate the options of a config file against the published JSON schema
+   * @param {Object} options - Parsed config file
+   * @param {string} source - Config file path, used in error messages
+   * @throws {Error} Listing every invalid option by its key path
+   */
+  validateConfigFile(options, source) {
+    if (validateConfigSchema(options)) {
+      return;
+    }
+
+    const problems = validateConfigSchema.errors
+      .filter(error => error.keyword !== 'propertyNames')
+      .map(error => this.formatSchemaError(error));
+
+    throw new Error(
+      `Invalid config file ${source}:\n${[...new Set(problems)].map(problem => `- ${problem}`).join('\n')}`
+    );
+  }
+
+  /**
+   * Describe a JSON schema validation error using the key path of the offending option
+   * @param {Object} error - Ajv validation error
+   * @returns {string} Error description
+   */
+  formatSchemaError(error) {
+    const segments = error.instancePath
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (error.keyword === 'additionalProperties') {
+      segments.push(error.params.additionalProperty);
+    }
+
+    const keyPath =
+      segments
+        .map((segment, index) =>
+          /^\d+$/.test(segment) ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`
+        )
+        .join('') || '(root)';
+
+    if (error.keyword === 'additionalProperties') {
+      return `${keyPath} is not a supported option here`;
+    }
+    if (error.keyword === 'enum') {
+      return `${keyPath} must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    }
+    if (error.keyword === 'pattern' && error.propertyName) {
+      return `${keyPath} has an invalid name "${error.propertyName}"; use only letters, numbers, hyphens and underscores`;
+    }
+    if (error.keyword === 'pattern' && error.params.pattern === '^all$') {
+      return `${keyPath} must be a number or "all"`;
+    }
+
+    return `${keyPath} ${error.message}`;
   }
 
   /**
@@ -53,24 +521,39 @@ class ValidationHelper {
 
   /**
    * Validate post count
-   * @param {number} postCount - Number of posts to fetch
+   * @param {number} postCount - Number of posts to render (Infinity for all posts)
+   * @param {string} optionName - Name of the option, used in error messages
    * @throws {Error} If post count is invalid
    */
-  validatePostCount(postCount) {
+  validatePostCount(postCount, optionName = 'Post count') {
     if (typeof postCount !== 'number' || isNaN(postCount)) {
-      throw new Error('Post count must be a valid number');
+      throw new Error(`${optionName} must be a valid number or "all"`);
     }
 
     if (postCount < 1) {
-      throw new Error('Post count must be at least 1');
+      throw new Error(`${optionName} must be at least 1`);
     }
 
-    if (postCount > 12) {
-      throw new Error('Post count cannot exceed 12');
+    if (postCount !== Infinity && !Number.isInteger(postCount)) {
+      throw new Error(`${optionName} must be an integer`);
     }
+  }
 
-    if (!Number.isInteger(postCount)) {
-      throw new Error('Post count must be an integer');
+  /**
+   * Validate fetch limit
+   * @param {number|null} fetchLimit - Number of posts to fetch, null to match the post count
+   * @param {number} postCount - Number of posts to render
+   * @throws {Error} If fetch limit is invalid
+   */
+  validateFetchLimit(fetchLimit, postCount) {
+    if (fetchLimit === null || fetchLimit === undefined) {
+      return;
+    }
+
+    this.validatePostCount(fetchLimit, 'Fetch limit');
+
+    if (fetchLimit < postCount) {
+      throw new Error('Fetch limit cannot be lower than post count');
     }
   }
 
@@ -92,6 +575,20 @@ class ValidationHelper {
     }
   }
 
+  /**
+   * Validate render target
+   * @param {string} renderTarget - Renderer family: html or github
+   * @throws {Error} If render target is invalid
+   */
+  validateRenderTarget(renderTarget) {
+    const supportedTargets = ConfigHelper.getSupportedRenderTargets();
+    if (!supportedTargets.includes(renderTarget)) {
+      throw new Error(
+        `Unsupported render target: ${renderTarget}. Supported targets: ${supportedTargets.join(', ')}`
+      );
+    }
+  }
+
   /**
    * Validate filename
    * @param {string} filename - Target filename
@@ -123,17 +620,11 @@ class ValidationHelper {
   }
 
   /**
-   * Validate customization options
+   * Validate text customization options
    * @param {Object} config - Configuration object
    * @throws {Error} If customization options are invalid
    */
   validateCustomizationOptions(config) {
-    // Validate numeric options
-    this.validateNumericOption('cardWidth', config.cardWidth, 100, 1200);
-    this.validateNumericOption('imageWidth', config.imageWidth, 50, 500);
-    this.validateNumericOption('imageHeight', config.imageHeight, 50, 500);
-    this.validateNumericOption('descriptionLength', config.descriptionLength, 50, 1000);
-
     // Validate date format
     if (config.dateFormat && typeof config.dateFormat !== 'string') {
       throw new Error('Date format must be a string');
@@ -153,10 +644,422 @@ class ValidationHelper {
     if (config.noPostsMessage && typeof config.noPostsMessage !== 'string') {
       throw new Error('No posts message must be a string');
     }
+  }
+
+  /**
+   * Validate date locale
+   * @param {string} locale - Locale code
+   * @throws {Error} If the locale is not supported
+   */
+  validateDateLocale(locale) {
+    if (locale && !DateHelper.isSupportedLocale(locale)) {
+      throw new Error(`Unsupported date locale: ${locale}`);
+    }
+  }
+
+  /**
+   * Validate timezone
+   * @param {string} timezone - IANA timezone name
+   * @throws {Error} If the timezone is unknown
+   */
+  validateTimezone(timezone) {
+    if (timezone && !DateHelper.isValidTimezone(timezone)) {
+      throw new Error(`Unknown timezone: ${timezone}. Use an IANA name like Europe/Berlin`);
+    }
+  }
+
+  /**
+   * Validate custom template options
+   * @param {Object} config - Configuration object
+   * @throws {Error} If custom template options are invalid
+   */
+  validateCustomTemplate(config) {
+    if (config.displayFormat !== 'custom') {
+      return;
+    }
+
+    if (!config.customTemplate && !config.customTemplateFile) {
+      throw new Error(
+        'Custom display format requires either custom_template or custom_template_file'
+      );
+    }
+
+    if (config.customTemplate && config.customTemplateFile) {
+      throw new Error('Use either custom_template or custom_template_file, not both');
+    }
+
+    if (config.customTemplateFile) {
+      this.validateFilename(config.customTemplateFile);
+    }
+  }
+
+  /**
+   * Validate tag filter options
+   * @param {Object} config - Configuration object
+   * @throws {Error} If tag filter options are invalid
+   */
+  validateTagFilters(config) {
+    for (const [optionName, tags] of [
+      ['includeTags', config.includeTags],
+      ['excludeTags', config.excludeTags]
+    ]) {
+      if (tags && !Array.isArray(tags)) {
+        throw new Error(`${optionName} must be a list of tags`);
+      }
+    }
+
+    if (!['any', 'all'].includes(config.tagMatch)) {
+      throw new Error(`Unsupported tag match mode: ${config.tagMatch}. Use "any" or "all"`);
+    }
 
-    // Validate target branch
-    if (config.targetBranch) {
-      this.validateBranchName(config.targetBranch);
+    const excluded = new Set((config.excludeTags || []).map(tag => tag.toLowerCase()));
+    const conflicting = (config.includeTags || []).filter(tag => excluded.has(tag.toLowerCase()));
+    if (conflicting.length > 0) {
+      throw new Error(`Tags cannot be both included and excluded: ${conflicting.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate an absolute date or relative date expression
+   * @param {string} inputName - Input the expression was set as
+   * @param {string} expression - Date or expression, empty when not set
+   * @throws {Error} If the expression cannot be parsed
+   */
+  validateDateExpression(inputName, expression) {
+    if (expression && !DateHelper.parseDateExpression(expression)) {
+      throw new Error(
+        `Invalid ${inputName}: ${expression}. Use a date like 2024-01-15 or an expression like "90 days ago", "yesterday" or "start of year"`
+      );
+    }
+  }
+
+  /**
+   * Validate published_before and check that the date range is not empty
+   * @param {Object} config - Configuration object
+   * @throws {Error} If published_before is invalid or earlier than the start of the range
+   */
+  validateDateRange(config) {
+    this.validateDateExpression('published_before', config.publishedBefore);
+
+    // An invalid published_after is reported by its own check
+    if (config.publishedAfter && !DateHelper.parseDateExpression(config.publishedAfter)) {
+      return;
+    }
+
+    const { start, end } = FilterHelper.getDateRange(config);
+
+    if (start && end && start.isAfter(end, 'day')) {
+      throw new Error(
+        `published_before (${end.format('YYYY-MM-DD')}) is earlier than the oldest allowed publication date (${start.format('YYYY-MM-DD')}), no post can match`
+      );
+    }
+  }
+
+  /**
+   * Validate where the posts of a section come from
+   * @param {Object} config - Configuration object
+   * @throws {Error} If the source is not supported, or scheduled posts cannot be fetched
+   */
+  validatePostSource(config) {
+    const supported = ConfigHelper.getSupportedPostSources();
+
+    if (!supported.includes(config.postSource)) {
+      throw new Error(
+        `Unsupported post source: ${config.postSource}. Supported sources: ${supported.join(', ')}`
+      );
+    }
+
+    if (config.postSource !== 'scheduled') {
+      return;
+    }
+
+    if (!config.hashnodeToken) {
+      throw new Error(
+        'Scheduled posts are only visible to the publication team, set hashnode_token to a Hashnode personal access token'
+      );
+    }
+
+    if (config.series.length > 0) {
+      throw new Error('post_source scheduled cannot be combined with series');
+    }
+  }
+
+  /**
+   * Validate the sort order
+   * @param {string} sortBy - Sort order
+   * @throws {Error} If the sort order is not supported
+   */
+  validateSortOrder(sortBy) {
+    const supported = ConfigHelper.getSupportedSortOrders();
+
+    if (!supported.includes(sortBy)) {
+      throw new Error(
+        `Unsupported sort order: ${sortBy}. Supported orders: ${supported.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Validate the author filter
+   * @param {Array} authors - Hashnode usernames, optionally with a leading @
+   * @throws {Error} If an entry is not a valid username
+   */
+  validateAuthors(authors) {
+    const invalid = authors.filter(author => !/^@?[\w-]+$/.test(author));
+
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid author usernames: ${invalid.join(', ')}. Use Hashnode usernames, e.g. janedoe or @janedoe`
+      );
+    }
+  }
+
+  /**
+   * Validate the pinned posts
+   * @param {Array} slugs - Post slugs, taken from the URLs where URLs were given
+   * @throws {Error} If an entry is neither a post slug nor a post URL
+   */
+  validatePinnedPosts(slugs) {
+    const invalid = slugs.filter(slug => !/^[\w-]+$/.test(slug));
+
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid pinned posts: ${invalid.join(', ')}. Use post slugs or post URLs, e.g. my-post or https://blog.example.com/my-post`
+      );
+    }
+  }
+
+  /**
+   * Validate the series to group posts by
+   * @param {Array} series - Series slugs, or ['all']
+   * @throws {Error} If a slug is invalid or 'all' is combined with slugs
+   */
+  validateSeries(series) {
+    if (series.includes('all') && series.length > 1) {
+      throw new Error('series cannot combine "all" with series slugs');
+    }
+
+    const invalid = series.filter(slug => !/^[\w-]+$/.test(slug));
+    if (invalid.length > 0) {
+      throw new Error(
+        `Invalid series slugs: ${invalid.join(', ')}. Use the slug from the series URL, e.g. my-series for /series/my-series`
+      );
+    }
+  }
+
+  /**
+   * Validate the grouping of posts
+   * @param {string} groupBy - Grouping mode
+   * @throws {Error} If the grouping mode is not supported
+   */
+  validateGroupBy(groupBy) {
+    if (!['none', 'author'].includes(groupBy)) {
+      throw new Error(`Unsupported group_by: ${groupBy}. Use "none" or "author"`);
+    }
+  }
+
+  /**
+   * Validate per-section settings
+   * @param {Object} sections - Section settings keyed by section name
+   * @throws {Error} If section settings are invalid
+   */
+  validateSections(sections) {
+    if (!sections) {
+      return;
+    }
+
+    if (typeof sections !== 'object' || Array.isArray(sections)) {
+      throw new Error('Sections must be a mapping of section names to settings');
+    }
+
+    for (const [name, settings] of Object.entries(sections)) {
+      if (!/^[\w-]+$/.test(name)) {
+        throw new Error(
+          `Invalid section name: ${name}. Use only letters, numbers, hyphens and underscores`
+        );
+      }
+
+      if (settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+        throw new Error(`Settings for section "${name}" must be a mapping of options`);
+      }
+    }
+  }
+
+  /**
+   * Validate the list of targets
+   * @param {Array} targets - Target settings (publication, file and sections per entry)
+   * @throws {Error} If targets are invalid
+   */
+  validateTargets(targets) {
+    if (!Array.isArray(targets)) {
+      throw new Error('Targets must be a list of target settings');
+    }
+
+    targets.forEach((target, index) => {
+      if (!target || typeof target !== 'object' || Array.isArray(target)) {
+        throw new Error(`targets[${index}] must be a mapping of options`);
+      }
+    });
+  }
+
+  /**
+   * Validate commit and pull request options
+   * @param {Object} config - Configuration object
+   * @throws {Error} If commit options are invalid
+   */
+  validateCommitOptions(config) {
+    if (!['direct', 'pull_request'].includes(config.commitMode)) {
+      throw new Error(
+        `Unsupported commit mode: ${config.commitMode}. Use "direct" or "pull_request"`
+      );
+    }
+
+    if (config.commitMode !== 'pull_request') {
+      return;
+    }
+
+    this.validateBranchName(config.prBranch);
+
+    if (config.prBranch === config.targetBranch) {
+      throw new Error('Pull request branch must differ from the target branch');
+    }
+
+    if (config.prAutoMerge && !['merge', 'squash', 'rebase'].includes(config.prAutoMerge)) {
+      throw new Error(
+        `Unsupported auto-merge method: ${config.prAutoMerge}. Use "merge", "squash" or "rebase"`
+      );
+    }
+  }
+
+  /**
+   * Validate the fetch error policy
+   * @param {string} policy - on_fetch_error value
+   * @throws {Error} If the policy is unknown
+   */
+  validateFetchErrorPolicy(policy) {
+    if (!['fail', 'keep', 'warn'].includes(policy)) {
+      throw new Error(`Unsupported fetch error policy: ${policy}. Use "fail", "keep" or "warn"`);
+    }
+  }
+
+  /**
+   * Validate the cover fallback chain
+   * @param {Array} fallbacks - cover_fallback entries
+   * @throws {Error} If an entry is neither a keyword, an image URL nor a repository path
+   */
+  validateCoverFallback(fallbacks) {
+    const keywords = ConfigHelper.getCoverFallbackKeywords();
+
+    for (const fallback of fallbacks) {
+      if (keywords.includes(fallback) || /^https?:\/\//i.test(fallback)) {
+        continue;
+      }
+
+      if (/^[a-z][a-z0-9+.-]*:/i.test(fallback)) {
+        throw new Error(
+          `Unsupported cover fallback: ${fallback}. Use ${keywords.join(', ')}, an image URL or a path in the repository`
+        );
+      }
+
+      if (fallback.includes('..') || fallback.startsWith('/')) {
+        throw new Error(`Cover fallback path ${fallback} must be relative to the repository root`);
+      }
+    }
+  }
+
+  /**
+   * Validate the directory images are stored in
+   * @param {string} assetsDir - Assets directory
+   * @throws {Error} If the directory is empty or outside the repository
+   */
+  validateAssetsDir(assetsDir) {
+    if (!assetsDir || typeof assetsDir !== 'string' || !assetsDir.trim()) {
+      throw new Error('Assets directory cannot be empty');
+    }
+
+    if (assetsDir.includes('..') || assetsDir.startsWith('/')) {
+      throw new Error('Assets directory cannot contain path traversal or absolute paths');
+    }
+  }
+
+  /**
+   * Validate the post fields to show
+   * @param {Array} fields - show_fields entries
+   * @throws {Error} If a field is unknown
+   */
+  validateShowFields(fields) {
+    const supported = ConfigHelper.getSupportedFields();
+    const unknown = (fields || []).filter(field => !supported.includes(field));
+
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown fields: ${unknown.join(', ')}. Supported fields: ${supported.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Validate the theme preset. Only svg-card switches palettes with markup GitHub keeps, so
+   * github-auto is rejected for the other formats in Markdown files.
+   * @param {Object} config - Configuration object
+   * @throws {Error} If the theme is unknown or cannot follow the color scheme in the target file
+   */
+  validateTheme(config) {
+    const { theme } = config;
+    const themes = TemplateHelper.getThemeNames();
+
+    if (!themes.includes(theme)) {
+      throw new Error(`Unsupported theme: ${theme}. Supported themes: ${themes.join(', ')}`);
+    }
+
+    if (
+      theme === 'github-auto' &&
+      config.displayFormat !== 'svg-card' &&
+      /\.(md|markdown)$/i.test(config.filename || '')
+    ) {
+      throw new Error(
+        `github-auto needs the svg-card format in Markdown files, GitHub strips the stylesheet the ${config.displayFormat} format switches colors with from ${config.filename}`
+      );
+    }
+  }
+
+  /**
+   * Validate the custom theme palette
+   * @param {Object} colors - theme_colors mapping, optionally with a nested `dark` mapping
+   * @param {string} prefix - Key prefix used in error messages
+   * @throws {Error} If a key is unknown or a value is not a valid CSS value
+   */
+  validateThemeColors(colors, prefix = '') {
+    if (!colors) {
+      return;
+    }
+
+    if (typeof colors !== 'object' || Array.isArray(colors)) {
+      throw new Error(
+        `Theme colors${prefix ? ` for ${prefix}` : ''} must be a mapping of palette keys to values`
+      );
+    }
+
+    const keys = TemplateHelper.getThemeColorKeys();
+
+    for (const [key, value] of Object.entries(colors)) {
+      if (key === 'dark' && !prefix) {
+        this.validateThemeColors(value, 'dark');
+        continue;
+      }
+
+      if (!keys.includes(key)) {
+        throw new Error(
+          `Unknown theme color: ${prefix}${prefix ? '.' : ''}${key}. Supported keys: ${keys.join(', ')}`
+        );
+      }
+
+      const pattern = THEME_VALUE_PATTERNS[key.split('_').pop()] || THEME_VALUE_PATTERNS.size;
+      if (!pattern.test(String(value).trim())) {
+        throw new Error(
+          `Invalid value for theme color ${prefix}${prefix ? '.' : ''}${key}: ${value}`
+        );
+      }
     }
   }
 
@@ -166,14 +1069,16 @@ class ValidationHelper {
    * @param {number} value - Value to validate
    * @param {number} min - Minimum allowed value
    * @param {number} max - Maximum allowed value
+   * @param {Object} options - Validation options
+   * @param {boolean} options.integer - Whether the value must be a whole number
    * @throws {Error} If value is invalid
    */
-  validateNumericOption(optionName, value, min, max) {
-    if (typeof value !== 'number' || isNaN(value)) {
+  validateNumericOption(optionName, value, min, max, { integer = true } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
       throw new Error(`${optionName} must be a valid number`);
     }
 
-    if (!Number.isInteger(value)) {
+    if (integer && !Number.isInteger(value)) {
       throw new Error(`${optionName} must be an integer`);
     }
 
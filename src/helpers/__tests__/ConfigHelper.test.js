@@ -0,0 +1,79 @@
+const { ConfigHelper } = require('../ConfigHelper');
+
+describe('ConfigHelper', () => {
+  describe('getConfig', () => {
+    const fileOptions = { display_format: 'table', post_count: 3, section_title: 'From the file' };
+
+    it('prefers inputs over the config file and the config file over the defaults', () => {
+      const inputs = { display_format: 'list', section_title: '' };
+      const config = ConfigHelper.getConfig(name => inputs[name], fileOptions);
+
+      expect(config.displayFormat).toBe('list');
+      expect(config.postCount).toBe(3);
+      expect(config.sectionTitle).toBe('From the file');
+      expect(config.filename).toBe(ConfigHelper.getOption('filename').default);
+    });
+
+    it('parses config file values like inputs', () => {
+      const config = ConfigHelper.getConfig(() => undefined, {
+        include_tags: ['javascript', 'node'],
+        show_last_updated: true,
+        post_count: '4'
+      });
+
+      expect(config.includeTags).toEqual(['javascript', 'node']);
+      expect(config.showLastUpdated).toBe(true);
+      expect(config.postCount).toBe(4);
+    });
+  });
+
+  describe('resolveInputName', () => {
+    it('resolves aliases and dashed command line names', () => {
+      expect(ConfigHelper.resolveInputName('format', 'flags')).toBe('display_format');
+      expect(ConfigHelper.resolveInputName('count', 'flags')).toBe('post_count');
+      expect(ConfigHelper.resolveInputName('title', 'flags')).toBe('section_title');
+      expect(ConfigHelper.resolveInputName('tags', 'flags')).toBe('include_tags');
+      expect(ConfigHelper.resolveInputName('date-format', 'flags')).toBe('date_format');
+    });
+
+    it('rejects unknown options', () => {
+      expect(() => ConfigHelper.resolveInputName('colour', 'command line')).toThrow(
+        'Unknown option "colour" in command line'
+      );
+    });
+  });
+
+  describe('applyOverrides', () => {
+    const baseConfig = ConfigHelper.getConfig(() => undefined);
+
+    it('applies aliases on top of the base configuration without changing it', () => {
+      const config = ConfigHelper.applyOverrides(baseConfig, {
+        format: 'grid',
+        count: '2',
+        title: 'Latest',
+        tags: 'js, node'
+      });
+
+      expect(config).toMatchObject({
+        displayFormat: 'grid',
+        postCount: 2,
+        sectionTitle: 'Latest',
+        includeTags: ['js', 'node']
+      });
+      expect(baseConfig.displayFormat).toBe(ConfigHelper.getOption('display_format').default);
+    });
+
+    it('rejects options outside of their scope', () => {
+      expect(() =>
+        ConfigHelper.applyOverrides(baseConfig, { filename: 'docs/blog.md' }, 'marker')
+      ).toThrow('Option "filename" cannot be set per section (in marker)');
+      expect(() =>
+        ConfigHelper.applyOverrides(baseConfig, { max_retries: 1 }, 'targets', 'target')
+      ).toThrow('Option "max_retries" cannot be set per target (in targets)');
+      expect(
+        ConfigHelper.applyOverrides(baseConfig, { filename: 'docs/blog.md' }, 'targets', 'target')
+          .filename
+      ).toBe('docs/blog.md');
+    });
+  });
+});
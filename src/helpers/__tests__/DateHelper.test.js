@@ -0,0 +1,155 @@
+const moment = require('moment-timezone');
+const { DateHelper } = require('../DateHelper');
+const { Logger } = require('../Logger');
+
+describe('DateHelper', () => {
+  describe('formatDate', () => {
+    it('uses the default format and reports missing or invalid dates', () => {
+      expect(DateHelper.formatDate('2026-01-15T10:00:00Z')).toBe('Jan 15, 2026');
+      expect(DateHelper.formatDate('')).toBe('Unknown date');
+      expect(DateHelper.formatDate('2026-13-45')).toBe('Invalid date');
+    });
+
+    it('uses the month names of the locale', () => {
+      const date = '2026-01-15T10:00:00Z';
+
+      expect(DateHelper.formatDate(date, 'D. MMMM YYYY', { locale: 'de' })).toBe('15. Januar 2026');
+      expect(DateHelper.formatDate(date, 'MMM D, YYYY', { locale: 'de' })).toBe('Jan. 15, 2026');
+      expect(DateHelper.formatDate(date, 'MMMM', { locale: 'ja' })).toBe('1月');
+      expect(DateHelper.formatDate(date, 'LL', { locale: 'ja' })).toBe('2026年1月15日');
+    });
+
+    it('converts the date to the timezone, which may move the calendar day', () => {
+      expect(
+        DateHelper.formatDate('2026-01-15T23:30:00Z', 'YYYY-MM-DD', { timezone: 'Asia/Tokyo' })
+      ).toBe('2026-01-16');
+      expect(
+        DateHelper.formatDate('2026-01-15T05:00:00Z', 'YYYY-MM-DD HH:mm', {
+          timezone: 'America/Los_Angeles'
+        })
+      ).toBe('2026-01-14 21:00');
+      expect(DateHelper.formatDate('2026-01-15T23:30:00Z', 'YYYY-MM-DD', { timezone: 'UTC' })).toBe(
+        '2026-01-15'
+      );
+    });
+
+    it('logs formatting errors through the logger', () => {
+      const warn = jest.spyOn(Logger.prototype, 'warn').mockImplementation(() => {});
+
+      expect(DateHelper.formatDate('2026-01-15T10:00:00Z', 123)).toBe('Error formatting date');
+      expect(warn).toHaveBeenCalledWith(
+        'Could not format date 2026-01-15T10:00:00Z: format.match is not a function'
+      );
+      warn.mockRestore();
+    });
+  });
+
+  describe('getRelativeTime', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-05-20T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const relative = (date, locale) => DateHelper.getRelativeTime(moment.utc(date), locale);
+
+    it('describes past and future dates in English by default', () => {
+      expect(relative('2026-05-20T11:59:30Z')).toBe('a few seconds ago');
+      expect(relative('2026-05-20T09:00:00Z')).toBe('3 hours ago');
+      expect(relative('2026-05-17T12:00:00Z')).toBe('3 days ago');
+      expect(relative('2026-05-06T12:00:00Z')).toBe('2 weeks ago');
+      expect(relative('2026-02-10T12:00:00Z')).toBe('3 months ago');
+      expect(relative('2026-06-03T12:00:00Z')).toBe('in 2 weeks');
+      expect(relative('2027-06-01T12:00:00Z')).toBe('in a year');
+    });
+
+    it('localizes past and future strings', () => {
+      expect(relative('2026-05-17T12:00:00Z', 'de')).toBe('vor 3 Tagen');
+      expect(relative('2026-05-06T12:00:00Z', 'de')).toBe('vor 2 Wochen');
+      expect(relative('2026-06-03T12:00:00Z', 'de')).toBe('in 2 Wochen');
+      expect(relative('2026-05-20T09:00:00Z', 'ja')).toBe('3時間前');
+      expect(relative('2027-06-01T12:00:00Z', 'ja')).toBe('1年後');
+    });
+
+    it('counts days instead of weeks for locales without week strings', () => {
+      expect(DateHelper.hasWeekStrings('ja')).toBe(false);
+      expect(relative('2026-05-06T12:00:00Z', 'ja')).toBe('14日前');
+      expect(relative('2026-06-03T12:00:00Z', 'ja')).toBe('14日後');
+    });
+
+    it('is used by formatDate for the relative format', () => {
+      expect(DateHelper.formatDate('2026-05-06T12:00:00Z', 'relative', { locale: 'fr' })).toBe(
+        'il y a 2 semaines'
+      );
+    });
+  });
+
+  describe('parseDateExpression', () => {
+    beforeEach(() => {
+      // A Wednesday
+      jest.useFakeTimers({ now: new Date('2026-05-20T15:30:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const format = (expression, timezone) =>
+      DateHelper.parseDateExpression(expression, timezone)?.format('YYYY-MM-DD HH:mm Z');
+
+    it('parses ISO 8601 dates strictly', () => {
+      expect(format('2026-01-15', 'UTC')).toBe('2026-01-15 00:00 +00:00');
+      expect(format('2026-01-15T10:00:00Z', 'UTC')).toBe('2026-01-15 10:00 +00:00');
+      expect(DateHelper.parseDateExpression('15/01/2026')).toBeNull();
+      expect(DateHelper.parseDateExpression('2026-13-01')).toBeNull();
+      expect(DateHelper.parseDateExpression('')).toBeNull();
+    });
+
+    it('parses relative expressions to the start of the day', () => {
+      expect(format('today', 'UTC')).toBe('2026-05-20 00:00 +00:00');
+      expect(format('Yesterday', 'UTC')).toBe('2026-05-19 00:00 +00:00');
+      expect(format('30 days ago', 'UTC')).toBe('2026-04-20 00:00 +00:00');
+      expect(format('1 week ago', 'UTC')).toBe('2026-05-13 00:00 +00:00');
+      expect(format('2 months ago', 'UTC')).toBe('2026-03-20 00:00 +00:00');
+      expect(format('1 year ago', 'UTC')).toBe('2025-05-20 00:00 +00:00');
+    });
+
+    it('parses the start of the current period', () => {
+      expect(format('start of month', 'UTC')).toBe('2026-05-01 00:00 +00:00');
+      expect(format('start of the quarter', 'UTC')).toBe('2026-04-01 00:00 +00:00');
+      expect(format('start of year', 'UTC')).toBe('2026-01-01 00:00 +00:00');
+      expect(format('start of week', 'UTC')).toBe('2026-05-17 00:00 +00:00');
+    });
+
+    it('evaluates expressions in the given timezone', () => {
+      // 15:30 UTC is already the next day in Tokyo
+      expect(format('today', 'Asia/Tokyo')).toBe('2026-05-21 00:00 +09:00');
+      expect(format('2026-01-15', 'Asia/Tokyo')).toBe('2026-01-15 00:00 +09:00');
+    });
+
+    it('rejects expressions it does not understand', () => {
+      expect(DateHelper.parseDateExpression('last tuesday')).toBeNull();
+      expect(DateHelper.parseDateExpression('days ago')).toBeNull();
+    });
+  });
+
+  describe('isInDateRange', () => {
+    const start = moment.utc('2026-01-10');
+    const end = moment.utc('2026-01-20');
+
+    it('includes whole start and end days', () => {
+      expect(DateHelper.isInDateRange('2026-01-10T12:00:00Z', start, end)).toBe(true);
+      expect(DateHelper.isInDateRange('2026-01-20T12:00:00Z', start, end)).toBe(true);
+      expect(DateHelper.isInDateRange('2026-01-09T12:00:00Z', start, end)).toBe(false);
+      expect(DateHelper.isInDateRange('2026-01-21T12:00:00Z', start, end)).toBe(false);
+    });
+
+    it('treats missing bounds as open and invalid dates as outside', () => {
+      expect(DateHelper.isInDateRange('2020-01-01T00:00:00Z', null, end)).toBe(true);
+      expect(DateHelper.isInDateRange('2030-01-01T00:00:00Z', start, null)).toBe(true);
+      expect(DateHelper.isInDateRange(null, null, null)).toBe(false);
+    });
+  });
+});
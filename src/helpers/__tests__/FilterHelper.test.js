@@ -0,0 +1,144 @@
+const { FilterHelper } = require('../FilterHelper');
+
+const post = {
+  id: 'p1',
+  publishedAt: '2026-03-10T10:00:00.000Z',
+  tags: [
+    { name: 'JavaScript', slug: 'javascript' },
+    { name: 'Node.js', slug: 'nodejs' }
+  ]
+};
+
+describe('FilterHelper', () => {
+  describe('tag filters', () => {
+    it('matches every post without tag filters', () => {
+      expect(FilterHelper.matchesTags(post)).toBe(true);
+      expect(FilterHelper.matchesTags({ tags: [] })).toBe(true);
+    });
+
+    it('matches included tags by slug or name, ignoring case and a leading #', () => {
+      expect(FilterHelper.matchesTags(post, { includeTags: ['nodejs'] })).toBe(true);
+      expect(FilterHelper.matchesTags(post, { includeTags: ['Node.js'] })).toBe(true);
+      expect(FilterHelper.matchesTags(post, { includeTags: ['#JAVASCRIPT'] })).toBe(true);
+      expect(FilterHelper.matchesTags(post, { includeTags: ['python'] })).toBe(false);
+    });
+
+    it('requires one included tag for any and every included tag for all', () => {
+      const includeTags = ['javascript', 'python'];
+
+      expect(FilterHelper.matchesTags(post, { includeTags, tagMatch: 'any' })).toBe(true);
+      expect(FilterHelper.matchesTags(post, { includeTags, tagMatch: 'all' })).toBe(false);
+      expect(
+        FilterHelper.matchesTags(post, { includeTags: ['javascript', 'nodejs'], tagMatch: 'all' })
+      ).toBe(true);
+    });
+
+    it('lets excluded tags win over included tags', () => {
+      expect(
+        FilterHelper.matchesTags(post, { includeTags: ['javascript'], excludeTags: ['nodejs'] })
+      ).toBe(false);
+      expect(FilterHelper.matchesTags(post, { excludeTags: ['python'] })).toBe(true);
+    });
+
+    it('treats posts without tags as not matching included tags', () => {
+      expect(FilterHelper.matchesTags({}, { includeTags: ['javascript'] })).toBe(false);
+      expect(FilterHelper.matchesTags({}, { excludeTags: ['javascript'] })).toBe(true);
+    });
+
+    it('normalizes configured tags and drops empty entries', () => {
+      expect(FilterHelper.normalizeTags([' #Node.js ', '', 'CSS'])).toEqual(['node.js', 'css']);
+      expect(FilterHelper.normalizeTags(undefined)).toEqual([]);
+    });
+
+    it('creates no filter without filter options and a tag predicate with them', () => {
+      expect(FilterHelper.createPostFilter({})).toBeNull();
+
+      const filter = FilterHelper.createPostFilter({
+        includeTags: ['javascript'],
+        excludeTags: ['draft']
+      });
+
+      expect(filter(post)).toBe(true);
+      expect(filter({ ...post, tags: [...post.tags, { name: 'Draft', slug: 'draft' }] })).toBe(
+        false
+      );
+      expect(filter({ ...post, tags: [] })).toBe(false);
+    });
+  });
+
+  describe('author filters', () => {
+    const coAuthored = {
+      ...post,
+      author: { name: 'Ann', username: 'Ann' },
+      coAuthors: [{ name: 'Bob', username: 'bob' }]
+    };
+
+    it('matches posts by their author or a co-author, ignoring case', () => {
+      expect(FilterHelper.matchesAuthors(coAuthored, ['ann'])).toBe(true);
+      expect(FilterHelper.matchesAuthors(coAuthored, ['bob'])).toBe(true);
+      expect(FilterHelper.matchesAuthors(coAuthored, ['eve'])).toBe(false);
+      expect(FilterHelper.matchesAuthors({ ...post, author: null }, ['ann'])).toBe(false);
+      expect(FilterHelper.matchesAuthors(coAuthored, [])).toBe(true);
+    });
+
+    it('normalizes usernames and accepts a leading @', () => {
+      expect(FilterHelper.normalizeUsernames([' @Ann ', '', 'bob'])).toEqual(['ann', 'bob']);
+    });
+
+    it('creates a filter for the configured authors', () => {
+      const filter = FilterHelper.createPostFilter({ authors: ['@BOB'] });
+
+      expect(filter(coAuthored)).toBe(true);
+      expect(filter({ ...coAuthored, coAuthors: [] })).toBe(false);
+    });
+  });
+
+  describe('date filters', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2026-05-20T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const day = date => date?.format('YYYY-MM-DD') ?? null;
+
+    it('starts the range at the later of published_after and max_age_days', () => {
+      const range = config => {
+        const { start, end } = FilterHelper.getDateRange({ timezone: 'UTC', ...config });
+        return [day(start), day(end)];
+      };
+
+      expect(range({})).toEqual([null, null]);
+      expect(range({ publishedAfter: '2026-01-01', maxAgeDays: 30 })).toEqual(['2026-04-20', null]);
+      expect(range({ publishedAfter: '2026-05-01', maxAgeDays: 30 })).toEqual(['2026-05-01', null]);
+      expect(range({ publishedBefore: 'start of month' })).toEqual([null, '2026-05-01']);
+    });
+
+    it('keeps posts published within the range, including its first and last day', () => {
+      const filter = FilterHelper.createPostFilter({
+        timezone: 'UTC',
+        publishedAfter: '2026-03-01',
+        publishedBefore: '2026-03-31'
+      });
+
+      expect(filter({ ...post, publishedAt: '2026-03-01T12:00:00.000Z' })).toBe(true);
+      expect(filter({ ...post, publishedAt: '2026-03-31T12:00:00.000Z' })).toBe(true);
+      expect(filter({ ...post, publishedAt: '2026-02-28T12:00:00.000Z' })).toBe(false);
+      expect(filter({ ...post, publishedAt: '2026-04-01T12:00:00.000Z' })).toBe(false);
+    });
+
+    it('combines date and tag filters', () => {
+      const filter = FilterHelper.createPostFilter({
+        timezone: 'UTC',
+        maxAgeDays: 90,
+        includeTags: ['javascript']
+      });
+
+      expect(filter(post)).toBe(true);
+      expect(filter({ ...post, publishedAt: '2025-12-01T10:00:00.000Z' })).toBe(false);
+      expect(filter({ ...post, tags: [] })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const core = require('@actions/core');
+const { Logger } = require('../Logger');
+
+jest.mock('@actions/core', () => ({
+  ...jest.requireActual('@actions/core'),
+  setSecret: jest.fn(),
+  warning: jest.fn()
+}));
+
+describe('Logger', () => {
+  let logger;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    logger = new Logger();
+  });
+
+  afterEach(() => {
+    Logger.configure({ cli: false });
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('addSecret', () => {
+    it('masks the secret in log lines and annotations', () => {
+      Logger.addSecret('hn-token-1');
+      logger.info('Using token hn-token-1');
+      logger.warn('Token hn-token-1 was rejected');
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Using token ***'));
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Token *** was rejected'));
+      expect(core.warning).toHaveBeenCalledWith('Token *** was rejected');
+      expect(JSON.stringify(console.log.mock.calls)).not.toContain('hn-token-1');
+    });
+
+    it('registers the secret with the runner once', () => {
+      Logger.addSecret('hn-token-2');
+      Logger.addSecret('hn-token-2');
+      Logger.addSecret('');
+
+      expect(core.setSecret).toHaveBeenCalledTimes(1);
+      expect(core.setSecret).toHaveBeenCalledWith('hn-token-2');
+    });
+
+    it('only masks the secret in CLI mode', () => {
+      Logger.configure({ cli: true });
+      Logger.addSecret('hn-token-3');
+      logger.info('Using token hn-token-3');
+
+      expect(core.setSecret).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Using token ***'));
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { SectionHelper } = require('../SectionHelper');
+
+const README = [
+  '# Hello',
+  '<!-- BLOG-POSTS:START -->',
+  'old default',
+  '<!-- BLOG-POSTS:END -->',
+  '## Featured',
+  '<!-- BLOG-POSTS:featured:START format="card" count=\u00273\u0027 theme=dark -->',
+  'old featured',
+  '<!-- BLOG-POSTS:featured:END -->',
+  'Footer'
+].join('\n');
+
+describe('SectionHelper', () => {
+  describe('findSections', () => {
+    it('finds the default and named sections with their bodies', () => {
+      const { sections, unclosed } = SectionHelper.findSections(README);
+
+      expect(unclosed).toEqual([]);
+      expect(sections.map(section => section.name)).toEqual([null, 'featured']);
+      expect(sections.map(section => section.body.trim())).toEqual(['old default', 'old featured']);
+      expect(sections[1].endMarker).toBe('<!-- BLOG-POSTS:featured:END -->');
+    });
+
+    it('parses double-quoted, single-quoted and bare marker attributes', () => {
+      const { sections } = SectionHelper.findSections(README);
+
+      expect(sections[0].attributes).toEqual({});
+      expect(sections[1].attributes).toEqual({ format: 'card', count: '3', theme: 'dark' });
+    });
+
+    it('reports sections without an end marker', () => {
+      const content =
+        '<!-- BLOG-POSTS:a:START -->\n<!-- BLOG-POSTS:b:START -->\n<!-- BLOG-POSTS:b:END -->';
+      const { sections, unclosed } = SectionHelper.findSections(content);
+
+      expect(sections.map(section => section.name)).toEqual(['b']);
+      expect(unclosed).toEqual(['a']);
+    });
+
+    it('does not pair a named start marker with another section end marker', () => {
+      const content = '<!-- BLOG-POSTS:a:START -->\nbody\n<!-- BLOG-POSTS:END -->';
+
+      expect(SectionHelper.findSections(content)).toEqual({ sections: [], unclosed: ['a'] });
+    });
+  });
+
+  describe('replaceSections', () => {
+    it('replaces every section body and keeps start markers with their attributes', () => {
+      const { sections } = SectionHelper.findSections(README);
+      const updated = SectionHelper.replaceSections(README, [
+        { section: sections[0], body: 'new default' },
+        { section: sections[1], body: 'new featured' }
+      ]);
+
+      expect(updated).toBe(
+        [
+          '# Hello',
+          '<!-- BLOG-POSTS:START -->',
+          'new default',
+          '<!-- BLOG-POSTS:END -->',
+          '## Featured',
+          '<!-- BLOG-POSTS:featured:START format="card" count=\u00273\u0027 theme=dark -->',
+          'new featured',
+          '<!-- BLOG-POSTS:featured:END -->',
+          'Footer'
+        ].join('\n')
+      );
+    });
+
+    it('leaves sections without a replacement untouched', () => {
+      const { sections } = SectionHelper.findSections(README);
+      const updated = SectionHelper.replaceSections(README, [
+        { section: sections[1], body: 'new featured' }
+      ]);
+
+      expect(updated).toContain('old default');
+      expect(updated).not.toContain('old featured');
+    });
+  });
+
+  describe('hasContentChanged', () => {
+    it('ignores differences in the last updated timestamp only', () => {
+      const original = `${README}\n${SectionHelper.buildTimestamp(new Date('2026-01-01T00:00:00Z'))}`;
+      const retimed = `${README}\n${SectionHelper.buildTimestamp(new Date('2026-02-01T00:00:00Z'))}`;
+
+      expect(SectionHelper.hasContentChanged(original, retimed)).toBe(false);
+      expect(SectionHelper.hasContentChanged(original, retimed.replace('Footer', 'New'))).toBe(
+        true
+      );
+    });
+  });
+});
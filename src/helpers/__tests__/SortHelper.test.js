@@ -0,0 +1,125 @@
+const moment = require('moment-timezone');
+const { SortHelper } = require('../SortHelper');
+
+/**
+ * Build a post published a number of days ago
+ * @param {string} id - Post id
+ * @param {number} daysAgo - Days since publication
+ * @param {Object} fields - Further post fields
+ * @returns {Object} Post
+ */
+const postFrom = (id, daysAgo, fields = {}) => ({
+  id,
+  publishedAt: moment().subtract(daysAgo, 'days').toISOString(),
+  updatedAt: moment().subtract(daysAgo, 'days').toISOString(),
+  reactions: 0,
+  comments: 0,
+  views: 0,
+  ...fields
+});
+
+const posts = [
+  postFrom('new', 1, { reactions: 2, views: 50, comments: 1 }),
+  postFrom('edited', 5, { updatedAt: moment().toISOString(), reactions: 9, views: 10 }),
+  postFrom('old', 40, { reactions: 20, views: 500, comments: 9 }),
+  postFrom('tied', 3, { reactions: 2, views: 80, comments: 1 })
+];
+
+const ids = list => list.map(post => post.id);
+
+describe('SortHelper', () => {
+  describe('sortPosts', () => {
+    it('orders newest and oldest first by publication date', () => {
+      expect(ids(SortHelper.sortPosts(posts))).toEqual(['new', 'tied', 'edited', 'old']);
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'oldest' }))).toEqual([
+        'old',
+        'edited',
+        'tied',
+        'new'
+      ]);
+    });
+
+    it('orders recently updated posts first', () => {
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'updated' }))).toEqual([
+        'edited',
+        'new',
+        'tied',
+        'old'
+      ]);
+    });
+
+    it('orders by an engagement metric and breaks ties newest first', () => {
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'reactions' }))).toEqual([
+        'old',
+        'edited',
+        'new',
+        'tied'
+      ]);
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'views' }))).toEqual([
+        'old',
+        'tied',
+        'new',
+        'edited'
+      ]);
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'comments' }))).toEqual([
+        'old',
+        'new',
+        'tied',
+        'edited'
+      ]);
+    });
+
+    it('ranks popular posts of the last popular_days by interactions, then views', () => {
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'popular', popularDays: 30 }))).toEqual([
+        'edited',
+        'tied',
+        'new'
+      ]);
+      expect(ids(SortHelper.sortPosts(posts, { sortBy: 'popular', popularDays: 60 }))[0]).toBe(
+        'old'
+      );
+    });
+
+    it('returns a sorted copy and leaves the given posts untouched', () => {
+      const original = [...posts];
+
+      SortHelper.sortPosts(posts, { sortBy: 'oldest' });
+      SortHelper.sortPosts(posts, { sortBy: 'views' });
+
+      expect(posts).toEqual(original);
+    });
+  });
+
+  describe('getFetchLimit', () => {
+    it('fetches only the displayed posts newest first', () => {
+      expect(SortHelper.getFetchLimit({ sortBy: 'newest', postCount: 5, fetchLimit: null })).toBe(
+        5
+      );
+    });
+
+    it('fetches every post for the oldest order', () => {
+      expect(SortHelper.getFetchLimit({ sortBy: 'oldest', postCount: 5, fetchLimit: null })).toBe(
+        Infinity
+      );
+      expect(SortHelper.getFetchLimit({ sortBy: 'oldest', postCount: 5, fetchLimit: 50 })).toBe(50);
+    });
+
+    it('ranks the newest 100 posts for the other orders', () => {
+      expect(SortHelper.getFetchLimit({ sortBy: 'updated', postCount: 5 })).toBe(100);
+      expect(SortHelper.getFetchLimit({ sortBy: 'popular', postCount: 5 })).toBe(100);
+      expect(SortHelper.getFetchLimit({ sortBy: 'views', postCount: 250, fetchLimit: null })).toBe(
+        250
+      );
+      expect(
+        SortHelper.getFetchLimit({ sortBy: 'views', postCount: Infinity, fetchLimit: null })
+      ).toBe(Infinity);
+    });
+
+    it('follows fetch_limit when it is set', () => {
+      expect(SortHelper.getFetchLimit({ sortBy: 'views', postCount: 5, fetchLimit: 20 })).toBe(20);
+      expect(
+        SortHelper.getFetchLimit({ sortBy: 'views', postCount: 5, fetchLimit: Infinity })
+      ).toBe(Infinity);
+    });
+  });
+});
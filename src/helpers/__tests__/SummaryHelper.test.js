@@ -0,0 +1,117 @@
+const { SummaryHelper } = require('../SummaryHelper');
+const { TemplateHelper } = require('../TemplateHelper');
+
+const templateHelper = new TemplateHelper();
+
+describe('SummaryHelper', () => {
+  describe('extractPostLinks', () => {
+    it('finds Markdown links and href attributes but not images', () => {
+      const body = [
+        '![cover](https://cdn.example.com/cover.png)',
+        '- [First](https://blog.example.com/first)',
+        '<a href="https://blog.example.com/second?a=1&amp;b=2">Second</a>'
+      ].join('\n');
+
+      expect(SummaryHelper.extractPostLinks(body)).toEqual([
+        'https://blog.example.com/first',
+        'https://blog.example.com/second?a=1&b=2'
+      ]);
+    });
+
+    it('finds links whose text contains escaped brackets', () => {
+      const title = templateHelper.escape('Release [v2] notes ]', 'md');
+
+      expect(SummaryHelper.extractPostLinks(`- [${title}](https://blog.example.com/v2)`)).toEqual([
+        'https://blog.example.com/v2'
+      ]);
+    });
+
+    it('decodes the characters escaped in Markdown link targets', () => {
+      const url = templateHelper.escape('https://blog.example.com/p_(1) <b>', 'mdurl');
+
+      expect(SummaryHelper.extractPostLinks(`- [x](${url})`)).toEqual([
+        'https://blog.example.com/p_(1) <b>'
+      ]);
+      expect(SummaryHelper.extractPostLinks('- [x](https://blog.example.com/a%2Fb)')).toEqual([
+        'https://blog.example.com/a%2Fb'
+      ]);
+    });
+
+    it('decodes numeric entities in attribute values', () => {
+      expect(
+        SummaryHelper.extractPostLinks('<a href="https://blog.example.com/c&#43;&#43;">x</a>')
+      ).toEqual(['https://blog.example.com/c++']);
+    });
+
+    it('ignores relative links, author profiles, series pages and home pages', () => {
+      const body = [
+        '- [Draft](https://blog.example.com/)',
+        '### [Guide](https://blog.example.com/series/guide)',
+        '<a href="https://hashnode.com/&#64;ann"><img src="https://cdn.example.com/ann.png" /> Ann</a>',
+        '- [Part 1](https://blog.example.com/guide-part-1)',
+        '[Top](#top)'
+      ].join('\n');
+
+      expect(SummaryHelper.extractPostLinks(body)).toEqual([
+        'https://blog.example.com/guide-part-1'
+      ]);
+    });
+  });
+
+  describe('comparePosts', () => {
+    it('does not report bylines and series headings as removed posts', () => {
+      const post = {
+        title: 'Part 1',
+        url: 'https://blog.example.com/guide-part-1',
+        author: { name: 'Ann', profileUrl: 'https://hashnode.com/@ann' }
+      };
+      const body = [
+        '### [Guide](https://blog.example.com/series/guide/)',
+        '### <a href="https://hashnode.com/@ann">Ann</a>',
+        `- [Part 1](${post.url})`
+      ].join('\n');
+
+      expect(SummaryHelper.comparePosts(body, [post])).toEqual({ added: [], removed: [] });
+    });
+
+    it('reports a post with brackets in its title as unchanged', () => {
+      const post = { title: 'Array[0] and ]weird[ titles', url: 'https://blog.example.com/arrays' };
+      const markdown = templateHelper.escapePost(post, 'md');
+      const body = `- [${markdown.title}](${markdown.url})`;
+
+      expect(SummaryHelper.comparePosts(body, [post])).toEqual({ added: [], removed: [] });
+    });
+
+    it('reports a post whose URL needs escaping in Markdown as unchanged', () => {
+      const post = { title: 'Post [v2] *x*', url: 'https://blog.example.com/p_(1)' };
+      const markdown = templateHelper.escapePost(post, 'md');
+      const body = `- [${markdown.title}](${markdown.url})`;
+
+      expect(markdown.url).toBe('https://blog.example.com/p_%281%29');
+      expect(SummaryHelper.comparePosts(body, [post])).toEqual({ added: [], removed: [] });
+    });
+
+    it('leaves scheduled drafts out', () => {
+      const draft = { title: 'Soon', url: 'https://blog.example.com', scheduled: true };
+      const post = { title: 'Live', url: 'https://blog.example.com/live' };
+
+      expect(
+        SummaryHelper.comparePosts('- [Soon](https://blog.example.com)', [draft, post])
+      ).toEqual({ added: [post], removed: [] });
+      expect(SummaryHelper.comparePosts('- [Soon](https://blog.example.com)', [])).toEqual({
+        added: [],
+        removed: []
+      });
+    });
+
+    it('reports added and removed posts', () => {
+      const body = '- [Old](https://blog.example.com/old)';
+      const post = { title: 'New', url: 'https://blog.example.com/new' };
+
+      expect(SummaryHelper.comparePosts(body, [post])).toEqual({
+        added: [post],
+        removed: ['https://blog.example.com/old']
+      });
+    });
+  });
+});
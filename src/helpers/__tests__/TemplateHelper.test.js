@@ -0,0 +1,409 @@
+const { TemplateHelper } = require('../TemplateHelper');
+const { ConfigHelper } = require('../ConfigHelper');
+
+const templateHelper = new TemplateHelper();
+
+describe('TemplateHelper', () => {
+  describe('escape', () => {
+    const hostile =
+      '<img src=x onerror="alert(\u0027x\u0027)"> & [link](javascript:alert(1)) *bold* | cell';
+
+    it('escapes HTML text', () => {
+      expect(templateHelper.escape(hostile, 'html')).toBe(
+        '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt; &amp; [link](javascript:alert(1)) *bold* | cell'
+      );
+    });
+
+    it('escapes HTML by default and for unknown contexts', () => {
+      expect(templateHelper.escape('<b>', undefined)).toBe('&lt;b&gt;');
+      expect(templateHelper.escape('<b>', 'nope')).toBe('&lt;b&gt;');
+    });
+
+    it('escapes attribute values and joins lines', () => {
+      expect(templateHelper.escape('a "quoted"\nvalue', 'attr')).toBe('a &quot;quoted&quot; value');
+    });
+
+    it('neutralizes unsafe URL schemes in URL attributes', () => {
+      expect(templateHelper.escape('javascript:alert(1)', 'url')).toBe('#');
+      expect(templateHelper.escape(' JavaScript:alert(1)', 'url')).toBe('#');
+      expect(templateHelper.escape('data:text/html,<script>', 'url')).toBe('#');
+      expect(templateHelper.escape('https://blog.dev/a?b=1&c="2"', 'url')).toBe(
+        'https://blog.dev/a?b=1&amp;c=&quot;2&quot;'
+      );
+      expect(templateHelper.escape('/relative/path', 'url')).toBe('/relative/path');
+    });
+
+    it('ignores tabs, newlines and control characters when checking the scheme', () => {
+      for (const url of [
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'java\r\nscript:alert(1)',
+        '\u0001javascript:alert(1)',
+        ' \u0000 javascript:alert(1)',
+        'javascript\u007f:alert(1)'
+      ]) {
+        expect(templateHelper.escape(url, 'url')).toBe('#');
+        expect(templateHelper.escape(url, 'mdurl')).toBe('#');
+      }
+
+      expect(templateHelper.escape('https://blog.dev/\ta\nb', 'url')).toBe('https://blog.dev/ab');
+    });
+
+    it('escapes Markdown text', () => {
+      expect(templateHelper.escape(hostile, 'md')).toBe(
+        '&lt;img src=x onerror="alert(\'x\')"&gt; &amp; \\[link\\](javascript:alert(1)) \\*bold\\* \\| cell'
+      );
+      expect(templateHelper.escape('# Title\n\n_line_', 'md')).toBe('\\# Title \\_line\\_');
+    });
+
+    it('escapes Markdown link targets', () => {
+      expect(templateHelper.escape('https://blog.dev/a b(c)<d>', 'mdurl')).toBe(
+        'https://blog.dev/a%20b%28c%29%3Cd%3E'
+      );
+      expect(templateHelper.escape('javascript:alert(1)', 'mdurl')).toBe('#');
+    });
+
+    it('leaves raw values untouched', () => {
+      expect(templateHelper.escape('<b>bold</b>', 'raw')).toBe('<b>bold</b>');
+    });
+
+    it('turns missing values into empty strings', () => {
+      for (const context of ['html', 'attr', 'url', 'md', 'mdurl', 'raw']) {
+        expect(templateHelper.escape(undefined, context)).toBe('');
+        expect(templateHelper.escape(null, context)).toBe('');
+      }
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('replaces variables and nested paths, HTML-escaped by default', () => {
+      expect(
+        templateHelper.renderTemplate('{{title}} by {{author.name}}', {
+          title: '<b>Hi</b>',
+          author: { name: 'Ann & Bob' }
+        })
+      ).toBe('&lt;b&gt;Hi&lt;/b&gt; by Ann &amp; Bob');
+    });
+
+    it('applies escaping filters and raw output', () => {
+      const context = { title: '<b>[x]</b>', url: 'javascript:alert(1)' };
+
+      expect(templateHelper.renderTemplate('{{title | md}}', context)).toBe(
+        '&lt;b&gt;\\[x\\]&lt;/b&gt;'
+      );
+      expect(templateHelper.renderTemplate('{{url | url}}|{{url | mdurl}}', context)).toBe('#|#');
+      expect(templateHelper.renderTemplate('{{{title}}}|{{title | raw}}', context)).toBe(
+        '<b>[x]</b>|<b>[x]</b>'
+      );
+    });
+
+    it('renders if, unless and else blocks', () => {
+      const template =
+        '{{#if tags}}tagged{{else}}untagged{{/if}}/{{#unless pinned}}latest{{/unless}}';
+
+      expect(templateHelper.renderTemplate(template, { tags: ['a'], pinned: false })).toBe(
+        'tagged/latest'
+      );
+      expect(templateHelper.renderTemplate(template, { tags: [], pinned: true })).toBe('untagged/');
+    });
+
+    it('loops over arrays with loop variables and outer scope lookups', () => {
+      const template =
+        '{{#each tags}}{{@number}}.{{name}}{{#if @first}}*{{/if}} {{prefix}}{{#unless @last}}, {{/unless}}{{/each}}';
+
+      expect(
+        templateHelper.renderTemplate(template, {
+          prefix: '#',
+          tags: [{ name: 'js' }, { name: '<go>' }]
+        })
+      ).toBe('1.js* #, 2.&lt;go&gt; #');
+      expect(templateHelper.renderTemplate('{{#each tags}}{{this}}{{else}}none{{/each}}', {})).toBe(
+        'none'
+      );
+    });
+
+    it('does not evaluate template tags inside values', () => {
+      expect(templateHelper.renderTemplate('{{title}}', { title: '{{secret}}' })).toBe(
+        '{{secret}}'
+      );
+    });
+
+    it('rejects unbalanced and unknown blocks and filters', () => {
+      expect(() => templateHelper.renderTemplate('{{#if x}}open')).toThrow(
+        'Unclosed template block: {{#if}}'
+      );
+      expect(() => templateHelper.renderTemplate('{{/if}}')).toThrow('Unexpected closing tag');
+      expect(() => templateHelper.renderTemplate('{{#if x}}{{/each}}')).toThrow(
+        'Unexpected closing tag'
+      );
+      expect(() => templateHelper.renderTemplate('{{else}}')).toThrow('Unexpected {{else}}');
+      expect(() => templateHelper.renderTemplate('{{#with x}}{{/with}}')).toThrow(
+        'Unknown template block'
+      );
+      expect(() => templateHelper.renderTemplate('{{#if}}{{/if}}')).toThrow(
+        'requires a variable name'
+      );
+      expect(() => templateHelper.renderTemplate('{{title | shout}}')).toThrow(
+        'Unknown template filter "shout"'
+      );
+    });
+  });
+
+  describe('buildPostFields', () => {
+    const post = { formattedDate: 'Jan 31, 2026', readTime: 8, tags: [] };
+
+    it('leads with the pinned badge for pinned posts only', () => {
+      expect(
+        templateHelper.buildPostFields({ ...post, pinned: true }, ['date', 'readTime'])
+      ).toEqual([
+        { field: 'pinned', text: '📌 Pinned' },
+        { field: 'date', text: 'Jan 31, 2026' },
+        { field: 'readTime', text: '8 min read' }
+      ]);
+      expect(templateHelper.buildPostFields(post, ['date'])).toEqual([
+        { field: 'date', text: 'Jan 31, 2026' }
+      ]);
+    });
+
+    it('builds every field in the order of show_fields and leaves out empty ones', () => {
+      const fields = templateHelper.buildPostFields(
+        {
+          ...post,
+          tags: [{ name: 'JavaScript', slug: 'javascript' }, { name: 'Node' }],
+          author: { name: 'Ann' },
+          coAuthors: [{ name: 'Bob' }],
+          reactions: 1234,
+          views: 0,
+          series: { name: 'Guide' },
+          part: { number: 2, total: 5 },
+          delisted: true
+        },
+        [
+          'visibility',
+          'part',
+          'series',
+          'comments',
+          'views',
+          'reactions',
+          'tags',
+          'author',
+          'readTime',
+          'date'
+        ],
+        'de'
+      );
+
+      expect(fields.map(({ text }) => text)).toEqual([
+        '🔒 Delisted',
+        'Part 2 of 5',
+        '📚 Guide',
+        '0 💬',
+        '0 views',
+        '1.234 ❤️',
+        '#javascript #Node',
+        'by Ann & Bob',
+        '8 min read',
+        'Jan 31, 2026'
+      ]);
+      expect(
+        templateHelper.buildPostFields({ tags: [] }, ['date', 'readTime', 'author', 'series'])
+      ).toEqual([]);
+    });
+  });
+
+  describe('formatPostDate', () => {
+    const post = { publishedAt: '2026-01-15T23:30:00Z' };
+
+    it('applies date_format, date_locale and timezone from the config', () => {
+      const config = ConfigHelper.getConfig(
+        name =>
+          ({ date_format: 'dddd, D. MMMM YYYY', date_locale: 'de', timezone: 'Asia/Tokyo' })[name]
+      );
+
+      expect(templateHelper.formatPostDate(post, config)).toBe('Freitag, 16. Januar 2026');
+    });
+
+    it('formats in English and UTC by default', () => {
+      expect(
+        templateHelper.formatPostDate(
+          post,
+          ConfigHelper.getConfig(() => undefined)
+        )
+      ).toBe('Jan 15, 2026');
+    });
+
+    it('marks scheduled posts', () => {
+      expect(
+        templateHelper.formatPostDate(
+          { ...post, scheduled: true },
+          ConfigHelper.getConfig(name => (name === 'date_format' ? 'YYYY-MM-DD' : undefined))
+        )
+      ).toBe('🗓️ 2026-01-15');
+    });
+  });
+
+  describe('getShowFields', () => {
+    it('uses show_fields, or the defaults of the display format', () => {
+      expect(
+        templateHelper.getShowFields({ showFields: ['views'], displayFormat: 'svg-card' })
+      ).toEqual(['views']);
+      expect(templateHelper.getShowFields({ showFields: [], displayFormat: 'list' })).toEqual([
+        'date'
+      ]);
+      expect(templateHelper.getShowFields({ showFields: [], displayFormat: 'svg-card' })).toEqual([
+        'date',
+        'readTime',
+        'tags'
+      ]);
+    });
+
+    it('leads with the part number for series', () => {
+      expect(
+        templateHelper.getShowFields({ showFields: [], displayFormat: 'list', series: ['guide'] })
+      ).toEqual(['part', 'date']);
+    });
+  });
+
+  describe('themes', () => {
+    const LIGHT = {
+      primaryColor: '#1a1a1a',
+      secondaryColor: '#6b7280',
+      textColor: '#4b5563',
+      backgroundColor: '#ffffff',
+      surfaceColor: '#f8f9fa',
+      borderColor: '#e1e5e9',
+      borderRadius: '8px',
+      fontSize: '14px',
+      fontFamily: 'system-ui, -apple-system, sans-serif'
+    };
+    const DARK = {
+      ...LIGHT,
+      primaryColor: '#e6edf3',
+      secondaryColor: '#9198a1',
+      textColor: '#c9d1d9',
+      backgroundColor: '#0d1117',
+      surfaceColor: '#161b22',
+      borderColor: '#3d444d'
+    };
+
+    it('resolves the palette of every preset', () => {
+      expect(templateHelper.resolveTheme()).toEqual(LIGHT);
+      expect(templateHelper.resolveTheme('light')).toEqual(LIGHT);
+      expect(templateHelper.resolveTheme('dark')).toEqual(DARK);
+      expect(templateHelper.resolveTheme('high-contrast')).toEqual({
+        ...LIGHT,
+        primaryColor: '#000000',
+        secondaryColor: '#1f1f1f',
+        textColor: '#000000',
+        backgroundColor: '#ffffff',
+        surfaceColor: '#ffffff',
+        borderColor: '#000000'
+      });
+    });
+
+    it('overrides preset values with custom colors in either key style', () => {
+      expect(
+        templateHelper.resolveTheme('dark', {
+          primary_color: '#a5b4fc',
+          borderRadius: '0',
+          dark: { text_color: '#ffffff' }
+        })
+      ).toEqual({ ...DARK, primaryColor: '#a5b4fc', borderRadius: '0' });
+    });
+
+    it('renders fixed themes in a single unnamed scheme', () => {
+      expect(
+        templateHelper.getThemeSchemes({ theme: 'dark', themeColors: { primary_color: '#fff' } })
+      ).toEqual([{ name: null, palette: { ...DARK, primaryColor: '#fff' } }]);
+      expect(templateHelper.getThemeSchemes({})).toEqual([{ name: null, palette: LIGHT }]);
+    });
+
+    it('renders auto themes in a light and a dark scheme, with dark colors in the dark one only', () => {
+      expect(
+        templateHelper.getThemeSchemes({
+          theme: 'github-auto',
+          themeColors: { primary_color: '#4f46e5', dark: { primary_color: '#a5b4fc' } }
+        })
+      ).toEqual([
+        { name: 'light', palette: { ...LIGHT, primaryColor: '#4f46e5' } },
+        { name: 'dark', palette: { ...DARK, primaryColor: '#a5b4fc' } }
+      ]);
+    });
+
+    it('uses the palette of fixed themes for inline styles without a stylesheet', () => {
+      expect(templateHelper.buildThemeStyles({ theme: 'high-contrast' })).toEqual({
+        values: templateHelper.resolveTheme('high-contrast'),
+        stylesheet: ''
+      });
+    });
+
+    it('references CSS variables switched by a prefers-color-scheme stylesheet for auto themes', () => {
+      const { values, stylesheet } = templateHelper.buildThemeStyles({
+        theme: 'github-auto',
+        themeColors: { dark: { primary_color: '#a5b4fc' } }
+      });
+
+      expect(values).toEqual({
+        primaryColor: 'var(--blog-primary-color, #1a1a1a)',
+        secondaryColor: 'var(--blog-secondary-color, #6b7280)',
+        textColor: 'var(--blog-text-color, #4b5563)',
+        backgroundColor: 'var(--blog-background-color, #ffffff)',
+        surfaceColor: 'var(--blog-surface-color, #f8f9fa)',
+        borderColor: 'var(--blog-border-color, #e1e5e9)',
+        borderRadius: 'var(--blog-border-radius, 8px)',
+        fontSize: 'var(--blog-font-size, 14px)',
+        fontFamily: 'var(--blog-font-family, system-ui, -apple-system, sans-serif)'
+      });
+      expect(stylesheet).toBe(
+        [
+          '<style>',
+          ':root {',
+          '  --blog-primary-color: #1a1a1a;',
+          '  --blog-secondary-color: #6b7280;',
+          '  --blog-text-color: #4b5563;',
+          '  --blog-background-color: #ffffff;',
+          '  --blog-surface-color: #f8f9fa;',
+          '  --blog-border-color: #e1e5e9;',
+          '  --blog-border-radius: 8px;',
+          '  --blog-font-size: 14px;',
+          '  --blog-font-family: system-ui, -apple-system, sans-serif;',
+          '}',
+          '@media (prefers-color-scheme: dark) {',
+          '  :root {',
+          '    --blog-primary-color: #a5b4fc;',
+          '    --blog-secondary-color: #9198a1;',
+          '    --blog-text-color: #c9d1d9;',
+          '    --blog-background-color: #0d1117;',
+          '    --blog-surface-color: #161b22;',
+          '    --blog-border-color: #3d444d;',
+          '    --blog-border-radius: 8px;',
+          '    --blog-font-size: 14px;',
+          '    --blog-font-family: system-ui, -apple-system, sans-serif;',
+          '  }',
+          '}',
+          '</style>'
+        ].join('\n')
+      );
+    });
+
+    it('lists the theme names and palette keys', () => {
+      expect(TemplateHelper.getThemeNames()).toEqual([
+        'light',
+        'dark',
+        'high-contrast',
+        'github-auto'
+      ]);
+      expect(TemplateHelper.getThemeColorKeys()).toEqual([
+        'primary_color',
+        'secondary_color',
+        'text_color',
+        'background_color',
+        'surface_color',
+        'border_color',
+        'border_radius',
+        'font_size',
+        'font_family'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationHelper } = require('../ValidationHelper');
+const { ConfigHelper } = require('../ConfigHelper');
+
+const WORKFLOW_FILE = '.github/workflows/blog.yml';
+
+/**
+ * Check out a workflow file in a temporary workspace and point the workflow environment at it
+ * @param {Array} lines - Lines of the workflow file
+ */
+const checkOutWorkflow = lines => {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-'));
+
+  fs.mkdirSync(path.join(workspace, '.github/workflows'), { recursive: true });
+  fs.writeFileSync(path.join(workspace, WORKFLOW_FILE), lines.join('\n'));
+  process.env.GITHUB_WORKSPACE = workspace;
+  process.env.GITHUB_WORKFLOW_REF = `owner/repo/${WORKFLOW_FILE}@refs/heads/main`;
+};
+
+describe('ValidationHelper', () => {
+  const validationHelper = new ValidationHelper();
+
+  describe('findInputLocation', () => {
+    beforeEach(() => {
+      process.env.GITHUB_ACTION_REPOSITORY = 'sansk/hashnode-blog-pull-workflow';
+    });
+
+    afterEach(() => {
+      fs.rmSync(process.env.GITHUB_WORKSPACE, { recursive: true, force: true });
+      delete process.env.GITHUB_WORKSPACE;
+      delete process.env.GITHUB_WORKFLOW_REF;
+      delete process.env.GITHUB_ACTION_REPOSITORY;
+    });
+
+    it('points at the input of the step that uses this action', () => {
+      checkOutWorkflow([
+        'jobs:',
+        '  update:',
+        '    steps:',
+        '      - uses: other/action@v2',
+        '        with:',
+        '          post_count: 3',
+        '      - name: Update README',
+        '        uses: sansk/hashnode-blog-pull-workflow@v1',
+        '        with:',
+        '          publication_name: blog.example.com',
+        '          post_count: 0'
+      ]);
+
+      expect(validationHelper.findInputLocation('post_count')).toEqual({
+        file: WORKFLOW_FILE,
+        startLine: 11
+      });
+    });
+
+    it('leaves the line out when several steps of this action set the input', () => {
+      checkOutWorkflow([
+        'jobs:',
+        '  update:',
+        '    steps:',
+        '      - uses: sansk/hashnode-blog-pull-workflow@v1',
+        '        with:',
+        '          post_count: 3',
+        '      - uses: sansk/hashnode-blog-pull-workflow@v1',
+        '        with:',
+        '          post_count: 0'
+      ]);
+
+      expect(validationHelper.findInputLocation('post_count')).toEqual({ file: WORKFLOW_FILE });
+    });
+
+    it('finds a local checkout of the action and ignores inputs of other steps', () => {
+      delete process.env.GITHUB_ACTION_REPOSITORY;
+      checkOutWorkflow([
+        'jobs:',
+        '  update:',
+        '    steps:',
+        '      - uses: ./',
+        '        with:',
+        '          theme: nope',
+        '      - uses: other/action@v2',
+        '        with:',
+        '          post_count: 3'
+      ]);
+
+      expect(validationHelper.findInputLocation('theme')).toEqual({
+        file: WORKFLOW_FILE,
+        startLine: 6
+      });
+      expect(validationHelper.findInputLocation('post_count')).toEqual({});
+    });
+  });
+
+  describe('collectWarnings', () => {
+    const configFrom = inputs =>
+      ConfigHelper.applyOverrides(
+        ConfigHelper.getConfig(() => undefined),
+        inputs
+      );
+    const warningsFor = inputs =>
+      validationHelper.collectWarnings(configFrom(inputs)).map(warning => warning.input);
+
+    it('warns that GitHub-rendered formats other than svg-card and custom ignore the theme', () => {
+      for (const format of ['card', 'stacked-left', 'table', 'grid', 'compact']) {
+        expect(
+          warningsFor({ display_format: format, render_target: 'github', theme: 'dark' })
+        ).toContain('theme');
+      }
+
+      const [warning] = validationHelper.collectWarnings(
+        configFrom({
+          display_format: 'card',
+          render_target: 'github',
+          theme_colors: 'primary_color: "#123456"'
+        })
+      );
+
+      expect(warning.input).toBe('theme_colors');
+      expect(warning.message).toMatch(/render_target github.*use the svg-card format/);
+    });
+
+    it('accepts the theme where it is applied', () => {
+      expect(
+        warningsFor({ display_format: 'svg-card', render_target: 'github', theme: 'dark' })
+      ).not.toContain('theme');
+      expect(
+        warningsFor({ display_format: 'card', render_target: 'html', theme: 'dark' })
+      ).not.toContain('theme');
+    });
+  });
+
+  describe('theme', () => {
+    const validate = inputs => () =>
+      validationHelper.validateTheme(
+        ConfigHelper.applyOverrides(
+          ConfigHelper.getConfig(() => undefined),
+          inputs,
+          'inputs',
+          'target'
+        )
+      );
+
+    it('rejects github-auto for formats other than svg-card in Markdown files', () => {
+      for (const format of ['card', 'stacked-left', 'table', 'grid', 'list', 'custom']) {
+        expect(validate({ display_format: format, theme: 'github-auto' })).toThrow(
+          `github-auto needs the svg-card format in Markdown files, GitHub strips the stylesheet the ${format} format switches colors with from README.md`
+        );
+      }
+    });
+
+    it('accepts github-auto for svg-card and for files that keep the stylesheet', () => {
+      expect(validate({ display_format: 'svg-card', theme: 'github-auto' })).not.toThrow();
+      expect(
+        validate({ display_format: 'card', theme: 'github-auto', filename: 'docs/index.html' })
+      ).not.toThrow();
+      expect(validate({ display_format: 'card', theme: 'dark' })).not.toThrow();
+    });
+
+    it('rejects unknown themes', () => {
+      expect(validate({ theme: 'sepia' })).toThrow(
+        'Unsupported theme: sepia. Supported themes: light, dark, high-contrast, github-auto'
+      );
+    });
+  });
+
+  describe('retry_delay', () => {
+    const retryDelay = value =>
+      ConfigHelper.getConfig(name => (name === 'retry_delay' ? value : undefined)).retryDelay;
+    const validate = value => () =>
+      validationHelper.validateNumericOption('retryDelay', retryDelay(value), 0, 60, {
+        integer: false
+      });
+
+    it('keeps fractions of a second', () => {
+      expect(retryDelay('0.5')).toBe(0.5);
+      expect(retryDelay('1.5')).toBe(1.5);
+      expect(validate('0.5')).not.toThrow();
+    });
+
+    it('rejects values that are no number or out of range', () => {
+      expect(validate('soon')).toThrow('retryDelay must be a valid number');
+      expect(validate('-1')).toThrow('retryDelay must be between 0 and 60');
+      expect(validate('61')).toThrow('retryDelay must be between 0 and 60');
+    });
+  });
+});
@@ -42,9 +42,12 @@ class GitHubService {
   /**
    * Get file content from repository
    * @param {string} path - File path in repository
+   * @param {Object} options - Read options
+   * @param {boolean} options.optional - The file need not exist; a missing file is not
+   * announced as a file to create
    * @returns {string} File content
    */
-  async getFileContent(filePath) {
+  async getFileContent(filePath, { optional = false } = {}) {
     try {
       // Mock mode for local development - read from local filesystem
       if (this.isMockMode) {
@@ -58,7 +61,9 @@ class GitHubService {
           return content;
         } catch (error) {
           if (error.code === 'ENOENT') {
-            this.logger.info(`Mock: File ${filePath} not found locally, will create new file`);
+            if (!optional) {
+              this.logger.info(`Mock: File ${filePath} not found locally, will create new file`);
+            }
             return '';
           }
           this.logger.error('Mock: Error reading local file:', error.message);
@@ -86,7 +91,9 @@ class GitHubService {
       return content;
     } catch (error) {
       if (error.status === 404) {
-        this.logger.info(`File ${filePath} not found, will create new file`);
+        if (!optional) {
+          this.logger.info(`File ${filePath} not found, will create new file`);
+        }
         return '';
       }
 
@@ -160,6 +167,331 @@ class GitHubService {
       throw new Error(`Failed to update file ${filePath}: ${error.message}`);
     }
   }
+
+  /**
+   * List the names of the files in a repository directory
+   * @param {string} dirPath - Directory path in repository
+   * @returns {Array} File names, empty if the directory does not exist
+   */
+  async listFiles(dirPath) {
+    try {
+      if (this.isMockMode) {
+        const entries = await fs.readdir(path.resolve(process.cwd(), dirPath), {
+          withFileTypes: true
+        });
+        return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+      }
+
+      const response = await this.octokit.rest.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: dirPath,
+        ref: getInput('target_branch') || 'main'
+      });
+
+      return Array.isArray(response.data)
+        ? response.data.filter(entry => entry.type === 'file').map(entry => entry.name)
+        : [];
+    } catch (error) {
+      if (error.status === 404 || error.code === 'ENOENT') {
+        return [];
+      }
+
+      throw new Error(`Failed to list directory ${dirPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Commit several files to the repository as a single commit using the Git Data API.
+   * The commit is created on top of `baseBranch`; when `branch` differs from it, `branch`
+   * is created or reset to point at the new commit. A `branch` that already holds the files
+   * as they are is left alone, so scheduled runs do not force-push identical commits.
+   * @param {Array} files - Files to commit, each with a `path` and `content` (a string, or a Buffer for binary files),
+   * or with the `deleted` flag to remove the file
+   * @param {string} message - Commit message
+   * @param {Object} options - Commit options
+   * @param {string} options.branch - Branch to update (defaults to the target branch)
+   * @param {string} options.baseBranch - Branch the commit is based on (defaults to `branch`)
+   * @returns {string} Commit SHA, the current head of `branch` when nothing had to be committed
+   */
+  async commitFiles(files, message, options = {}) {
+    try {
+      // Mock mode for local development - write each file to the local filesystem
+      if (this.isMockMode) {
+        for (const file of files) {
+          if (file.deleted) {
+            await fs.rm(path.resolve(process.cwd(), file.path), { force: true });
+            this.logger.info(`Mock: Removed local file ${file.path}`);
+          } else {
+            await this.updateFile(file.path, file.content, message);
+          }
+        }
+        return this.mockResponses.commitSha;
+      }
+
+      const branch = options.branch || getInput('target_branch') || 'main';
+      const baseBranch = options.baseBranch || branch;
+      this.logger.debug(`Committing ${files.length} files to ${branch} (based on ${baseBranch})`);
+
+      const { data: ref } = await this.octokit.rest.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${baseBranch}`
+      });
+      const parentSha = ref.object.sha;
+      const entries = await Promise.all(files.map(file => this.buildTreeEntry(file)));
+
+      if (branch !== baseBranch) {
+        const unchangedSha = await this.findUnchangedHead(branch, entries);
+
+        if (unchangedSha) {
+          this.logger.info(`Branch ${branch} already contains these changes, nothing to commit`);
+          return unchangedSha;
+        }
+      }
+
+      const { data: parentCommit } = await this.octokit.rest.git.getCommit({
+        owner: this.owner,
+        repo: this.repo,
+        commit_sha: parentSha
+      });
+
+      const { data: tree } = await this.octokit.rest.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: parentCommit.tree.sha,
+        tree: entries
+      });
+
+      const { data: commit } = await this.octokit.rest.git.createCommit({
+        owner: this.owner,
+        repo: this.repo,
+        message,
+        tree: tree.sha,
+        parents: [parentSha]
+      });
+
+      if (branch === baseBranch) {
+        await this.octokit.rest.git.updateRef({
+          owner: this.owner,
+          repo: this.repo,
+          ref: `heads/${branch}`,
+          sha: commit.sha
+        });
+      } else {
+        await this.resetBranch(branch, commit.sha);
+      }
+
+      this.logger.info(`Successfully committed ${files.length} files (SHA: ${commit.sha})`);
+      return commit.sha;
+    } catch (error) {
+      this.logger.error('Error committing files:', error.message);
+      throw new Error(`Failed to commit files: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a branch already holds the given tree entries. Applying the entries to
+   * the tree of the branch head yields the same tree exactly when no file would change.
+   * @param {string} branch - Branch name
+   * @param {Array} entries - Tree entries from buildTreeEntry
+   * @returns {string|null} Head commit SHA of the unchanged branch, null if the branch does
+   * not exist or the entries change it
+   */
+  async findUnchangedHead(branch, entries) {
+    let headSha;
+
+    try {
+      const { data: ref } = await this.octokit.rest.git.getRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`
+      });
+      headSha = ref.object.sha;
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      return null;
+    }
+
+    const { data: headCommit } = await this.octokit.rest.git.getCommit({
+      owner: this.owner,
+      repo: this.repo,
+      commit_sha: headSha
+    });
+    let tree;
+
+    try {
+      ({ data: tree } = await this.octokit.rest.git.createTree({
+        owner: this.owner,
+        repo: this.repo,
+        base_tree: headCommit.tree.sha,
+        tree: entries
+      }));
+    } catch (error) {
+      // Removing a file the branch does not have is rejected; the branch is rebuilt then
+      if (error.status !== 422) {
+        throw error;
+      }
+      return null;
+    }
+
+    return tree.sha === headCommit.tree.sha ? headSha : null;
+  }
+
+  /**
+   * Build a Git tree entry for a file. Binary content is uploaded as a base64 blob first,
+   * because inline tree content must be UTF-8 text.
+   * @param {Object} file - File with `path` and `content`, or with the `deleted` flag
+   * @returns {Object} Tree entry
+   */
+  async buildTreeEntry(file) {
+    const entry = { path: file.path, mode: '100644', type: 'blob' };
+
+    // A null SHA removes the path from the tree
+    if (file.deleted) {
+      return { ...entry, sha: null };
+    }
+
+    if (!Buffer.isBuffer(file.content)) {
+      return { ...entry, content: file.content };
+    }
+
+    const { data: blob } = await this.octokit.rest.git.createBlob({
+      owner: this.owner,
+      repo: this.repo,
+      content: file.content.toString('base64'),
+      encoding: 'base64'
+    });
+
+    return { ...entry, sha: blob.sha };
+  }
+
+  /**
+   * Point a branch at a commit, creating the branch if it doesn't exist
+   * @param {string} branch - Branch name
+   * @param {string} sha - Commit SHA
+   */
+  async resetBranch(branch, sha) {
+    try {
+      await this.octokit.rest.git.updateRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `heads/${branch}`,
+        sha,
+        force: true
+      });
+    } catch (error) {
+      // GitHub answers 422 "Reference does not exist" for missing branches
+      if (error.status !== 422 && error.status !== 404) {
+        throw error;
+      }
+
+      this.logger.debug(`Creating branch ${branch}`);
+      await this.octokit.rest.git.createRef({
+        owner: this.owner,
+        repo: this.repo,
+        ref: `refs/heads/${branch}`,
+        sha
+      });
+    }
+  }
+
+  /**
+   * Open a pull request, or refresh the open one for the same branch
+   * @param {Object} options - Pull request options
+   * @param {string} options.head - Branch containing the changes
+   * @param {string} options.base - Branch to merge into
+   * @param {string} options.title - Pull request title
+   * @param {string} options.body - Pull request body
+   * @param {Array} options.labels - Labels to apply
+   * @param {string} options.autoMerge - Merge method for auto-merge (merge, squash, rebase), empty to skip
+   * @returns {Object} Pull request number and URL
+   */
+  async createOrUpdatePullRequest({ head, base, title, body, labels = [], autoMerge = '' }) {
+    try {
+      // Mock mode for local development - nothing to open
+      if (this.isMockMode) {
+        this.logger.info(`Mock: Would open pull request "${title}" from ${head} into ${base}`);
+        return { number: 0, url: `mock-pull-request-${head}` };
+      }
+
+      const { data: openPullRequests } = await this.octokit.rest.pulls.list({
+        owner: this.owner,
+        repo: this.repo,
+        head: `${this.owner}:${head}`,
+        base,
+        state: 'open'
+      });
+
+      let pullRequest;
+      if (openPullRequests.length > 0) {
+        ({ data: pullRequest } = await this.octokit.rest.pulls.update({
+          owner: this.owner,
+          repo: this.repo,
+          pull_number: openPullRequests[0].number,
+          title,
+          body
+        }));
+        this.logger.info(`Updated pull request #${pullRequest.number}`);
+      } else {
+        ({ data: pullRequest } = await this.octokit.rest.pulls.create({
+          owner: this.owner,
+          repo: this.repo,
+          head,
+          base,
+          title,
+          body
+        }));
+        this.logger.info(`Opened pull request #${pullRequest.number}`);
+      }
+
+      if (labels.length > 0) {
+        await this.octokit.rest.issues.addLabels({
+          owner: this.owner,
+          repo: this.repo,
+          issue_number: pullRequest.number,
+          labels
+        });
+      }
+
+      if (autoMerge) {
+        await this.enableAutoMerge(pullRequest, autoMerge);
+      }
+
+      return { number: pullRequest.number, url: pullRequest.html_url };
+    } catch (error) {
+      this.logger.error('Error creating pull request:', error.message);
+      throw new Error(`Failed to create pull request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enable auto-merge on a pull request. Failures only produce a warning, since
+   * auto-merge depends on repository settings and branch protection.
+   * @param {Object} pullRequest - Pull request data from the REST API
+   * @param {string} mergeMethod - merge, squash or rebase
+   */
+  async enableAutoMerge(pullRequest, mergeMethod) {
+    try {
+      await this.octokit.graphql(
+        `mutation EnableAutoMerge($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+          enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }) {
+            clientMutationId
+          }
+        }`,
+        { pullRequestId: pullRequest.node_id, mergeMethod: mergeMethod.toUpperCase() }
+      );
+      this.logger.info(
+        `Enabled auto-merge (${mergeMethod}) for pull request #${pullRequest.number}`
+      );
+    } catch (error) {
+      this.logger.warn(
+        `Could not enable auto-merge for pull request #${pullRequest.number}: ${error.message}`
+      );
+    }
+  }
 }
 
 module.exports = { GitHubService };
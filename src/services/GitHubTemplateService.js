@@ -0,0 +1,232 @@
+const { TemplateHelper } = require('../helpers/TemplateHelper');
+const { Logger } = require('../helpers/Logger');
+
+/**
+ * Service for generating GitHub-safe content.
+ * GitHub's sanitizer strips inline styles, so these renderers only use Markdown and the
+ * HTML attributes GitHub keeps (`width`, `height`, `align`, `valign`, `<picture>`, tables).
+ */
+class GitHubTemplateService {
+  constructor() {
+    this.logger = new Logger();
+    this.templateHelper = new TemplateHelper();
+  }
+
+  /**
+   * Generate content based on display format
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated content
+   */
+  generateContent(posts, config) {
+    const generators = {
+      card: () => this.generateCards(posts, config),
+      compact: () => this.generateCompactCards(posts, config),
+      grid: () => this.generateGrid(posts),
+      'svg-card': () => this.generateSvgCards(posts, config),
+      'stacked-left': () => this.generateStackedCards(posts, config, 'left'),
+      'stacked-right': () => this.generateStackedCards(posts, config, 'right'),
+      list: () => this.generateList(posts, config),
+      table: () => this.generateTable(posts, config)
+    };
+    const generate = generators[config.displayFormat];
+
+    if (!generate) {
+      this.logger.warn(`Unknown display format: ${config.displayFormat}, using stacked-left`);
+      return generators['stacked-left']();
+    }
+
+    return generate();
+  }
+
+  /**
+   * Generate card format content: a full-width cover followed by the post details
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated card content
+   */
+  generateCards(posts, config) {
+    const cards = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const markdown = this.templateHelper.escapePost(item, 'md');
+      const image = post.coverImage
+        ? `<a href="${post.url}"><img src="${post.coverImage}" alt="${post.title}" width="${config.cardWidth}" /></a>\n\n`
+        : '';
+      const byline = item.byline ? `${item.byline}\n\n` : '';
+      // GitHub parses Markdown inside the inline <sub> element, so the details are Markdown-escaped
+      return `
+${image}### [${markdown.title}](${markdown.url})
+
+${byline}<sub>${markdown.meta}</sub>
+
+${markdown.description}`.trim();
+    });
+
+    return cards.join('\n\n---\n\n');
+  }
+
+  /**
+   * Generate compact card format content: a two-column table of small cards
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated compact card content
+   */
+  generateCompactCards(posts, config) {
+    const cells = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const image = post.coverImage
+        ? `<a href="${post.url}"><img src="${post.coverImage}" alt="${post.title}" width="${config.imageWidth}" height="${config.imageHeight}" align="left" /></a>\n`
+        : '';
+      return `<td valign="top" width="50%">
+${image}<b><a href="${post.url}">${post.title}</a></b><br/>
+<sub>${post.meta}</sub>
+</td>`;
+    });
+
+    return this.generateHtmlTable(cells, 2);
+  }
+
+  /**
+   * Generate grid format content: a two-column image grid
+   * @param {Array} posts - Processed blog posts
+   * @returns {string} Generated grid content
+   */
+  generateGrid(posts) {
+    const cells = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const image = post.coverImage
+        ? `<a href="${post.url}"><img src="${post.coverImage}" alt="${post.title}" width="100%" /></a>\n`
+        : '';
+      return `<td valign="top" width="50%">
+${image}<p><b><a href="${post.url}">${post.title}</a></b><br/><sub>${post.meta}</sub></p>
+</td>`;
+    });
+
+    return this.generateHtmlTable(cells, 2);
+  }
+
+  /**
+   * Generate SVG card format content: links to the generated card images of SvgCardService.
+   * With an auto theme the dark card is shown when the reader prefers a dark color scheme.
+   * @param {Array} posts - Processed blog posts with `card` paths
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated SVG card content
+   */
+  generateSvgCards(posts, config) {
+    const cards = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const src = this.templateHelper.escape(item.card.src, 'url');
+      const image = `<img src="${src}" alt="${post.title}" width="${config.cardWidth}" />`;
+
+      if (!item.card.darkSrc) {
+        return `<a href="${post.url}">${image}</a>`;
+      }
+
+      const darkSrc = this.templateHelper.escape(item.card.darkSrc, 'url');
+      return `<a href="${post.url}"><picture>
+<source media="(prefers-color-scheme: dark)" srcset="${darkSrc}" />
+${image}
+</picture></a>`;
+    });
+
+    return cards.join('\n\n');
+  }
+
+  /**
+   * Generate stacked card format content using aligned images instead of flexbox
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @param {string} imagePosition - 'left' or 'right'
+   * @returns {string} Generated stacked card content
+   */
+  generateStackedCards(posts, config, imagePosition = 'left') {
+    const rows = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      // Posts without a cover span both columns instead of leaving an empty image column
+      const contentAttributes = post.coverImage ? 'valign="top"' : 'colspan="2" valign="top"';
+      const contentCell = `<td ${contentAttributes}>
+<b><a href="${post.url}">${post.title}</a></b><br/>
+${item.byline ? `${item.byline}<br/>\n` : ''}<sub>${post.meta}</sub><br/>
+${post.description}
+</td>`;
+
+      if (!post.coverImage) {
+        return `<tr>\n${contentCell}\n</tr>`;
+      }
+
+      const imageCell = `<td width="${config.imageWidth}" valign="top"><a href="${post.url}"><img src="${post.coverImage}" alt="${post.title}" width="${config.imageWidth}" height="${config.imageHeight}" /></a></td>`;
+
+      return imagePosition === 'left'
+        ? `<tr>\n${imageCell}\n${contentCell}\n</tr>`
+        : `<tr>\n${contentCell}\n${imageCell}\n</tr>`;
+    });
+
+    return `<table>\n${rows.join('\n')}\n</table>`;
+  }
+
+  /**
+   * Generate list format content
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated list content
+   */
+  generateList(posts, config) {
+    const showDate = this.templateHelper.getShowFields(config).includes('date');
+    const listItems = posts.map(item => {
+      const post = this.templateHelper.escapePost(item, 'md');
+      const date = showDate ? `**${post.formattedDate}**: ` : '';
+      const details = post.details ? ` · ${post.details}` : '';
+      return `- ${date}[${post.title}](${post.url})${details}`;
+    });
+
+    return listItems.join('\n');
+  }
+
+  /**
+   * Generate table format content as a Markdown table
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated table content
+   */
+  generateTable(posts, config) {
+    const showDate = this.templateHelper.getShowFields(config).includes('date');
+    const rows = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const markdown = this.templateHelper.escapePost(item, 'md');
+      const image = post.coverImage
+        ? `<img src="${post.coverImage}" alt="${post.title}" width="${config.imageWidth}" />`
+        : '';
+
+      return {
+        Date: markdown.formattedDate,
+        // Pipes would end the table cell, even inside HTML attributes
+        Image: image.replace(/\|/g, '&#124;'),
+        'Title & Description': `[**${markdown.title}**](${markdown.url})<br/>${markdown.description}${markdown.details ? `<br/><sub>${markdown.details}</sub>` : ''}`
+      };
+    });
+
+    return this.templateHelper.generateMarkdownTable(rows, [
+      ...(showDate ? ['Date'] : []),
+      'Image',
+      'Title & Description'
+    ]);
+  }
+
+  /**
+   * Arrange cells into an HTML table with a fixed number of columns
+   * @param {Array} cells - Table cell HTML
+   * @param {number} columns - Number of columns
+   * @returns {string} HTML table
+   */
+  generateHtmlTable(cells, columns) {
+    const rows = [];
+
+    for (let i = 0; i < cells.length; i += columns) {
+      rows.push(`<tr>\n${cells.slice(i, i + columns).join('\n')}\n</tr>`);
+    }
+
+    return `<table>\n${rows.join('\n')}\n</table>`;
+  }
+}
+
+module.exports = { GitHubTemplateService };
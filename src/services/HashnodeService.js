@@ -2,73 +2,504 @@ const { create } = require('axios');
 const { Logger } = require('../helpers/Logger');
 const { DateHelper } = require('../helpers/DateHelper');
 
+// Maximum number of posts the Hashnode API returns per page
+const PAGE_SIZE = 20;
+
+// Post fields requested by every query that returns posts
+const POST_FIELDS = `
+  id
+  title
+  subtitle
+  brief
+  slug
+  url
+  publishedAt
+  updatedAt
+  coverImage {
+    url
+  }
+  author {
+    name
+    username
+    profilePicture
+  }
+  coAuthors {
+    name
+    username
+    profilePicture
+  }
+  tags {
+    name
+    slug
+  }
+  readTimeInMinutes
+  reactionCount
+  responseCount
+  views
+  series {
+    name
+    slug
+  }
+`;
+
+// Post fields only the publication team can read, requested when a token is set
+const PRIVATE_POST_FIELDS = `
+  preferences {
+    isDelisted
+  }
+`;
+
+// Draft fields requested for scheduled posts
+const DRAFT_FIELDS = `
+  id
+  title
+  subtitle
+  slug
+  scheduledDate
+  updatedAt
+  coverImage {
+    url
+  }
+  author {
+    name
+    username
+    profilePicture
+  }
+  coAuthors {
+    name
+    username
+    profilePicture
+  }
+  tags {
+    name
+    slug
+  }
+  readTimeInMinutes
+`;
+
+// HTTP statuses worth retrying: timeouts, rate limiting and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// GraphQL error codes that indicate a transient failure rather than a bad request
+const RETRYABLE_GRAPHQL_CODES = ['INTERNAL_SERVER_ERROR', 'TOO_MANY_REQUESTS', 'RATE_LIMITED'];
+
+// Upper bound for a single wait, including waits requested through Retry-After
+const MAX_RETRY_DELAY = 60000;
+
 /**
  * Service for interacting with Hashnode API
  */
 class HashnodeService {
-  constructor() {
+  /**
+   * @param {Object} options - Client options
+   * @param {number} options.maxRetries - Retries after the first failed attempt
+   * @param {number} options.retryDelay - Base delay before the first retry in seconds
+   * @param {string} options.token - Hashnode personal access token for authenticated queries
+   */
+  constructor({ maxRetries = 3, retryDelay = 1, token = '' } = {}) {
     this.logger = new Logger();
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay * 1000;
     this.apiUrl = 'https://gql.hashnode.com/';
+    this.authenticated = Boolean(token);
     this.client = create({
       baseURL: this.apiUrl,
       headers: {
         'Content-Type': 'application/json',
-        'User-Agent': 'Hashnode-Blog-Pull-Action/1.0.0'
+        'User-Agent': 'Hashnode-Blog-Pull-Action/1.0.0',
+        ...(token && { Authorization: token })
       },
       timeout: 30000
     });
   }
 
   /**
-   * Fetch blog posts from Hashnode publication
+   * Fetch blog posts from Hashnode publication, following pagination cursors
+   * until enough posts are collected or the publication runs out of posts
    * @param {string} publicationName - Hashnode publication name
-   * @param {number} postCount - Number of posts to fetch
+   * @param {number} postCount - Number of posts to fetch (Infinity for all posts)
+   * @param {Object} options - Fetch options
+   * @param {Function} options.filter - Only collect posts matching this predicate
+   * @param {moment.Moment} options.publishedAfter - Stop paginating once a page reaches posts
+   * published before this date. Pages come newest first, so no later page has newer posts.
    * @returns {Array} Array of blog post objects
    */
-  async fetchBlogPosts(publicationName, postCount) {
-    try {
-      const query = this.buildGraphQLQuery(publicationName, postCount);
+  async fetchBlogPosts(publicationName, postCount, { filter = null, publishedAfter = null } = {}) {
+    const posts = [];
+    let after = null;
+    let hasNextPage = true;
 
-      this.logger.debug('GraphQL Query:', query);
+    while (hasNextPage && posts.length < postCount) {
+      // When filtering we cannot know how many posts will match, so always request full pages
+      const first = filter ? PAGE_SIZE : Math.min(PAGE_SIZE, postCount - posts.length);
+      const page = await this.fetchPostsPage(publicationName, first, after);
+      const pagePosts = filter ? page.posts.filter(filter) : page.posts;
 
-      const response = await this.client.post('', {
-        query,
-        variables: {
-          host: publicationName,
-          first: postCount
-        }
+      posts.push(...pagePosts.slice(0, postCount - posts.length));
+      hasNextPage = Boolean(
+        page.pageInfo.hasNextPage &&
+          page.pageInfo.endCursor &&
+          !(publishedAfter && this.reachesDate(page.posts, publishedAfter))
+      );
+      after = page.pageInfo.endCursor;
+
+      this.logger.debug(`Fetched page of ${page.posts.length} posts (total: ${posts.length})`);
+    }
+
+    return posts;
+  }
+
+  /**
+   * Check whether a page of posts reaches back to posts published before a date
+   * @param {Array} posts - Posts of the page, newest first
+   * @param {moment.Moment} date - Date to compare with
+   * @returns {boolean} True if the oldest post of the page was published before the date
+   */
+  reachesDate(posts, date) {
+    const oldest = DateHelper.parseDate(posts[posts.length - 1]?.publishedAt);
+
+    return oldest !== null && oldest.isBefore(date);
+  }
+
+  /**
+   * Fetch a single page of blog posts
+   * @param {string} publicationName - Hashnode publication name
+   * @param {number} first - Number of posts in the page
+   * @param {string|null} after - Cursor of the previous page
+   * @returns {Object} Page with transformed posts and pageInfo
+   */
+  async fetchPostsPage(publicationName, first, after = null) {
+    const query = this.buildGraphQLQuery(publicationName, first);
+
+    this.logger.debug('GraphQL Query:', query);
+
+    const data = await this.request(query, {
+      host: publicationName,
+      first,
+      after
+    });
+    const publication = data?.publication;
+
+    if (!publication) {
+      throw this.createError(`Publication '${publicationName}' not found`, false);
+    }
+
+    const edges = publication.posts?.edges || [];
+
+    return {
+      posts: edges.map(edge => this.transformPost(edge.node, publication)),
+      pageInfo: publication.posts?.pageInfo || { hasNextPage: false, endCursor: null }
+    };
+  }
+
+  /**
+   * Fetch a single post of a publication by its slug
+   * @param {string} publicationName - Hashnode publication name
+   * @param {string} slug - Post slug
+   * @returns {Object|null} Blog post object, null if the publication has no such post
+   */
+  async fetchPost(publicationName, slug) {
+    const data = await this.request(this.buildPostQuery(), { host: publicationName, slug });
+    const publication = data?.publication;
+
+    if (!publication) {
+      throw this.createError(`Publication '${publicationName}' not found`, false);
+    }
+
+    return publication.post ? this.transformPost(publication.post, publication) : null;
+  }
+
+  /**
+   * Fetch series of a Hashnode publication with their posts in reading order. Every post
+   * gets its `part` number within the series, counted before any filtering.
+   * @param {string} publicationName - Hashnode publication name
+   * @param {Array} slugs - Series slugs, or ['all'] for every series of the publication
+   * @param {Object} options - Fetch options
+   * @param {Function} options.filter - Only collect posts matching this predicate
+   * @returns {Array} Series with `name`, `slug`, `url`, `description`, `totalParts` and `posts`
+   */
+  async fetchSeries(publicationName, slugs, { filter = null } = {}) {
+    const seriesSlugs = slugs.includes('all')
+      ? await this.fetchSeriesSlugs(publicationName)
+      : slugs;
+    const seriesList = [];
+
+    for (const slug of seriesSlugs) {
+      const series = await this.fetchSeriesPosts(publicationName, slug);
+      seriesList.push({ ...series, posts: filter ? series.posts.filter(filter) : series.posts });
+    }
+
+    return seriesList;
+  }
+
+  /**
+   * Fetch the slugs of all series of a publication
+   * @param {string} publicationName - Hashnode publication name
+   * @returns {Array} Series slugs
+   */
+  async fetchSeriesSlugs(publicationName) {
+    const slugs = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await this.request(this.buildSeriesListQuery(), {
+        host: publicationName,
+        first: PAGE_SIZE,
+        after
+      });
+      const publication = data?.publication;
+
+      if (!publication) {
+        throw this.createError(`Publication '${publicationName}' not found`, false);
+      }
+
+      const pageInfo = publication.seriesList?.pageInfo || {};
+      slugs.push(...(publication.seriesList?.edges || []).map(edge => edge.node.slug));
+      hasNextPage = Boolean(pageInfo.hasNextPage && pageInfo.endCursor);
+      after = pageInfo.endCursor;
+    }
+
+    this.logger.debug(`Found ${slugs.length} series in ${publicationName}`);
+    return slugs;
+  }
+
+  /**
+   * Fetch a series and all of its posts, following pagination cursors
+   * @param {string} publicationName - Hashnode publication name
+   * @param {string} slug - Series slug
+   * @returns {Object} Series with its posts in the order the series lists them
+   */
+  async fetchSeriesPosts(publicationName, slug) {
+    const posts = [];
+    let series = null;
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await this.request(this.buildSeriesQuery(), {
+        host: publicationName,
+        slug,
+        first: PAGE_SIZE,
+        after
       });
+      const publication = data?.publication;
+
+      if (!publication) {
+        throw this.createError(`Publication '${publicationName}' not found`, false);
+      }
 
-      if (response.data.errors) {
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      if (!publication.series) {
+        throw this.createError(
+          `Series '${slug}' not found in publication '${publicationName}'`,
+          false
+        );
       }
 
-      const publication = response.data.data?.publication;
+      const pageInfo = publication.series.posts?.pageInfo || {};
+      series = this.transformSeries(publication.series, publication);
+      posts.push(
+        ...(publication.series.posts?.edges || []).map(edge =>
+          this.transformPost(edge.node, publication)
+        )
+      );
+      hasNextPage = Boolean(pageInfo.hasNextPage && pageInfo.endCursor);
+      after = pageInfo.endCursor;
+    }
+
+    // Hashnode returns the posts in the order the author arranged the series, part numbers follow it
+    const parts = posts.map((post, index) => ({
+      ...post,
+      part: { number: index + 1, total: posts.length }
+    }));
+
+    this.logger.debug(`Fetched ${parts.length} posts of series ${slug}`);
+    return { ...series, totalParts: parts.length, posts: parts };
+  }
+
+  /**
+   * Fetch the scheduled drafts of a publication, following pagination cursors.
+   * Needs a token of a publication member.
+   * @param {string} publicationName - Hashnode publication name
+   * @param {Object} options - Fetch options
+   * @param {Function} options.filter - Only collect posts matching this predicate
+   * @returns {Array} Scheduled posts, soonest first, with the scheduled date as `publishedAt`
+   */
+  async fetchScheduledPosts(publicationName, { filter = null } = {}) {
+    const posts = [];
+    let after = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await this.request(this.buildScheduledDraftsQuery(), {
+        host: publicationName,
+        first: PAGE_SIZE,
+        after
+      });
+      const publication = data?.publication;
 
       if (!publication) {
-        throw new Error(`Publication '${publicationName}' not found`);
+        throw this.createError(`Publication '${publicationName}' not found`, false);
+      }
+
+      if (!publication.scheduledDrafts) {
+        throw this.createError(
+          `Scheduled drafts of '${publicationName}' are not accessible, check that hashnode_token belongs to a member of the publication`,
+          false
+        );
+      }
+
+      const pageInfo = publication.scheduledDrafts.pageInfo || {};
+      posts.push(
+        ...(publication.scheduledDrafts.edges || []).map(edge =>
+          this.transformDraft(edge.node, publication)
+        )
+      );
+      hasNextPage = Boolean(pageInfo.hasNextPage && pageInfo.endCursor);
+      after = pageInfo.endCursor;
+    }
+
+    this.logger.debug(`Fetched ${posts.length} scheduled drafts of ${publicationName}`);
+    return DateHelper.sortByDateAsc(filter ? posts.filter(filter) : posts);
+  }
+
+  /**
+   * Send a GraphQL request, retrying transient failures with exponential backoff
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Object} The `data` field of the GraphQL response
+   */
+  async request(query, variables) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendRequest(query, variables);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        this.logger.warn(
+          `${error.message}. Retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt + 2} of ${this.maxRetries + 1})`
+        );
+        await this.sleep(delay);
       }
+    }
+  }
 
-      const posts = publication.posts?.edges || [];
+  /**
+   * Send a single GraphQL request and classify failures as retryable or fatal
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Object} The `data` field of the GraphQL response
+   */
+  async sendRequest(query, variables) {
+    let response;
 
-      return posts.map(edge => this.transformPost(edge.node));
+    try {
+      response = await this.client.post('', { query, variables });
     } catch (error) {
       if (error.response) {
-        this.logger.error('API Response Error:', {
+        this.logger.debug('API Response Error:', {
           status: error.response.status,
           data: error.response.data
         });
-        throw new Error(
-          `Hashnode API error: ${error.response.status} - ${error.response.statusText}`
+        const apiError = this.createError(
+          `Hashnode API error: ${error.response.status} - ${error.response.statusText}`,
+          RETRYABLE_STATUSES.includes(error.response.status)
         );
+        apiError.retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+        throw apiError;
       } else if (error.request) {
-        this.logger.error('Network Error:', error.message);
-        throw new Error('Network error: Unable to reach Hashnode API');
-      } else {
-        this.logger.error('Error:', error.message);
-        throw error;
+        this.logger.debug('Network Error:', error.message);
+        throw this.createError('Network error: Unable to reach Hashnode API', true);
       }
+
+      throw error;
     }
+
+    const { data, errors } = response.data || {};
+
+    if (errors && errors.length) {
+      const messages = errors.map(error => error.message).join('; ');
+
+      // Partial errors still come with usable data, e.g. a single post failing to resolve
+      if (data?.publication) {
+        this.logger.warn(`Hashnode API returned partial data: ${messages}`);
+        return data;
+      }
+
+      throw this.createError(
+        `GraphQL errors: ${messages}`,
+        errors.some(error => RETRYABLE_GRAPHQL_CODES.includes(error.extensions?.code))
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Create an error flagged as retryable or fatal
+   * @param {string} message - Error message
+   * @param {boolean} retryable - Whether the request may succeed when repeated
+   * @returns {Error} Error with a `retryable` flag
+   */
+  createError(message, retryable) {
+    const error = new Error(message);
+    error.retryable = retryable;
+    return error;
+  }
+
+  /**
+   * Parse a Retry-After header given in seconds or as an HTTP date
+   * @param {string} value - Header value
+   * @returns {number|null} Delay in milliseconds, null when absent or invalid
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Get the delay before the next retry. A server-provided Retry-After wins; otherwise
+   * the delay doubles per attempt with jitter so parallel jobs do not retry in lockstep.
+   * @param {number} attempt - Zero-based number of the failed attempt
+   * @param {number|null} retryAfter - Delay requested by the server in milliseconds
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return Math.min(retryAfter, MAX_RETRY_DELAY);
+    }
+
+    const backoff = Math.min(this.retryDelay * 2 ** attempt, MAX_RETRY_DELAY);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Wait for the given time
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise} Resolves after the delay
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get the post fields to request. Authenticated clients also request private fields.
+   * @returns {string} GraphQL selection of post fields
+   */
+  getPostFields() {
+    return this.authenticated ? `${POST_FIELDS}${PRIVATE_POST_FIELDS}` : POST_FIELDS;
   }
 
   /**
@@ -79,31 +510,80 @@ class HashnodeService {
    */
   buildGraphQLQuery(publicationName, postCount) {
     return `
-      query GetPublicationPosts($host: String!, $first: Int!) {
+      query GetPublicationPosts($host: String!, $first: Int!, $after: String) {
         publication(host: $host) {
           id
           title
-          posts(first: $first) {
+          preferences {
+            logo
+          }
+          posts(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
             edges {
               node {
-                id
-                title
-                brief
-                slug
-                url
-                publishedAt
-                coverImage {
-                  url
-                }
-                author {
-                  name
-                  username
-                }
-                tags {
-                  name
-                  slug
+                ${this.getPostFields()}
+              }
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  /**
+   * Build GraphQL query for fetching a single post
+   * @returns {string} GraphQL query string
+   */
+  buildPostQuery() {
+    return `
+      query GetPublicationPost($host: String!, $slug: String!) {
+        publication(host: $host) {
+          id
+          title
+          preferences {
+            logo
+          }
+          post(slug: $slug) {
+            ${this.getPostFields()}
+          }
+        }
+      }
+    `;
+  }
+
+  /**
+   * Build GraphQL query for fetching a series with a page of its posts
+   * @returns {string} GraphQL query string
+   */
+  buildSeriesQuery() {
+    return `
+      query GetSeriesPosts($host: String!, $slug: String!, $first: Int!, $after: String) {
+        publication(host: $host) {
+          id
+          title
+          url
+          preferences {
+            logo
+          }
+          series(slug: $slug) {
+            id
+            name
+            slug
+            description {
+              text
+            }
+            posts(first: $first, after: $after) {
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+              edges {
+                node {
+                  ${this.getPostFields()}
                 }
-                readTimeInMinutes
               }
             }
           }
@@ -112,27 +592,140 @@ class HashnodeService {
     `;
   }
 
+  /**
+   * Build GraphQL query for listing the series of a publication
+   * @returns {string} GraphQL query string
+   */
+  buildSeriesListQuery() {
+    return `
+      query GetSeriesList($host: String!, $first: Int!, $after: String) {
+        publication(host: $host) {
+          id
+          seriesList(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                slug
+              }
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  /**
+   * Build GraphQL query for fetching a page of the scheduled drafts of a publication
+   * @returns {string} GraphQL query string
+   */
+  buildScheduledDraftsQuery() {
+    return `
+      query GetScheduledDrafts($host: String!, $first: Int!, $after: String) {
+        publication(host: $host) {
+          id
+          title
+          url
+          preferences {
+            logo
+          }
+          scheduledDrafts(first: $first, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            edges {
+              node {
+                ${DRAFT_FIELDS}
+              }
+            }
+          }
+        }
+      }
+    `;
+  }
+
+  /**
+   * Transform raw series data from Hashnode API
+   * @param {Object} series - Raw series data from API
+   * @param {Object} publication - Raw publication data the series belongs to
+   * @returns {Object} Transformed series object without its posts
+   */
+  transformSeries(series, publication) {
+    const publicationUrl = (publication.url || '').replace(/\/+$/, '');
+
+    return {
+      id: series.id,
+      name: series.name || series.slug,
+      slug: series.slug,
+      url: publicationUrl ? `${publicationUrl}/series/${series.slug}` : '',
+      description: series.description?.text || ''
+    };
+  }
+
   /**
    * Transform raw post data from Hashnode API
    * @param {Object} post - Raw post data from API
+   * @param {Object} publication - Raw publication data the post belongs to
    * @returns {Object} Transformed post object
    */
-  transformPost(post) {
+  transformPost(post, publication = null) {
     return {
       id: post.id,
       title: post.title || 'Untitled',
+      subtitle: post.subtitle || '',
       description: post.brief || '',
       slug: post.slug,
       url: post.url,
       publishedAt: post.publishedAt,
-      formattedDate: DateHelper.formatDate(post.publishedAt),
+      // Posts that were never edited have no update date
+      updatedAt: post.updatedAt || post.publishedAt,
       coverImage: post.coverImage?.url || '',
-      author: {
-        name: post.author?.name || 'Unknown Author',
-        username: post.author?.username || ''
-      },
+      author: this.transformAuthor(post.author),
+      coAuthors: (post.coAuthors || []).map(author => this.transformAuthor(author)),
+      publicationLogo: publication?.preferences?.logo || '',
       tags: post.tags || [],
-      readTime: post.readTimeInMinutes || 0
+      readTime: post.readTimeInMinutes || 0,
+      reactions: post.reactionCount || 0,
+      comments: post.responseCount || 0,
+      views: post.views || 0,
+      series: post.series ? { name: post.series.name, slug: post.series.slug } : null,
+      delisted: Boolean(post.preferences?.isDelisted)
+    };
+  }
+
+  /**
+   * Transform a raw scheduled draft into a post. Drafts have no URL until they are
+   * published, so they link to the publication.
+   * @param {Object} draft - Raw draft data from API
+   * @param {Object} publication - Raw publication data the draft belongs to
+   * @returns {Object} Transformed post object, marked with `scheduled`
+   */
+  transformDraft(draft, publication) {
+    return {
+      ...this.transformPost(
+        { ...draft, url: publication.url || '', publishedAt: draft.scheduledDate },
+        publication
+      ),
+      scheduled: true
+    };
+  }
+
+  /**
+   * Transform raw author data from Hashnode API
+   * @param {Object} author - Raw author or co-author data
+   * @returns {Object} Author with name, username, profile picture and profile URL
+   */
+  transformAuthor(author) {
+    const username = author?.username || '';
+
+    return {
+      name: author?.name || 'Unknown Author',
+      username,
+      profilePicture: author?.profilePicture || '',
+      profileUrl: username ? `https://hashnode.com/@${username}` : ''
     };
   }
 }
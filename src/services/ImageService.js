@@ -0,0 +1,417 @@
+const { create } = require('axios');
+const { Jimp } = require('jimp');
+const { createHash } = require('crypto');
+const path = require('path');
+const { TemplateHelper } = require('../helpers/TemplateHelper');
+const { Logger } = require('../helpers/Logger');
+
+// Colours of the generated title cards
+const CARD_BACKGROUND = '#4F46E5';
+const CARD_FOREGROUND = '#FFFFFF';
+
+// Names of the files buildAssetPath creates: a slug followed by a hash of the image source
+const GENERATED_ASSET_PATTERN = /^[\w-]+-[0-9a-f]{8}\.(?:jpg|svg)$/;
+
+/**
+ * Image sources of the keyword cover_fallback entries. Undefined means the entry does not
+ * apply to the post and the next entry is tried; null means no image.
+ */
+const FALLBACK_SOURCES = {
+  none: () => null,
+  generated: () => ({ generated: true }),
+  avatar: post => (post.author?.profilePicture ? { url: post.author.profilePicture } : undefined),
+  logo: post => (post.publicationLogo ? { url: post.publicationLogo } : undefined)
+};
+
+/**
+ * Service for resolving post cover images: applies the cover fallback chain and, when
+ * enabled, stores resized copies of remote images in the repository
+ */
+class ImageService {
+  /**
+   * @param {Object} fileService - Service used to look up existing assets (GitHubService or LocalFileService)
+   */
+  constructor(fileService) {
+    this.logger = new Logger();
+    this.fileService = fileService;
+    this.templateHelper = new TemplateHelper();
+    this.client = create({
+      responseType: 'arraybuffer',
+      headers: { 'User-Agent': 'Hashnode-Blog-Pull-Action/1.0.0' },
+      timeout: 30000
+    });
+    this.assets = new Map();
+    this.existingAssets = new Map();
+    this.referencedAssets = new Set();
+    this.assetDirs = new Map();
+    this.keptAssetDirs = new Set();
+  }
+
+  /**
+   * Resolve the cover image of every post for a section configuration.
+   * Posts may be shared between sections, so copies are returned.
+   * @param {Array} posts - Blog posts
+   * @param {Object} config - Section configuration
+   * @returns {Array} Posts with the resolved `coverImage`, empty when there is no image
+   */
+  async resolveCovers(posts, config) {
+    const resolved = [];
+
+    for (const post of posts) {
+      resolved.push({ ...post, coverImage: await this.resolveCover(post, config) });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolve the cover image of a single post
+   * @param {Object} post - Blog post
+   * @param {Object} config - Section configuration
+   * @returns {string} Image URL or path relative to the target file, empty for no image
+   */
+  async resolveCover(post, config) {
+    const source = this.findImageSource(post, config.coverFallback);
+
+    if (!source) {
+      return '';
+    }
+
+    let assetPath;
+
+    if (source.generated) {
+      assetPath = await this.addGeneratedCard(post, config);
+    } else if (source.repoPath) {
+      assetPath = source.repoPath;
+    } else if (config.cacheImages) {
+      assetPath = await this.cacheImage(source.url, post, config);
+    }
+
+    if (!assetPath) {
+      return source.url;
+    }
+
+    this.referenceAsset(assetPath);
+    return this.getRelativePath(assetPath, config.filename);
+  }
+
+  /**
+   * Pick the image for a post: its own cover, otherwise the first usable fallback entry
+   * @param {Object} post - Blog post
+   * @param {Array} fallbacks - cover_fallback entries in order of preference
+   * @returns {Object|null} Source with a `url`, a `repoPath` or the `generated` flag, null for no image
+   */
+  findImageSource(post, fallbacks) {
+    if (post.coverImage) {
+      return { url: post.coverImage };
+    }
+
+    for (const fallback of fallbacks) {
+      const findSource = FALLBACK_SOURCES[fallback];
+
+      if (!findSource) {
+        return ImageService.isUrl(fallback) ? { url: fallback } : { repoPath: fallback };
+      }
+
+      const source = findSource(post);
+
+      if (source !== undefined) {
+        return source;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Download an image, resize it to the configured image size and add it to the assets.
+   * Images already stored in the assets directory are not downloaded again.
+   * @param {string} url - Image URL
+   * @param {Object} post - Blog post the image belongs to
+   * @param {Object} config - Section configuration
+   * @returns {string|null} Repository path of the stored image, null if it could not be stored
+   */
+  async cacheImage(url, post, config) {
+    const { imageWidth: width, imageHeight: height } = config;
+    const assetPath = this.buildAssetPath(
+      config.assetsDir,
+      post.slug,
+      `${url}|${width}x${height}`,
+      'jpg'
+    );
+
+    if (await this.hasAsset(assetPath)) {
+      return assetPath;
+    }
+
+    try {
+      this.addAsset(assetPath, await this.downloadImage(url, width, height));
+      return assetPath;
+    } catch (error) {
+      this.logger.warn(
+        `Could not cache image for "${post.title}", using the remote URL: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Download an image and crop it to fill the given size
+   * @param {string} url - Image URL
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Buffer} JPEG image
+   */
+  async downloadImage(url, width, height) {
+    this.logger.debug(`Downloading image: ${url}`);
+    const response = await this.client.get(url);
+    const image = await Jimp.read(Buffer.from(response.data));
+
+    image.cover({ w: width, h: height });
+    return image.getBuffer('image/jpeg', { quality: 85 });
+  }
+
+  /**
+   * Add a generated SVG title card for a post to the assets
+   * @param {Object} post - Blog post
+   * @param {Object} config - Section configuration
+   * @returns {string} Repository path of the title card
+   */
+  async addGeneratedCard(post, config) {
+    const { imageWidth: width, imageHeight: height } = config;
+    const assetPath = this.buildAssetPath(
+      config.assetsDir,
+      post.slug,
+      `${post.title}|${width}x${height}`,
+      'svg'
+    );
+
+    if (!(await this.hasAsset(assetPath))) {
+      this.addAsset(assetPath, this.generateTitleCard(post.title, width, height));
+    }
+
+    return assetPath;
+  }
+
+  /**
+   * Generate an SVG card showing the post title, wrapped to fit the card
+   * @param {string} title - Post title
+   * @param {number} width - Card width in pixels
+   * @param {number} height - Card height in pixels
+   * @returns {string} SVG markup
+   */
+  generateTitleCard(title, width, height) {
+    const padding = Math.round(Math.min(width, height) / 10);
+    const fontSize = Math.max(10, Math.round(Math.min(width, height) / 8));
+    const lineHeight = Math.round(fontSize * 1.25);
+    const maxLines = Math.max(1, Math.floor((height - padding * 2) / lineHeight));
+    // Rough average glyph width of a sans-serif font
+    const maxChars = Math.max(1, Math.floor((width - padding * 2) / (fontSize * 0.55)));
+    const lines = this.templateHelper.wrapText(title, maxChars, maxLines);
+    const top = (height - lines.length * lineHeight) / 2 + fontSize * 0.8;
+
+    const text = lines
+      .map(
+        (line, index) =>
+          `<text x="${width / 2}" y="${Math.round(top + index * lineHeight)}">${this.templateHelper.escapeHtml(line)}</text>`
+      )
+      .join('\n  ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" rx="6" fill="${CARD_BACKGROUND}" />
+  <g fill="${CARD_FOREGROUND}" font-family="-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="600" text-anchor="middle">
+  ${text}
+  </g>
+</svg>
+`;
+  }
+
+  /**
+   * Build the repository path of an asset. The name contains a hash of the image source,
+   * so a changed cover or image size is stored as a new file.
+   * @param {string} assetsDir - Assets directory
+   * @param {string} name - Readable part of the file name, usually the post slug
+   * @param {string} source - Value identifying the image content
+   * @param {string} extension - File extension
+   * @returns {string} Asset path
+   */
+  buildAssetPath(assetsDir, name, source, extension) {
+    const hash = createHash('sha1').update(source).digest('hex').substring(0, 8);
+    const safeName = (name || 'post').replace(/[^\w-]/g, '-');
+
+    return path.posix.join(assetsDir, `${safeName}-${hash}.${extension}`);
+  }
+
+  /**
+   * Check whether an asset was created during this run or is already stored in the repository
+   * @param {string} assetPath - Asset path
+   * @returns {boolean} True if the asset exists
+   */
+  async hasAsset(assetPath) {
+    return this.assets.has(assetPath) || this.assetExists(assetPath);
+  }
+
+  /**
+   * Read the current content of a text asset, as added during this run or as stored in
+   * the repository
+   * @param {string} assetPath - Asset path
+   * @returns {string} Asset content, empty if the asset does not exist
+   */
+  async readAsset(assetPath) {
+    if (this.assets.has(assetPath)) {
+      return String(this.assets.get(assetPath));
+    }
+
+    if (!(await this.assetExists(assetPath))) {
+      return '';
+    }
+
+    return this.fileService.getFileContent(assetPath, { optional: true });
+  }
+
+  /**
+   * Add an asset to be committed with the updated files
+   * @param {string} assetPath - Asset path
+   * @param {string|Buffer} content - Asset content
+   */
+  addAsset(assetPath, content) {
+    this.assets.set(assetPath, content);
+  }
+
+  /**
+   * Record that a rendered section shows an asset, so it is kept when unused assets are removed
+   * @param {string} assetPath - Asset path
+   */
+  referenceAsset(assetPath) {
+    this.referencedAssets.add(path.posix.normalize(assetPath));
+  }
+
+  /**
+   * Record the assets directory of a rendered section that stores images and removes unused
+   * ones; generated assets in it that no section references are removed
+   * @param {string} assetsDir - Assets directory
+   * @param {string} filename - Target file the section belongs to
+   */
+  addAssetsDir(assetsDir, filename) {
+    const dir = this.getAssetsDirPath(assetsDir);
+
+    if (!this.assetDirs.has(dir)) {
+      this.assetDirs.set(dir, new Set());
+    }
+
+    this.assetDirs.get(dir).add(filename);
+  }
+
+  /**
+   * Record the assets directory of a section whose file content is left unchanged. That
+   * content still shows the images stored in the directory, so none of them are removed.
+   * @param {string} assetsDir - Assets directory
+   */
+  keepAssetsDir(assetsDir) {
+    this.keptAssetDirs.add(this.getAssetsDirPath(assetsDir));
+  }
+
+  /**
+   * Normalize an assets directory the way assetExists derives it from an asset path
+   * @param {string} assetsDir - Assets directory
+   * @returns {string} Normalized directory
+   */
+  getAssetsDirPath(assetsDir) {
+    return path.posix.dirname(path.posix.join(assetsDir, 'asset'));
+  }
+
+  /**
+   * Find the generated assets that no rendered section references any more, e.g. cached
+   * covers of posts that dropped out of the sections or were given a new cover.
+   * Only file names created by buildAssetPath are considered, so other files in the
+   * assets directories are never removed. Directories that several target files store
+   * images in, or that sections left unchanged store images in, are left alone.
+   * @returns {Array} Files to remove, each with a `path` and the `deleted` flag
+   */
+  async getUnusedAssetFiles() {
+    const unused = [];
+
+    for (const [dir, filenames] of this.assetDirs) {
+      if (this.keptAssetDirs.has(dir)) {
+        this.logger.info(
+          `Not removing unused images from ${dir}, sections left unchanged still show them`
+        );
+        continue;
+      }
+
+      if (filenames.size > 1) {
+        this.logger.info(
+          `Not removing unused images from ${dir}, it is shared by ${[...filenames].join(', ')}`
+        );
+        continue;
+      }
+
+      for (const name of await this.listStoredAssets(dir)) {
+        const assetPath = path.posix.join(dir, name);
+
+        if (GENERATED_ASSET_PATTERN.test(name) && !this.referencedAssets.has(assetPath)) {
+          unused.push({ path: assetPath, deleted: true });
+        }
+      }
+    }
+
+    return unused;
+  }
+
+  /**
+   * Check whether an asset is already stored in the repository
+   * @param {string} assetPath - Asset path
+   * @returns {boolean} True if the asset exists
+   */
+  async assetExists(assetPath) {
+    const names = await this.listStoredAssets(path.posix.dirname(assetPath));
+
+    return names.includes(path.posix.basename(assetPath));
+  }
+
+  /**
+   * List the files stored in an assets directory of the repository. Each directory is
+   * only listed once per run.
+   * @param {string} dir - Directory path
+   * @returns {Array} File names
+   */
+  listStoredAssets(dir) {
+    if (!this.existingAssets.has(dir)) {
+      this.existingAssets.set(dir, this.fileService.listFiles(dir));
+    }
+
+    return this.existingAssets.get(dir);
+  }
+
+  /**
+   * Make a repository path relative to the file it is referenced from
+   * @param {string} assetPath - Repository path
+   * @param {string} filename - File the image is rendered into
+   * @returns {string} Relative path
+   */
+  getRelativePath(assetPath, filename) {
+    return path.posix.relative(path.posix.dirname(filename), path.posix.normalize(assetPath));
+  }
+
+  /**
+   * Get the assets that were created during this run and need to be committed
+   * @returns {Array} Files with `path` and `content`
+   */
+  getAssetFiles() {
+    return [...this.assets.entries()].map(([assetPath, content]) => ({
+      path: assetPath,
+      content
+    }));
+  }
+
+  /**
+   * Check whether a fallback entry is an absolute URL
+   * @param {string} value - Fallback entry
+   * @returns {boolean} True for http(s) URLs
+   */
+  static isUrl(value) {
+    return /^https?:\/\//i.test(value);
+  }
+}
+
+module.exports = { ImageService };
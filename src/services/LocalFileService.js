@@ -0,0 +1,89 @@
+const { Logger } = require('../helpers/Logger');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Service for reading and writing files in a local working copy, used by the CLI
+ * in place of GitHubService
+ */
+class LocalFileService {
+  /**
+   * @param {string} rootDir - Directory file paths are resolved against
+   */
+  constructor(rootDir = process.cwd()) {
+    this.logger = new Logger();
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Get local file content
+   * @param {string} filePath - File path relative to the root directory
+   * @param {Object} options - Read options
+   * @param {boolean} options.optional - The file need not exist; a missing file is not
+   * announced as a file to create
+   * @returns {string} File content, empty if the file does not exist
+   */
+  async getFileContent(filePath, { optional = false } = {}) {
+    const fullPath = path.resolve(this.rootDir, filePath);
+
+    try {
+      this.logger.debug(`Reading local file: ${fullPath}`);
+      return await fs.readFile(fullPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        if (!optional) {
+          this.logger.info(`File ${filePath} not found, will create new file`);
+        }
+        return '';
+      }
+
+      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the names of the files in a local directory
+   * @param {string} dirPath - Directory path relative to the root directory
+   * @returns {Array} File names, empty if the directory does not exist
+   */
+  async listFiles(dirPath) {
+    try {
+      const entries = await fs.readdir(path.resolve(this.rootDir, dirPath), {
+        withFileTypes: true
+      });
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+
+      throw new Error(`Failed to list directory ${dirPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write files to the local working copy
+   * @param {Array} files - Files to write, each with `path` and `content` (a string or Buffer),
+   * or with the `deleted` flag to remove the file
+   * @returns {Array} Paths of the written and removed files
+   */
+  async writeFiles(files) {
+    for (const file of files) {
+      const fullPath = path.resolve(this.rootDir, file.path);
+
+      if (file.deleted) {
+        await fs.rm(fullPath, { force: true });
+        this.logger.info(`Removed ${file.path}`);
+        continue;
+      }
+
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, file.content);
+      this.logger.info(`Wrote ${file.path}`);
+    }
+
+    return files.map(file => file.path);
+  }
+}
+
+module.exports = { LocalFileService };
@@ -0,0 +1,240 @@
+const { TemplateHelper } = require('../helpers/TemplateHelper');
+const { Logger } = require('../helpers/Logger');
+
+// Card height and the space between the card edge and its content, in pixels
+const CARD_HEIGHT = 120;
+const CARD_PADDING = 16;
+
+// Embedded thumbnail of a card with the cover and size it was drawn from
+const THUMBNAIL_PATTERN = /<image [^>]*data-cover="([^"]*)"[^>]*href="(data:[^"]*)"/;
+
+/**
+ * Service for generating SVG blog cards. GitHub shows SVG files exactly as drawn, so the
+ * cards look the same everywhere, unlike HTML styling which GitHub strips.
+ * Auto themes get a light and a dark card per post; the cover thumbnail is embedded because
+ * SVG files shown as images cannot load external resources.
+ */
+class SvgCardService {
+  /**
+   * @param {ImageService} imageService - Service used to find, download and store images
+   */
+  constructor(imageService) {
+    this.logger = new Logger();
+    this.imageService = imageService;
+    this.templateHelper = new TemplateHelper();
+  }
+
+  /**
+   * Create the cards of all posts and add them to the assets
+   * @param {Array} posts - Blog posts
+   * @param {Object} config - Section configuration
+   * @returns {Array} Copies of the posts with a `card` object holding the card path (`src`)
+   * and, for auto themes, the dark card path (`darkSrc`), relative to the target file
+   */
+  async createCards(posts, config) {
+    const withCards = [];
+
+    for (const post of posts) {
+      withCards.push({ ...post, card: await this.createCard(post, config) });
+    }
+
+    return withCards;
+  }
+
+  /**
+   * Create the cards of a post, one per color scheme of the theme. The file name of a card
+   * only changes with the layout options, so sections showing the same post with different
+   * layouts get cards of their own, and a card is rewritten in place when the post changes.
+   * The thumbnail embedded in the stored card is reused, so the cover is only downloaded
+   * when it changes.
+   * @param {Object} post - Blog post
+   * @param {Object} config - Section configuration
+   * @returns {Object} Card paths relative to the target file
+   */
+  async createCard(post, config) {
+    const source = this.imageService.findImageSource(post, config.coverFallback);
+    const formattedDate = this.templateHelper.formatPostDate(post, config);
+    const fields = this.templateHelper.buildPostFields(
+      { ...post, formattedDate },
+      this.templateHelper.getShowFields(config),
+      config.dateLocale
+    );
+    // Tags get a line of their own at the bottom of the card
+    const details = {
+      title: post.title,
+      meta: this.templateHelper.joinPostFields(fields.filter(({ field }) => field !== 'tags')),
+      tags: fields.find(({ field }) => field === 'tags')?.text || '',
+      coverUrl: source?.url || ''
+    };
+    const { width, height } = this.getThumbnailSize(config);
+    const coverKey = details.coverUrl ? `${details.coverUrl} ${width}x${height}` : '';
+    const card = {};
+    let thumbnail;
+
+    for (const { name, palette: theme } of this.templateHelper.getThemeSchemes(config)) {
+      const assetPath = this.imageService.buildAssetPath(
+        config.assetsDir,
+        `${post.slug}-card-${name || config.theme}`,
+        this.getLayoutKey(theme, config),
+        'svg'
+      );
+      const stored = await this.imageService.readAsset(assetPath);
+
+      if (thumbnail === undefined) {
+        thumbnail =
+          this.findStoredThumbnail(stored, coverKey) ??
+          (await this.loadThumbnail(details.coverUrl, post, config));
+      }
+
+      const svg = this.generateCardSvg(details, thumbnail, theme, config, coverKey);
+
+      if (svg !== stored) {
+        this.imageService.addAsset(assetPath, svg);
+      }
+
+      this.imageService.referenceAsset(assetPath);
+      card[name === 'dark' ? 'darkSrc' : 'src'] = this.imageService.getRelativePath(
+        assetPath,
+        config.filename
+      );
+    }
+
+    return card;
+  }
+
+  /**
+   * Get the options that change how a card is laid out, apart from the post itself
+   * @param {Object} theme - Palette of the card
+   * @param {Object} config - Section configuration
+   * @returns {string} Layout key
+   */
+  getLayoutKey(theme, config) {
+    return JSON.stringify([
+      config.cardWidth,
+      config.imageWidth,
+      config.imageHeight,
+      this.templateHelper.getShowFields(config),
+      config.dateFormat,
+      config.dateLocale,
+      config.timezone,
+      theme
+    ]);
+  }
+
+  /**
+   * Find the thumbnail embedded in a stored card, if it was drawn from the same cover
+   * @param {string} svg - Stored card, empty if there is none
+   * @param {string} coverKey - Cover URL and thumbnail size of the card to draw
+   * @returns {string|null} Data URI, null when the cover has to be downloaded
+   */
+  findStoredThumbnail(svg, coverKey) {
+    const match = THUMBNAIL_PATTERN.exec(svg);
+
+    return coverKey && match?.[1] === this.templateHelper.escapeHtml(coverKey) ? match[2] : null;
+  }
+
+  /**
+   * Download the cover thumbnail of a post as a data URI
+   * @param {string} url - Cover image URL, empty when the post has no remote image
+   * @param {Object} post - Blog post
+   * @param {Object} config - Section configuration
+   * @returns {string|null} Data URI, null when the card is drawn without a thumbnail
+   */
+  async loadThumbnail(url, post, config) {
+    if (!url) {
+      return null;
+    }
+
+    const { width, height } = this.getThumbnailSize(config);
+
+    try {
+      // Twice the displayed size keeps the thumbnail sharp on high density screens
+      const image = await this.imageService.downloadImage(url, width * 2, height * 2);
+      return `data:image/jpeg;base64,${image.toString('base64')}`;
+    } catch (error) {
+      this.logger.warn(
+        `Could not embed the cover of "${post.title}", the card has no thumbnail: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Get the thumbnail size: as high as the card content, with the aspect ratio of
+   * image_width×image_height and at most a third of the card width
+   * @param {Object} config - Section configuration
+   * @returns {Object} Width and height in pixels
+   */
+  getThumbnailSize(config) {
+    const height = CARD_HEIGHT - CARD_PADDING * 2;
+    const width = Math.min(
+      Math.round((height * config.imageWidth) / config.imageHeight),
+      Math.round(config.cardWidth / 3)
+    );
+
+    return { width, height };
+  }
+
+  /**
+   * Generate the SVG markup of a card
+   * @param {Object} details - Title, metadata line, tags line and cover URL
+   * @param {string|null} thumbnail - Cover thumbnail data URI
+   * @param {Object} theme - Theme palette from TemplateHelper.resolveTheme
+   * @param {Object} config - Section configuration
+   * @param {string} coverKey - Cover URL and size the thumbnail was drawn from, stored with
+   * the thumbnail so later runs can reuse it
+   * @returns {string} SVG markup
+   */
+  generateCardSvg(details, thumbnail, theme, config, coverKey = '') {
+    const width = config.cardWidth;
+    const radius = parseInt(theme.borderRadius, 10) || 0;
+    const fontSize = parseInt(theme.fontSize, 10) || 14;
+    const titleSize = Math.round(fontSize * 1.15);
+    const smallSize = Math.round(fontSize * 0.85);
+    const thumb = this.getThumbnailSize(config);
+    const textX = CARD_PADDING + (thumbnail ? thumb.width + CARD_PADDING : 0);
+    // Rough average glyph width of a sans-serif font
+    const charsPerLine = size =>
+      Math.max(1, Math.floor((width - textX - CARD_PADDING) / (size * 0.55)));
+
+    const titleLines = this.templateHelper.wrapText(details.title, charsPerLine(titleSize), 2);
+    const metaY = CARD_PADDING + titleSize * 1.25 * titleLines.length + smallSize * 0.6;
+    const meta = this.templateHelper.truncateText(details.meta, charsPerLine(smallSize) - 1, '…');
+    const tags = this.templateHelper.truncateText(details.tags, charsPerLine(smallSize) - 1, '…');
+    const text = value => this.templateHelper.escapeHtml(value);
+
+    const elements = [
+      `<rect x="0.5" y="0.5" width="${width - 1}" height="${CARD_HEIGHT - 1}" rx="${radius}" fill="${text(theme.backgroundColor)}" stroke="${text(theme.borderColor)}" />`
+    ];
+
+    if (thumbnail) {
+      elements.push(
+        `<clipPath id="thumbnail"><rect x="${CARD_PADDING}" y="${CARD_PADDING}" width="${thumb.width}" height="${thumb.height}" rx="${Math.round(radius * 0.75)}" /></clipPath>`,
+        `<image x="${CARD_PADDING}" y="${CARD_PADDING}" width="${thumb.width}" height="${thumb.height}" preserveAspectRatio="xMidYMid slice" clip-path="url(#thumbnail)" data-cover="${text(coverKey)}" href="${thumbnail}" />`
+      );
+    }
+
+    titleLines.forEach((line, index) => {
+      elements.push(
+        `<text x="${textX}" y="${Math.round(CARD_PADDING + titleSize + index * titleSize * 1.25)}" font-size="${titleSize}" font-weight="600" fill="${text(theme.primaryColor)}">${text(line)}</text>`
+      );
+    });
+
+    elements.push(
+      `<text x="${textX}" y="${Math.round(metaY + smallSize)}" font-size="${smallSize}" fill="${text(theme.secondaryColor)}">${text(meta)}</text>`
+    );
+
+    if (tags) {
+      elements.push(
+        `<text x="${textX}" y="${CARD_HEIGHT - CARD_PADDING}" font-size="${smallSize}" fill="${text(theme.secondaryColor)}">${text(tags)}</text>`
+      );
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${CARD_HEIGHT}" viewBox="0 0 ${width} ${CARD_HEIGHT}" font-family="${text(theme.fontFamily)}">
+  ${elements.join('\n  ')}
+</svg>
+`;
+  }
+}
+
+module.exports = { SvgCardService };
@@ -1,5 +1,11 @@
 const { TemplateHelper } = require('../helpers/TemplateHelper');
 const { Logger } = require('../helpers/Logger');
+const { GitHubTemplateService } = require('./GitHubTemplateService');
+
+// Formats that show the post authors as a byline with avatars rather than in the metadata line
+const BYLINE_FORMATS = ['card', 'stacked-left', 'stacked-right'];
+
+const isAuthorField = ({ field }) => field === 'author';
 
 /**
  * Service for generating content templates
@@ -8,6 +14,7 @@ class TemplateService {
   constructor() {
     this.logger = new Logger();
     this.templateHelper = new TemplateHelper();
+    this.githubTemplateService = new GitHubTemplateService();
   }
 
   /**
@@ -28,21 +35,135 @@ class TemplateService {
     // Process posts (truncate description, format dates, etc.)
     const processedPosts = posts.map(post => this.processPost(post, config));
 
-    switch (config.displayFormat) {
-      case 'card':
-        return this.generateCards(processedPosts, config);
-      case 'stacked-left':
-        return this.generateStackedCards(processedPosts, config, 'left');
-      case 'stacked-right':
-        return this.generateStackedCards(processedPosts, config, 'right');
-      case 'list':
-        return this.generateList(processedPosts, config);
-      case 'table':
-        return this.generateTable(processedPosts, config);
-      default:
-        this.logger.warn(`Unknown display format: ${config.displayFormat}, using stacked-left`);
-        return this.generateStackedCards(processedPosts, config, 'left');
+    // GitHub strips inline styles, so the GitHub target uses its own Markdown-based renderers
+    if (config.renderTarget === 'github' && config.displayFormat !== 'custom') {
+      return this.githubTemplateService.generateContent(processedPosts, config);
+    }
+
+    // Markup-only formats are identical for both render targets
+    const markupOnly = () => this.githubTemplateService.generateContent(processedPosts, config);
+    const generators = {
+      card: () => this.generateCards(processedPosts, config),
+      'stacked-left': () => this.generateStackedCards(processedPosts, config, 'left'),
+      'stacked-right': () => this.generateStackedCards(processedPosts, config, 'right'),
+      list: () => this.generateList(processedPosts, config),
+      table: () => this.generateTable(processedPosts, config),
+      custom: () => this.generateCustomFormat(processedPosts, config),
+      compact: markupOnly,
+      grid: markupOnly,
+      'svg-card': markupOnly
+    };
+    const generate = generators[config.displayFormat];
+
+    if (!generate) {
+      this.logger.warn(`Unknown display format: ${config.displayFormat}, using stacked-left`);
+      return generators['stacked-left']();
+    }
+
+    return generate();
+  }
+
+  /**
+   * Generate content grouped by series: a heading per series, followed by its posts in
+   * the configured display format. Series without posts to show are left out.
+   * @param {Array} seriesList - Series with their posts, from HashnodeService.fetchSeries
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated content
+   */
+  generateSeriesContent(seriesList, config) {
+    return this.generateGroups(
+      seriesList.map(series => ({
+        heading: this.generateSeriesHeading(series, config),
+        posts: series.posts
+      })),
+      config
+    );
+  }
+
+  /**
+   * Generate content grouped by author: a heading per author with their avatar and profile
+   * link, followed by their posts in the configured display format. Co-authored posts are
+   * grouped under their main author, and authors are ordered by their first post.
+   * @param {Array} posts - Blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated content
+   */
+  generateAuthorContent(posts, config) {
+    const groups = new Map();
+
+    for (const post of posts) {
+      const key = post.author?.username || post.author?.name || '';
+
+      if (!groups.has(key)) {
+        groups.set(key, { author: post.author, posts: [] });
+      }
+
+      groups.get(key).posts.push(post);
+    }
+
+    return this.generateGroups(
+      [...groups.values()].map(group => ({
+        heading: this.generateAuthorHeading(group.author, group.posts.length),
+        posts: group.posts
+      })),
+      config
+    );
+  }
+
+  /**
+   * Generate the heading of an author group
+   * @param {Object} author - Author of the group
+   * @param {number} postCount - Number of posts in the group
+   * @returns {string} Markdown heading
+   */
+  generateAuthorHeading(author, postCount) {
+    const byline = this.templateHelper.generateByline({ author }, { markdown: true });
+
+    return `### ${byline || 'Unknown Author'}\n\n_${postCount} post${postCount === 1 ? '' : 's'}_`;
+  }
+
+  /**
+   * Generate grouped content: each group heading followed by the group's posts in the
+   * configured display format. Groups without posts are left out.
+   * @param {Array} groups - Groups with a `heading` and `posts`
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated content
+   */
+  generateGroups(groups, config) {
+    const nonEmpty = groups.filter(group => group.posts.length > 0);
+
+    if (nonEmpty.length === 0) {
+      return config.noPostsMessage || 'No blog posts found.';
     }
+
+    return nonEmpty
+      .map(group => `${group.heading}\n\n${this.generateContent(group.posts, config)}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Generate the heading of a series group: the linked series name, its number of parts
+   * and, when set, its description
+   * @param {Object} series - Series with its posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Markdown heading
+   */
+  generateSeriesHeading(series, config) {
+    const name = this.templateHelper.escape(series.name, 'md');
+    const title = series.url
+      ? `[${name}](${this.templateHelper.escape(series.url, 'mdurl')})`
+      : name;
+    const parts = `${series.totalParts} part${series.totalParts === 1 ? '' : 's'}`;
+    const progress =
+      series.posts.length < series.totalParts ? `${series.posts.length} of ${parts}` : parts;
+    const description = this.templateHelper.truncateText(
+      series.description,
+      config.descriptionLength
+    );
+
+    return [`### 📚 ${title}`, `_${progress}_`, this.templateHelper.escape(description, 'md')]
+      .filter(line => line)
+      .join('\n\n');
   }
 
   /**
@@ -54,14 +175,36 @@ class TemplateService {
   processPost(post, config) {
     const processed = { ...post };
 
+    // Format dates with the configured format, locale and timezone
+    processed.formattedDate = this.templateHelper.formatPostDate(post, config);
+
     // Truncate description
     if (processed.description && processed.description.length > config.descriptionLength) {
       processed.description = processed.description.substring(0, config.descriptionLength) + '...';
     }
 
-    // Ensure we have a fallback image
-    if (!processed.coverImage) {
-      processed.coverImage = 'https://via.placeholder.com/400x200/4F46E5/FFFFFF?text=Blog+Post';
+    // Metadata line of the selected fields, and the same without the date for formats
+    // that show the date on its own
+    const fields = this.templateHelper.buildPostFields(
+      processed,
+      this.templateHelper.getShowFields(config),
+      config.dateLocale
+    );
+    processed.meta = this.templateHelper.joinPostFields(fields);
+    processed.details = this.templateHelper.joinPostFields(
+      fields.filter(({ field }) => field !== 'date')
+    );
+    processed.byline = '';
+
+    // Card formats show the authors as a byline with avatars and profile links instead
+    if (BYLINE_FORMATS.includes(config.displayFormat) && fields.some(isAuthorField)) {
+      processed.meta = this.templateHelper.joinPostFields(
+        fields.filter(field => !isAuthorField(field))
+      );
+      processed.byline = this.templateHelper.generateByline(processed, {
+        styled: config.renderTarget !== 'github',
+        markdown: config.renderTarget === 'github'
+      });
     }
 
     return processed;
@@ -74,19 +217,27 @@ class TemplateService {
    * @returns {string} Generated card content
    */
   generateCards(posts, config) {
-    const cards = posts.map(post => {
+    const customCss = this.templateHelper.escapeAttribute(config.customCss);
+    const { theme, stylesheet } = this.getThemeStyles(config);
+    const cards = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const imageElement = post.coverImage
+        ? `<img src="${post.coverImage}" alt="${post.title}" style="width: 100%; height: 200px; object-fit: cover; border-radius: 6px; margin-bottom: 12px;" />\n  `
+        : '';
+      const byline = item.byline
+        ? `<p style="margin: 0 0 8px 0; color: ${theme.textColor}; font-size: 14px;">${item.byline}</p>\n  `
+        : '';
       return `
-<div style="border: 1px solid #e1e5e9; border-radius: 8px; padding: 16px; margin: 16px 0; max-width: ${config.cardWidth}px; ${config.customCss}">
-  <img src="${post.coverImage}" alt="${post.title}" style="width: 100%; height: 200px; object-fit: cover; border-radius: 6px; margin-bottom: 12px;" />
-  <h3 style="margin: 0 0 8px 0; font-size: 18px;">
-    <a href="${post.url}" style="text-decoration: none; color: #1a1a1a;">${post.title}</a>
+<div style="border: 1px solid ${theme.borderColor}; border-radius: ${theme.borderRadius}; padding: 16px; margin: 16px 0; max-width: ${config.cardWidth}px; background-color: ${theme.backgroundColor}; ${customCss}">
+  ${imageElement}<h3 style="margin: 0 0 8px 0; font-size: 18px;">
+    <a href="${post.url}" style="text-decoration: none; color: ${theme.primaryColor};">${post.title}</a>
   </h3>
-  <p style="margin: 0 0 8px 0; color: #6b7280; font-size: 14px;">${post.formattedDate}</p>
-  <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.5;">${post.description}</p>
+  ${byline}<p style="margin: 0 0 8px 0; color: ${theme.secondaryColor}; font-size: 14px;">${post.meta}</p>
+  <p style="margin: 0; color: ${theme.textColor}; font-size: 14px; line-height: 1.5;">${post.description}</p>
 </div>`.trim();
     });
 
-    return cards.join('\n\n');
+    return [stylesheet, ...cards].filter(part => part).join('\n\n');
   }
 
   /**
@@ -97,31 +248,39 @@ class TemplateService {
    * @returns {string} Generated stacked card content
    */
   generateStackedCards(posts, config, imagePosition = 'left') {
-    const cards = posts.map(post => {
-      const imageElement = `<img src="${post.coverImage}" alt="${post.title}" style="width: ${config.imageWidth}px; height: ${config.imageHeight}px; object-fit: cover; border-radius: 6px;" />`;
+    const customCss = this.templateHelper.escapeAttribute(config.customCss);
+    const { theme, stylesheet } = this.getThemeStyles(config);
+    const cards = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const imageElement = post.coverImage
+        ? `<img src="${post.coverImage}" alt="${post.title}" style="width: ${config.imageWidth}px; height: ${config.imageHeight}px; object-fit: cover; border-radius: 6px;" />`
+        : '';
+      const byline = item.byline
+        ? `<p style="margin: 0 0 4px 0; color: ${theme.textColor}; font-size: 12px;">${item.byline}</p>\n  `
+        : '';
 
       const contentElement = `
 <div style="flex: 1;">
   <h3 style="margin: 0 0 4px 0; font-size: 16px;">
-    <a href="${post.url}" style="text-decoration: none; color: #1a1a1a;">${post.title}</a>
+    <a href="${post.url}" style="text-decoration: none; color: ${theme.primaryColor};">${post.title}</a>
   </h3>
-  <p style="margin: 0 0 4px 0; color: #6b7280; font-size: 12px;">${post.formattedDate}</p>
-  <p style="margin: 0; color: #4b5563; font-size: 13px; line-height: 1.4;">${post.description}</p>
+  ${byline}<p style="margin: 0 0 4px 0; color: ${theme.secondaryColor}; font-size: 12px;">${post.meta}</p>
+  <p style="margin: 0; color: ${theme.textColor}; font-size: 13px; line-height: 1.4;">${post.description}</p>
 </div>`.trim();
 
       const flexDirection = imagePosition === 'left' ? 'row' : 'row-reverse';
       const gap = imagePosition === 'left' ? '0 12px 0 0' : '0 0 0 12px';
+      const imageWrapper = imageElement
+        ? `<div style="margin: ${gap};">\n    ${imageElement}\n  </div>\n  `
+        : '';
 
       return `
-<div style="display: flex; flex-direction: ${flexDirection}; align-items: flex-start; padding: 12px; border: 1px solid #e1e5e9; border-radius: 8px; margin: 8px 0; ${config.customCss}">
-  <div style="margin: ${gap};">
-    ${imageElement}
-  </div>
-  ${contentElement}
+<div style="display: flex; flex-direction: ${flexDirection}; align-items: flex-start; padding: 12px; border: 1px solid ${theme.borderColor}; border-radius: ${theme.borderRadius}; margin: 8px 0; background-color: ${theme.backgroundColor}; ${customCss}">
+  ${imageWrapper}${contentElement}
 </div>`.trim();
     });
 
-    return cards.join('\n\n');
+    return [stylesheet, ...cards].filter(part => part).join('\n\n');
   }
 
   /**
@@ -131,8 +290,12 @@ class TemplateService {
    * @returns {string} Generated list content
    */
   generateList(posts, config) {
-    const listItems = posts.map(post => {
-      return `- **${post.formattedDate}**: [${post.title}](${post.url})`;
+    const showDate = this.templateHelper.getShowFields(config).includes('date');
+    const listItems = posts.map(item => {
+      const post = this.templateHelper.escapePost(item, 'md');
+      const date = showDate ? `**${post.formattedDate}**: ` : '';
+      const details = post.details ? ` · ${post.details}` : '';
+      return `- ${date}[${post.title}](${post.url})${details}`;
     });
 
     return listItems.join('\n');
@@ -145,52 +308,85 @@ class TemplateService {
    * @returns {string} Generated table content
    */
   generateTable(posts, config) {
-    const tableStyle = `border-collapse: collapse; width: 100%; margin: 16px 0; ${config.customCss}`;
-    const thStyle =
-      'border: 1px solid #e1e5e9; padding: 12px; text-align: left; background-color: #f8f9fa; font-weight: 600;';
-    const tdStyle = 'border: 1px solid #e1e5e9; padding: 12px; vertical-align: top;';
+    const { theme, stylesheet } = this.getThemeStyles(config);
+    const tableStyle = `border-collapse: collapse; width: 100%; margin: 16px 0; background-color: ${theme.backgroundColor}; ${this.templateHelper.escapeAttribute(config.customCss)}`;
+    const thStyle = `border: 1px solid ${theme.borderColor}; padding: 12px; text-align: left; background-color: ${theme.surfaceColor}; color: ${theme.primaryColor}; font-weight: 600;`;
+    const tdStyle = `border: 1px solid ${theme.borderColor}; padding: 12px; vertical-align: top; color: ${theme.textColor};`;
+
+    const showDate = this.templateHelper.getShowFields(config).includes('date');
+    const headers = [...(showDate ? ['Date'] : []), 'Image', 'Title & Description'];
 
     const headerRow = `<tr>
-        <th style="${thStyle}">Date</th>
-        <th style="${thStyle}">Image</th>
-        <th style="${thStyle}">Title & Description</th>
+        ${headers.map(header => `<th style="${thStyle}">${header}</th>`).join('\n        ')}
       </tr>`;
 
-    const rows = posts.map(post => {
-      const imageCell = `<img src="${post.coverImage}" alt="${post.title}" style="width: ${config.imageWidth}px; height: ${config.imageHeight}px; object-fit: cover; border-radius: 4px;" />`;
-      const titleCell = `<a href="${post.url}" style="text-decoration: none; color: #1a1a1a; font-weight: 600;">${post.title}</a><br/><span style="color: #6b7280; font-size: 14px;">${post.description}</span>`;
+    const rows = posts.map(item => {
+      const post = this.templateHelper.escapePost(item);
+      const imageCell = post.coverImage
+        ? `<img src="${post.coverImage}" alt="${post.title}" style="width: ${config.imageWidth}px; height: ${config.imageHeight}px; object-fit: cover; border-radius: 4px;" />`
+        : '';
+      const titleCell = `<a href="${post.url}" style="text-decoration: none; color: ${theme.primaryColor}; font-weight: 600;">${post.title}</a><br/><span style="color: ${theme.secondaryColor}; font-size: 14px;">${post.description}</span>${post.details ? `<br/><span style="color: ${theme.secondaryColor}; font-size: 12px;">${post.details}</span>` : ''}`;
+      const cells = [...(showDate ? [post.formattedDate] : []), imageCell, titleCell];
 
       return `<tr>
-          <td style="${tdStyle}">${post.formattedDate}</td>
-          <td style="${tdStyle}">${imageCell}</td>
-          <td style="${tdStyle}">${titleCell}</td>
+          ${cells.map(cell => `<td style="${tdStyle}">${cell}</td>`).join('\n          ')}
         </tr>`;
     });
 
-    return `<table style="${tableStyle}">
+    const table = `<table style="${tableStyle}">
   <thead>
     ${headerRow}
   </thead>
   <tbody>
-    ${rows}
+    ${rows.join('\n    ')}
   </tbody>
 </table>`.trim();
+
+    return stylesheet ? `${stylesheet}\n\n${table}` : table;
   }
 
-  //   /**
-  //    * Generate custom format content using user-defined template
-  //    * @param {Array} posts - Processed blog posts
-  //    * @param {Object} config - Configuration object
-  //    * @param {string} template - Custom template string
-  //    * @returns {string} Generated content
-  //    */
-  //   generateCustomFormat(posts, config, template) {
-  //     return posts
-  //       .map(post => {
-  //         return this.templateHelper.replaceTemplateVariables(template, post, config);
-  //       })
-  //       .join('\n\n');
-  //   }
+  /**
+   * Get the theme values for inline styles, escaped for use in style attributes
+   * @param {Object} config - Configuration object
+   * @returns {Object} Escaped `theme` values and the `stylesheet` auto themes need
+   */
+  getThemeStyles(config) {
+    const { values, stylesheet } = this.templateHelper.buildThemeStyles(config);
+    const theme = Object.fromEntries(
+      Object.entries(values).map(([key, value]) => [
+        key,
+        this.templateHelper.escapeAttribute(value)
+      ])
+    );
+
+    return { theme, stylesheet };
+  }
+
+  /**
+   * Generate custom format content using user-defined templates
+   * @param {Array} posts - Processed blog posts
+   * @param {Object} config - Configuration object
+   * @returns {string} Generated content
+   */
+  generateCustomFormat(posts, config) {
+    const sharedContext = {
+      ...this.templateHelper.buildConfigContext(config),
+      postCount: posts.length,
+      posts
+    };
+
+    const items = posts.map(post =>
+      this.templateHelper.replaceTemplateVariables(config.customTemplate, post, config)
+    );
+    const separator = this.templateHelper.renderTemplate(
+      config.customSeparator ?? '\n\n',
+      sharedContext
+    );
+    const header = this.templateHelper.renderTemplate(config.customHeader, sharedContext);
+    const footer = this.templateHelper.renderTemplate(config.customFooter, sharedContext);
+
+    return [header, items.join(separator), footer].filter(part => part).join('\n');
+  }
 }
 
 module.exports = { TemplateService };
@@ -0,0 +1,305 @@
+const { GitHubService } = require('../GitHubService');
+
+/**
+ * Build a fake Git Data API. Trees are identified by their sorted entries, so applying
+ * entries a tree already has yields the same tree SHA, like on GitHub.
+ * @param {Object} branches - Head tree contents keyed by branch name
+ * @returns {Object} Fake octokit
+ */
+const createOctokit = branches => {
+  const trees = new Map();
+  const treeSha = files => {
+    const sha = `tree:${JSON.stringify(Object.entries(files).sort())}`;
+    trees.set(sha, files);
+    return sha;
+  };
+  const heads = Object.fromEntries(Object.keys(branches).map(branch => [branch, `${branch}-head`]));
+  const commits = Object.fromEntries(
+    Object.entries(branches).map(([branch, files]) => [heads[branch], treeSha(files)])
+  );
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+  return {
+    rest: {
+      git: {
+        getRef: jest.fn(({ ref }) => {
+          const branch = ref.replace('heads/', '');
+          return heads[branch]
+            ? Promise.resolve({ data: { object: { sha: heads[branch] } } })
+            : Promise.reject(notFound());
+        }),
+        getCommit: jest.fn(({ commit_sha: sha }) =>
+          Promise.resolve({ data: { tree: { sha: commits[sha] } } })
+        ),
+        createTree: jest.fn(({ base_tree: base, tree }) => {
+          const files = { ...trees.get(base) };
+
+          // GitHub rejects removing a path the base tree does not have
+          if (tree.some(entry => entry.sha === null && !(entry.path in files))) {
+            return Promise.reject(Object.assign(new Error('Invalid tree'), { status: 422 }));
+          }
+          tree.forEach(entry => {
+            if (entry.sha === null) {
+              delete files[entry.path];
+            } else {
+              files[entry.path] = entry.sha ? `blob:${entry.sha}` : entry.content;
+            }
+          });
+          return Promise.resolve({ data: { sha: treeSha(files) } });
+        }),
+        createBlob: jest.fn(({ content }) => Promise.resolve({ data: { sha: `sha-${content}` } })),
+        createCommit: jest.fn(() => Promise.resolve({ data: { sha: 'new-commit' } })),
+        // GitHub answers 422 when updating a missing branch
+        updateRef: jest.fn(({ ref }) =>
+          heads[ref.replace('heads/', '')]
+            ? Promise.resolve({ data: {} })
+            : Promise.reject(Object.assign(new Error('Reference does not exist'), { status: 422 }))
+        ),
+        createRef: jest.fn(() => Promise.resolve({ data: {} }))
+      }
+    }
+  };
+};
+
+describe('GitHubService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.GITHUB_REPOSITORY = 'owner/repo';
+    service = new GitHubService();
+  });
+
+  afterEach(() => {
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_REPOSITORY;
+    jest.restoreAllMocks();
+  });
+
+  describe('buildTreeEntry', () => {
+    beforeEach(() => {
+      service.octokit = createOctokit({ main: {} });
+    });
+
+    it('inlines text content', () => {
+      return service.buildTreeEntry({ path: 'README.md', content: 'posts' }).then(entry => {
+        expect(entry).toEqual({
+          path: 'README.md',
+          mode: '100644',
+          type: 'blob',
+          content: 'posts'
+        });
+        expect(service.octokit.rest.git.createBlob).not.toHaveBeenCalled();
+      });
+    });
+
+    it('uploads binary content as a base64 blob', () => {
+      const content = Buffer.from([0xff, 0xd8, 0xff]);
+
+      return service.buildTreeEntry({ path: 'assets/cover.jpg', content }).then(entry => {
+        expect(service.octokit.rest.git.createBlob).toHaveBeenCalledWith(
+          expect.objectContaining({ content: '/9j/', encoding: 'base64' })
+        );
+        expect(entry).toEqual({
+          path: 'assets/cover.jpg',
+          mode: '100644',
+          type: 'blob',
+          sha: 'sha-/9j/'
+        });
+      });
+    });
+
+    it('removes deleted files with a null SHA', () => {
+      return service.buildTreeEntry({ path: 'assets/old.jpg', deleted: true }).then(entry => {
+        expect(entry).toEqual({ path: 'assets/old.jpg', mode: '100644', type: 'blob', sha: null });
+      });
+    });
+  });
+
+  describe('commitFiles', () => {
+    it('commits every file in one commit on top of the branch head', () => {
+      service.octokit = createOctokit({
+        main: { 'README.md': 'old posts', 'assets/old.jpg': 'blob:old' }
+      });
+      const files = [
+        { path: 'README.md', content: 'new posts' },
+        { path: 'docs/blog.md', content: 'new posts' },
+        { path: 'assets/cover.jpg', content: Buffer.from('cover') },
+        { path: 'assets/old.jpg', deleted: true }
+      ];
+
+      return service.commitFiles(files, 'Update blog posts', { branch: 'main' }).then(sha => {
+        const { git } = service.octokit.rest;
+        const [[{ tree }]] = git.createCommit.mock.calls;
+
+        expect(sha).toBe('new-commit');
+        expect(git.createCommit).toHaveBeenCalledTimes(1);
+        expect(git.createCommit).toHaveBeenCalledWith(
+          expect.objectContaining({ message: 'Update blog posts', parents: ['main-head'] })
+        );
+        expect(JSON.parse(tree.replace('tree:', ''))).toEqual([
+          ['README.md', 'new posts'],
+          ['assets/cover.jpg', 'blob:sha-Y292ZXI='],
+          ['docs/blog.md', 'new posts']
+        ]);
+        expect(git.updateRef).toHaveBeenCalledWith(
+          expect.objectContaining({ ref: 'heads/main', sha: 'new-commit' })
+        );
+      });
+    });
+  });
+
+  describe('commitFiles to a pull request branch', () => {
+    const files = [{ path: 'README.md', content: 'new posts' }];
+    const options = { branch: 'blog-posts', baseBranch: 'main' };
+
+    it('creates the branch when it does not exist', () => {
+      service.octokit = createOctokit({ main: { 'README.md': 'old posts' } });
+
+      return service.commitFiles(files, 'Update', options).then(sha => {
+        expect(sha).toBe('new-commit');
+        expect(service.octokit.rest.git.createRef).toHaveBeenCalledWith(
+          expect.objectContaining({ ref: 'refs/heads/blog-posts', sha: 'new-commit' })
+        );
+      });
+    });
+
+    it('force-resets the branch when the files differ from it', () => {
+      service.octokit = createOctokit({
+        main: { 'README.md': 'old posts' },
+        'blog-posts': { 'README.md': 'older proposal' }
+      });
+
+      return service.commitFiles(files, 'Update', options).then(sha => {
+        expect(sha).toBe('new-commit');
+        expect(service.octokit.rest.git.updateRef).toHaveBeenCalledWith(
+          expect.objectContaining({ ref: 'heads/blog-posts', sha: 'new-commit', force: true })
+        );
+      });
+    });
+
+    it('skips the commit and the force-push when the branch already has the files', () => {
+      service.octokit = createOctokit({
+        main: { 'README.md': 'old posts' },
+        'blog-posts': { 'README.md': 'new posts' }
+      });
+
+      return service.commitFiles(files, 'Update', options).then(sha => {
+        expect(sha).toBe('blog-posts-head');
+        expect(service.octokit.rest.git.createCommit).not.toHaveBeenCalled();
+        expect(service.octokit.rest.git.updateRef).not.toHaveBeenCalled();
+        expect(service.octokit.rest.git.createRef).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('findUnchangedHead', () => {
+    const entries = [{ path: 'README.md', mode: '100644', type: 'blob', content: 'new posts' }];
+
+    it('returns the head of a branch that already has the entries', () => {
+      service.octokit = createOctokit({ 'blog-posts': { 'README.md': 'new posts' } });
+
+      return service
+        .findUnchangedHead('blog-posts', entries)
+        .then(sha => expect(sha).toBe('blog-posts-head'));
+    });
+
+    it('returns null for a missing branch or a branch the entries change', () => {
+      service.octokit = createOctokit({ 'blog-posts': { 'README.md': 'old posts' } });
+
+      return Promise.all([
+        service.findUnchangedHead('other', entries),
+        service.findUnchangedHead('blog-posts', entries)
+      ]).then(shas => expect(shas).toEqual([null, null]));
+    });
+
+    it('returns null when the branch lacks a file to delete', () => {
+      service.octokit = createOctokit({ 'blog-posts': { 'README.md': 'new posts' } });
+
+      return service
+        .findUnchangedHead('blog-posts', [
+          ...entries,
+          { path: 'assets/old.jpg', mode: '100644', type: 'blob', sha: null }
+        ])
+        .then(sha => expect(sha).toBe(null));
+    });
+
+    it('fails on other API errors', () => {
+      service.octokit = createOctokit({});
+      service.octokit.rest.git.getRef.mockRejectedValue(
+        Object.assign(new Error('Server Error'), { status: 500 })
+      );
+
+      return expect(service.findUnchangedHead('blog-posts', entries)).rejects.toThrow(
+        'Server Error'
+      );
+    });
+  });
+
+  describe('createOrUpdatePullRequest', () => {
+    const options = { head: 'blog-posts', base: 'main', title: 'Update', body: 'Changes' };
+    const pullRequest = { number: 7, node_id: 'PR_7', html_url: 'https://github.com/pull/7' };
+
+    beforeEach(() => {
+      jest.spyOn(service.logger, 'warn').mockImplementation(() => {});
+      service.octokit = {
+        rest: {
+          pulls: {
+            list: jest.fn(() => Promise.resolve({ data: [] })),
+            create: jest.fn(() => Promise.resolve({ data: pullRequest })),
+            update: jest.fn(() => Promise.resolve({ data: pullRequest }))
+          },
+          issues: { addLabels: jest.fn(() => Promise.resolve({ data: [] })) }
+        },
+        graphql: jest.fn(() => Promise.resolve({}))
+      };
+    });
+
+    it('opens a pull request with labels and auto-merge', () => {
+      return service
+        .createOrUpdatePullRequest({ ...options, labels: ['blog'], autoMerge: 'squash' })
+        .then(result => {
+          const { rest, graphql } = service.octokit;
+
+          expect(result).toEqual({ number: 7, url: 'https://github.com/pull/7' });
+          expect(rest.pulls.create).toHaveBeenCalledWith(
+            expect.objectContaining({ head: 'blog-posts', base: 'main', title: 'Update' })
+          );
+          expect(rest.issues.addLabels).toHaveBeenCalledWith(
+            expect.objectContaining({ issue_number: 7, labels: ['blog'] })
+          );
+          expect(graphql).toHaveBeenCalledWith(expect.any(String), {
+            pullRequestId: 'PR_7',
+            mergeMethod: 'SQUASH'
+          });
+        });
+    });
+
+    it('refreshes the open pull request of the branch', () => {
+      service.octokit.rest.pulls.list.mockResolvedValue({ data: [{ number: 7 }] });
+
+      return service.createOrUpdatePullRequest(options).then(() => {
+        const { rest, graphql } = service.octokit;
+
+        expect(rest.pulls.create).not.toHaveBeenCalled();
+        expect(rest.pulls.update).toHaveBeenCalledWith(
+          expect.objectContaining({ pull_number: 7, title: 'Update', body: 'Changes' })
+        );
+        expect(rest.issues.addLabels).not.toHaveBeenCalled();
+        expect(graphql).not.toHaveBeenCalled();
+      });
+    });
+
+    it('only warns when auto-merge cannot be enabled', () => {
+      service.octokit.graphql.mockRejectedValue(new Error('Auto merge is not allowed'));
+
+      return service.createOrUpdatePullRequest({ ...options, autoMerge: 'merge' }).then(result => {
+        expect(result.number).toBe(7);
+        expect(service.logger.warn).toHaveBeenCalledWith(
+          'Could not enable auto-merge for pull request #7: Auto merge is not allowed'
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,449 @@
+const moment = require('moment-timezone');
+const { HashnodeService } = require('../HashnodeService');
+
+/**
+ * Build a raw API post
+ * @param {number} number - Post number, higher numbers are newer
+ * @returns {Object} Raw post node
+ */
+const rawPost = number => ({
+  id: `p${number}`,
+  title: `Post ${number}`,
+  slug: `post-${number}`,
+  url: `https://blog.example.com/post-${number}`,
+  publishedAt: moment.utc('2026-01-01').add(number, 'days').toISOString(),
+  tags: number % 2 ? [{ name: 'Odd', slug: 'odd' }] : []
+});
+
+/**
+ * Build a GraphQL response with a page of publication posts
+ * @param {Array} numbers - Post numbers of the page
+ * @param {string|null} endCursor - Cursor of the next page, null for the last page
+ * @returns {Object} Axios response
+ */
+const postsPage = (numbers, endCursor = null) => ({
+  data: {
+    data: {
+      publication: {
+        url: 'https://blog.example.com',
+        posts: {
+          edges: numbers.map(number => ({ node: rawPost(number) })),
+          pageInfo: { hasNextPage: Boolean(endCursor), endCursor }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Build a GraphQL response with a page of the posts of a series
+ * @param {Array} numbers - Post numbers of the page, in series order
+ * @param {string|null} endCursor - Cursor of the next page, null for the last page
+ * @returns {Object} Axios response
+ */
+const seriesPage = (numbers, endCursor = null) => ({
+  data: {
+    data: {
+      publication: {
+        url: 'https://blog.example.com',
+        series: {
+          id: 's1',
+          name: 'Guide',
+          slug: 'guide',
+          posts: {
+            edges: numbers.map(number => ({ node: rawPost(number) })),
+            pageInfo: { hasNextPage: Boolean(endCursor), endCursor }
+          }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Numbers from `from` down to `to`, newest first like the API returns them
+ * @param {number} from - First number
+ * @param {number} to - Last number
+ * @returns {Array} Numbers
+ */
+const range = (from, to) => Array.from({ length: from - to + 1 }, (_, index) => from - index);
+
+describe('HashnodeService', () => {
+  let service;
+  let post;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new HashnodeService({ retryDelay: 0 });
+    post = jest.spyOn(service.client, 'post');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('fetchBlogPosts pagination', () => {
+    it('requests only the posts it needs from a single page', () => {
+      post.mockResolvedValueOnce(postsPage(range(50, 46), 'c1'));
+
+      return service.fetchBlogPosts('blog.example.com', 5).then(posts => {
+        expect(posts.map(item => item.id)).toEqual(['p50', 'p49', 'p48', 'p47', 'p46']);
+        expect(post).toHaveBeenCalledTimes(1);
+        expect(post.mock.calls[0][1].variables).toEqual({
+          host: 'blog.example.com',
+          first: 5,
+          after: null
+        });
+      });
+    });
+
+    it('follows cursors and asks for the remainder on the last page', () => {
+      post
+        .mockResolvedValueOnce(postsPage(range(50, 31), 'c1'))
+        .mockResolvedValueOnce(postsPage(range(30, 26), 'c2'));
+
+      return service.fetchBlogPosts('blog.example.com', 25).then(posts => {
+        expect(posts).toHaveLength(25);
+        expect(posts[24].id).toBe('p26');
+        expect(post.mock.calls.map(call => call[1].variables)).toEqual([
+          { host: 'blog.example.com', first: 20, after: null },
+          { host: 'blog.example.com', first: 5, after: 'c1' }
+        ]);
+      });
+    });
+
+    it('stops when the publication runs out of posts', () => {
+      post
+        .mockResolvedValueOnce(postsPage(range(30, 11), 'c1'))
+        .mockResolvedValueOnce(postsPage(range(10, 1)));
+
+      return service.fetchBlogPosts('blog.example.com', Infinity).then(posts => {
+        expect(posts).toHaveLength(30);
+        expect(post).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('stops when a page has no end cursor despite claiming a next page', () => {
+      const page = postsPage(range(20, 1));
+      page.data.data.publication.posts.pageInfo.hasNextPage = true;
+      post.mockResolvedValueOnce(page);
+
+      return service.fetchBlogPosts('blog.example.com', Infinity).then(posts => {
+        expect(posts).toHaveLength(20);
+        expect(post).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('requests full pages while filtering and keeps paginating for matches', () => {
+      post
+        .mockResolvedValueOnce(postsPage(range(40, 21), 'c1'))
+        .mockResolvedValueOnce(postsPage(range(20, 1), 'c2'));
+
+      return service
+        .fetchBlogPosts('blog.example.com', 12, { filter: item => item.tags.length > 0 })
+        .then(posts => {
+          expect(posts).toHaveLength(12);
+          expect(posts.every(item => Number(item.id.slice(1)) % 2 === 1)).toBe(true);
+          expect(post.mock.calls.map(call => call[1].variables.first)).toEqual([20, 20]);
+        });
+    });
+
+    it('stops once a page reaches posts published before publishedAfter', () => {
+      post
+        .mockResolvedValueOnce(postsPage(range(60, 41), 'c1'))
+        .mockResolvedValueOnce(postsPage(range(40, 21), 'c2'));
+
+      return service
+        .fetchBlogPosts('blog.example.com', Infinity, {
+          publishedAfter: moment.utc('2026-01-01').add(30, 'days')
+        })
+        .then(posts => {
+          expect(posts).toHaveLength(40);
+          expect(post).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('fails without retrying when the publication does not exist', () => {
+      post.mockResolvedValueOnce({ data: { data: { publication: null } } });
+
+      return expect(service.fetchBlogPosts('missing.example.com', 5))
+        .rejects.toThrow(/Publication .missing\.example\.com. not found/)
+        .then(() => expect(post).toHaveBeenCalledTimes(1));
+    });
+  });
+
+  describe('post metadata', () => {
+    it('queries the metadata and transforms it with defaults for missing values', () => {
+      const node = {
+        ...rawPost(1),
+        subtitle: 'A subtitle',
+        brief: 'About post 1',
+        updatedAt: '2026-02-01T00:00:00.000Z',
+        coverImage: { url: 'https://cdn.example.com/1.jpg' },
+        readTimeInMinutes: 8,
+        reactionCount: 3,
+        responseCount: 2,
+        views: 120,
+        series: { name: 'Guide', slug: 'guide' },
+        preferences: { isDelisted: true }
+      };
+      post.mockResolvedValueOnce(postsPage([]));
+
+      return service.fetchBlogPosts('blog.example.com', 1).then(() => {
+        const { query } = post.mock.calls[0][1];
+
+        for (const field of ['readTimeInMinutes', 'reactionCount', 'responseCount', 'views']) {
+          expect(query).toContain(field);
+        }
+        expect(service.transformPost(node)).toMatchObject({
+          subtitle: 'A subtitle',
+          description: 'About post 1',
+          updatedAt: '2026-02-01T00:00:00.000Z',
+          coverImage: 'https://cdn.example.com/1.jpg',
+          readTime: 8,
+          reactions: 3,
+          comments: 2,
+          views: 120,
+          series: { name: 'Guide', slug: 'guide' },
+          delisted: true
+        });
+        expect(service.transformPost(rawPost(2))).toMatchObject({
+          subtitle: '',
+          updatedAt: rawPost(2).publishedAt,
+          coverImage: '',
+          readTime: 0,
+          reactions: 0,
+          comments: 0,
+          views: 0,
+          series: null,
+          delisted: false
+        });
+      });
+    });
+  });
+
+  describe('fetchSeries', () => {
+    it('numbers parts in the order the series lists its posts, across pages', () => {
+      post.mockResolvedValueOnce(seriesPage([3, 1], 'c1')).mockResolvedValueOnce(seriesPage([2]));
+
+      return service.fetchSeries('blog.example.com', ['guide']).then(([series]) => {
+        expect(series).toMatchObject({
+          name: 'Guide',
+          url: 'https://blog.example.com/series/guide',
+          totalParts: 3
+        });
+        expect(series.posts.map(item => [item.id, item.part.number])).toEqual([
+          ['p3', 1],
+          ['p1', 2],
+          ['p2', 3]
+        ]);
+        expect(post.mock.calls[1][1].variables.after).toBe('c1');
+      });
+    });
+
+    it('filters posts after numbering the parts', () => {
+      post.mockResolvedValueOnce(seriesPage([4, 1, 2, 3]));
+      const filter = item => item.tags.length > 0;
+
+      return service.fetchSeries('blog.example.com', ['guide'], { filter }).then(([series]) => {
+        expect(series.totalParts).toBe(4);
+        expect(series.posts.map(item => [item.id, item.part])).toEqual([
+          ['p1', { number: 2, total: 4 }],
+          ['p3', { number: 4, total: 4 }]
+        ]);
+      });
+    });
+
+    it('fails when the series does not exist', () => {
+      post.mockResolvedValueOnce({ data: { data: { publication: { series: null } } } });
+
+      return expect(service.fetchSeries('blog.example.com', ['missing'])).rejects.toThrow(
+        /Series .missing. not found/
+      );
+    });
+  });
+
+  describe('retries', () => {
+    const query = 'query { publication { id } }';
+    let sleep;
+
+    /**
+     * Build an axios error for an HTTP error response
+     * @param {number} status - HTTP status
+     * @param {Object} headers - Response headers
+     * @returns {Error} Axios-like error
+     */
+    const httpError = (status, headers = {}) =>
+      Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, statusText: 'Error', headers, data: {} }
+      });
+
+    beforeEach(() => {
+      service = new HashnodeService({ maxRetries: 2, retryDelay: 1 });
+      post = jest.spyOn(service.client, 'post');
+      sleep = jest.spyOn(service, 'sleep').mockResolvedValue();
+    });
+
+    it('retries transient HTTP errors and returns the eventual data', () => {
+      post
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValueOnce({ data: { data: { publication: { id: 'pub' } } } });
+
+      return service.request(query, {}).then(data => {
+        expect(data).toEqual({ publication: { id: 'pub' } });
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(sleep).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('retries network errors without a response', () => {
+      post
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { request: {} }))
+        .mockResolvedValueOnce({ data: { data: { publication: null } } });
+
+      return service.request(query, {}).then(data => {
+        expect(data).toEqual({ publication: null });
+        expect(post).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('gives up after maxRetries retries with the last error', () => {
+      post.mockRejectedValue(httpError(502));
+
+      return expect(service.request(query, {}))
+        .rejects.toThrow('Hashnode API error: 502 - Error')
+        .then(() => {
+          expect(post).toHaveBeenCalledTimes(3);
+          expect(sleep).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('does not retry client errors', () => {
+      post.mockRejectedValue(httpError(400));
+
+      return expect(service.request(query, {}))
+        .rejects.toThrow('Hashnode API error: 400 - Error')
+        .then(() => {
+          expect(post).toHaveBeenCalledTimes(1);
+          expect(sleep).not.toHaveBeenCalled();
+        });
+    });
+
+    it('waits as long as Retry-After asks, capped at a minute', () => {
+      post
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '7' }))
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '3600' }))
+        .mockResolvedValueOnce({ data: { data: { publication: { id: 'pub' } } } });
+
+      return service.request(query, {}).then(() => {
+        expect(sleep.mock.calls.map(call => call[0])).toEqual([7000, 60000]);
+      });
+    });
+
+    it('doubles the backoff per attempt, jittered within its upper half', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect([0, 1, 2].map(attempt => service.getRetryDelay(attempt))).toEqual([500, 1000, 2000]);
+
+      Math.random.mockReturnValue(0.999);
+      expect(service.getRetryDelay(0)).toBeLessThan(1000);
+      expect(service.getRetryDelay(20)).toBeLessThanOrEqual(60000);
+    });
+
+    it('parses Retry-After as seconds or an HTTP date', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-01-01T00:00:00Z'));
+
+      expect(service.parseRetryAfter('2')).toBe(2000);
+      expect(service.parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT')).toBe(5000);
+      expect(service.parseRetryAfter('Wed, 31 Dec 2025 00:00:00 GMT')).toBe(0);
+      expect(service.parseRetryAfter('soon')).toBeNull();
+      expect(service.parseRetryAfter(undefined)).toBeNull();
+    });
+
+    it('retries rate-limited GraphQL errors but not invalid queries', () => {
+      post
+        .mockResolvedValueOnce({
+          data: { errors: [{ message: 'Slow down', extensions: { code: 'TOO_MANY_REQUESTS' } }] }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            errors: [{ message: 'Bad field', extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } }]
+          }
+        });
+
+      return expect(service.request(query, {}))
+        .rejects.toThrow('GraphQL errors: Bad field')
+        .then(() => expect(post).toHaveBeenCalledTimes(2));
+    });
+
+    it('returns partial data despite GraphQL errors', () => {
+      post.mockResolvedValueOnce({
+        data: { data: { publication: { id: 'pub' } }, errors: [{ message: 'Post failed' }] }
+      });
+
+      return service.request(query, {}).then(data => {
+        expect(data).toEqual({ publication: { id: 'pub' } });
+        expect(sleep).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('hashnode_token', () => {
+    const draftsPage = (drafts, endCursor = null) => ({
+      data: {
+        data: {
+          publication: {
+            url: 'https://blog.example.com',
+            scheduledDrafts: drafts && {
+              edges: drafts.map(([id, scheduledDate]) => ({
+                node: { id, title: `Draft ${id}`, slug: id, scheduledDate }
+              })),
+              pageInfo: { hasNextPage: Boolean(endCursor), endCursor }
+            }
+          }
+        }
+      }
+    });
+
+    it('sends the token and asks for the fields only the publication team can read', () => {
+      const authenticated = new HashnodeService({ token: 'secret-token' });
+      const request = jest.spyOn(authenticated.client, 'post').mockResolvedValueOnce(postsPage([]));
+      post.mockResolvedValueOnce(postsPage([]));
+
+      return Promise.all([
+        authenticated.fetchBlogPosts('blog.example.com', 1),
+        service.fetchBlogPosts('blog.example.com', 1)
+      ]).then(() => {
+        expect(authenticated.client.defaults.headers.Authorization).toBe('secret-token');
+        expect(request.mock.calls[0][1].query).toContain('isDelisted');
+        expect(service.client.defaults.headers.Authorization).toBeUndefined();
+        expect(post.mock.calls[0][1].query).not.toContain('isDelisted');
+      });
+    });
+
+    it('fetches scheduled drafts across pages, soonest first, linking to the publication', () => {
+      post
+        .mockResolvedValueOnce(draftsPage([['d2', '2026-03-02T09:00:00.000Z']], 'c1'))
+        .mockResolvedValueOnce(draftsPage([['d1', '2026-03-01T09:00:00.000Z']]));
+
+      return service.fetchScheduledPosts('blog.example.com').then(posts => {
+        expect(posts.map(item => item.id)).toEqual(['d1', 'd2']);
+        expect(posts[0]).toMatchObject({
+          scheduled: true,
+          url: 'https://blog.example.com',
+          publishedAt: '2026-03-01T09:00:00.000Z'
+        });
+        expect(post.mock.calls[1][1].variables.after).toBe('c1');
+      });
+    });
+
+    it('fails when the token cannot read the scheduled drafts', () => {
+      post.mockResolvedValueOnce(draftsPage(null));
+
+      return expect(service.fetchScheduledPosts('blog.example.com')).rejects.toThrow(
+        /check that hashnode_token belongs to a member of the publication/
+      );
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { ImageService } = require('../ImageService');
+
+describe('ImageService', () => {
+  describe('getUnusedAssetFiles', () => {
+    const stored = {
+      'assets/blog': ['post-1-0123abcd.jpg', 'post-2-89abcdef.svg', 'logo.png', 'hero-banner.jpg'],
+      'assets/other': ['post-3-deadbeef.jpg']
+    };
+    let service;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      service = new ImageService({ listFiles: dir => Promise.resolve(stored[dir] || []) });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('returns the generated assets no section references as deletions', () => {
+      service.addAssetsDir('assets/blog', 'README.md');
+      service.referenceAsset('assets/blog/post-1-0123abcd.jpg');
+
+      return service.getUnusedAssetFiles().then(unused => {
+        expect(unused).toEqual([{ path: 'assets/blog/post-2-89abcdef.svg', deleted: true }]);
+      });
+    });
+
+    it('normalizes paths and keeps files that were not generated', () => {
+      service.addAssetsDir('./assets/blog/', 'README.md');
+      service.referenceAsset('./assets/blog/post-1-0123abcd.jpg');
+
+      return service.getUnusedAssetFiles().then(unused => {
+        expect(unused.map(asset => asset.path)).toEqual(['assets/blog/post-2-89abcdef.svg']);
+      });
+    });
+
+    it('leaves directories alone that sections of several target files store images in', () => {
+      service.addAssetsDir('assets/blog', 'README.md');
+      service.addAssetsDir('assets/blog/', 'docs/blog.md');
+      service.referenceAsset('assets/blog/post-1-0123abcd.jpg');
+
+      return service.getUnusedAssetFiles().then(unused => expect(unused).toEqual([]));
+    });
+
+    it('leaves directories alone that unchanged sections store images in', () => {
+      service.addAssetsDir('assets/blog', 'README.md');
+      service.addAssetsDir('assets/other', 'docs/blog.md');
+      service.keepAssetsDir('./assets/other/');
+      service.referenceAsset('assets/blog/post-1-0123abcd.jpg');
+
+      return service.getUnusedAssetFiles().then(unused => {
+        expect(unused).toEqual([{ path: 'assets/blog/post-2-89abcdef.svg', deleted: true }]);
+      });
+    });
+
+    it('only removes unused assets from registered directories', () => {
+      service.addAssetsDir('assets/other', 'README.md');
+
+      return service.getUnusedAssetFiles().then(unused => {
+        expect(unused).toEqual([{ path: 'assets/other/post-3-deadbeef.jpg', deleted: true }]);
+      });
+    });
+
+    it('does not list missing asset directories as unused assets', () => {
+      service.addAssetsDir('assets/new', 'README.md');
+
+      return service.getUnusedAssetFiles().then(unused => expect(unused).toEqual([]));
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalFileService } = require('../LocalFileService');
+
+describe('LocalFileService', () => {
+  let rootDir;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-files-'));
+    fs.writeFileSync(path.join(rootDir, 'README.md'), '# Me\n');
+    service = new LocalFileService(rootDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('getFileContent', () => {
+    it('reads files relative to the root directory', () => {
+      return service.getFileContent('README.md').then(content => expect(content).toBe('# Me\n'));
+    });
+
+    it('returns an empty file for a missing path and announces it unless optional', () => {
+      return service
+        .getFileContent('docs/blog.md')
+        .then(content => {
+          expect(content).toBe('');
+          expect(console.log).toHaveBeenCalledWith(
+            expect.stringContaining('File docs/blog.md not found, will create new file')
+          );
+          console.log.mockClear();
+        })
+        .then(() => service.getFileContent('.github/hashnode-blog.yml', { optional: true }))
+        .then(content => {
+          expect(content).toBe('');
+          expect(console.log).not.toHaveBeenCalled();
+        });
+    });
+  });
+
+  describe('listFiles', () => {
+    it('lists only the files of a directory', () => {
+      fs.mkdirSync(path.join(rootDir, 'assets/blog/nested'), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, 'assets/blog/post-1-0123abcd.jpg'), '');
+
+      return Promise.all([service.listFiles('assets/blog'), service.listFiles('missing')]).then(
+        ([files, missing]) => {
+          expect(files).toEqual(['post-1-0123abcd.jpg']);
+          expect(missing).toEqual([]);
+        }
+      );
+    });
+  });
+
+  describe('writeFiles', () => {
+    it('writes text and binary files, creating directories, and removes deleted files', () => {
+      fs.writeFileSync(path.join(rootDir, 'old.jpg'), 'old');
+
+      return service
+        .writeFiles([
+          { path: 'README.md', content: '# Me\n\nPosts\n' },
+          { path: 'assets/blog/cover.jpg', content: Buffer.from([0xff, 0xd8]) },
+          { path: 'old.jpg', deleted: true },
+          { path: 'never-written.jpg', deleted: true }
+        ])
+        .then(written => {
+          expect(written).toEqual([
+            'README.md',
+            'assets/blog/cover.jpg',
+            'old.jpg',
+            'never-written.jpg'
+          ]);
+          expect(fs.readFileSync(path.join(rootDir, 'README.md'), 'utf8')).toBe('# Me\n\nPosts\n');
+          expect(fs.readFileSync(path.join(rootDir, 'assets/blog/cover.jpg'))).toEqual(
+            Buffer.from([0xff, 0xd8])
+          );
+          expect(fs.existsSync(path.join(rootDir, 'old.jpg'))).toBe(false);
+        });
+    });
+  });
+});
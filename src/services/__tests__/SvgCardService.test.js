@@ -0,0 +1,171 @@
+const { SvgCardService } = require('../SvgCardService');
+const { ImageService } = require('../ImageService');
+const { ConfigHelper } = require('../../helpers/ConfigHelper');
+
+const post = {
+  id: 'p1',
+  title: 'Hello SVG',
+  slug: 'hello-svg',
+  url: 'https://blog.example.com/hello-svg',
+  publishedAt: '2026-01-15T10:00:00.000Z',
+  coverImage: 'https://cdn.example.com/cover.png',
+  author: { name: 'Ann', username: 'ann' },
+  tags: [],
+  readTime: 3,
+  views: 10
+};
+
+const config = ConfigHelper.applyOverrides(
+  ConfigHelper.getConfig(() => undefined),
+  {
+    display_format: 'svg-card',
+    theme: 'github-auto',
+    assets_dir: 'assets/blog',
+    show_fields: ['date', 'views']
+  }
+);
+
+/**
+ * Create a card service whose repository holds the given files
+ * @param {Object} stored - File contents keyed by path
+ * @returns {SvgCardService} Card service with a stubbed image download
+ */
+const createService = stored => {
+  const imageService = new ImageService({
+    listFiles: dir =>
+      Promise.resolve(
+        Object.keys(stored)
+          .filter(file => file.startsWith(`${dir}/`))
+          .map(file => file.slice(dir.length + 1))
+      ),
+    getFileContent: file => Promise.resolve(stored[file] || '')
+  });
+  jest.spyOn(imageService, 'downloadImage').mockResolvedValue(Buffer.from('jpeg'));
+
+  return new SvgCardService(imageService);
+};
+
+/**
+ * Store the assets a service added as repository files
+ * @param {SvgCardService} service - Card service after creating cards
+ * @returns {Object} File contents keyed by path
+ */
+const storeAssets = service =>
+  Object.fromEntries(service.imageService.getAssetFiles().map(file => [file.path, file.content]));
+
+describe('SvgCardService', () => {
+  describe('createCard', () => {
+    it('stores one card per color scheme, named after the post and the layout', () => {
+      const service = createService({});
+
+      return service.createCard(post, config).then(card => {
+        expect(card.src).toMatch(/^assets\/blog\/hello-svg-card-light-[0-9a-f]{8}\.svg$/);
+        expect(card.darkSrc).toMatch(/^assets\/blog\/hello-svg-card-dark-[0-9a-f]{8}\.svg$/);
+        expect(Object.keys(storeAssets(service))).toEqual([card.src, card.darkSrc]);
+        expect(service.imageService.downloadImage).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('draws each scheme of an auto theme in its own palette', () => {
+      const service = createService({});
+
+      return service.createCard(post, config).then(card => {
+        const assets = storeAssets(service);
+
+        expect(assets[card.src]).toContain('fill="#ffffff" stroke="#e1e5e9"');
+        expect(assets[card.src]).toContain('font-weight="600" fill="#1a1a1a">Hello SVG</text>');
+        expect(assets[card.darkSrc]).toContain('fill="#0d1117" stroke="#3d444d"');
+        expect(assets[card.darkSrc]).toContain('font-weight="600" fill="#e6edf3">Hello SVG</text>');
+      });
+    });
+
+    it('stores a single card named after fixed themes, with custom colors applied', () => {
+      const service = createService({});
+      const fixed = {
+        ...config,
+        theme: 'high-contrast',
+        themeColors: { primary_color: '#4f46e5', dark: { primary_color: '#a5b4fc' } }
+      };
+
+      return service.createCard(post, fixed).then(card => {
+        const svg = storeAssets(service)[card.src];
+
+        expect(card.src).toMatch(/^assets\/blog\/hello-svg-card-high-contrast-[0-9a-f]{8}\.svg$/);
+        expect(card.darkSrc).toBeUndefined();
+        expect(svg).toContain('fill="#ffffff" stroke="#000000"');
+        expect(svg).toContain('font-weight="600" fill="#4f46e5">Hello SVG</text>');
+        expect(svg).toContain('fill="#1f1f1f">Jan 15, 2026');
+      });
+    });
+
+    it('gives sections with different layouts cards of their own', () => {
+      const service = createService({});
+      const narrow = { ...config, cardWidth: 400 };
+      const fewerFields = { ...config, showFields: ['date'] };
+
+      return Promise.all([
+        service.createCard(post, config),
+        service.createCard(post, narrow),
+        service.createCard(post, fewerFields)
+      ]).then(cards => {
+        expect(new Set(cards.map(card => card.src)).size).toBe(3);
+        expect(storeAssets(service)[cards[1].src]).toContain('width="400"');
+      });
+    });
+
+    it('adds nothing when the stored cards are unchanged', () => {
+      const first = createService({});
+
+      return first
+        .createCard(post, config)
+        .then(() => {
+          const second = createService(storeAssets(first));
+          return second.createCard(post, config).then(() => second);
+        })
+        .then(second => {
+          expect(second.imageService.getAssetFiles()).toEqual([]);
+          expect(second.imageService.downloadImage).not.toHaveBeenCalled();
+        });
+    });
+
+    it('rewrites changed cards under the same name and reuses the stored thumbnail', () => {
+      const first = createService({});
+
+      return first
+        .createCard(post, config)
+        .then(() => {
+          const second = createService(storeAssets(first));
+          return second.createCard({ ...post, views: 11 }, config).then(() => second);
+        })
+        .then(second => {
+          const assets = storeAssets(second);
+          const [light, dark] = Object.keys(storeAssets(first));
+
+          expect(Object.keys(assets)).toEqual([light, dark]);
+          expect(assets[light]).toContain('11 views');
+          expect(assets[light]).toContain(
+            `href="data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}"`
+          );
+          expect(second.imageService.downloadImage).not.toHaveBeenCalled();
+        });
+    });
+
+    it('downloads the cover again when it changed', () => {
+      const first = createService({});
+
+      return first
+        .createCard(post, config)
+        .then(() => {
+          const second = createService(storeAssets(first));
+          const newCover = { ...post, coverImage: 'https://cdn.example.com/new.png' };
+          return second.createCard(newCover, config).then(() => second);
+        })
+        .then(second => {
+          expect(second.imageService.downloadImage).toHaveBeenCalledTimes(1);
+          expect(second.imageService.downloadImage.mock.calls[0][0]).toBe(
+            'https://cdn.example.com/new.png'
+          );
+        });
+    });
+  });
+});
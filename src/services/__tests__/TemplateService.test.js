@@ -0,0 +1,433 @@
+const { TemplateService } = require('../TemplateService');
+const { SvgCardService } = require('../SvgCardService');
+const { ConfigHelper } = require('../../helpers/ConfigHelper');
+
+const HOSTILE_TEXT =
+  '<script>alert(1)</script> "><img src=x onerror=alert(1)> [x](javascript:alert(1)) | `code` {{title}}';
+
+const hostilePost = {
+  id: 'p1',
+  title: HOSTILE_TEXT,
+  subtitle: HOSTILE_TEXT,
+  description: HOSTILE_TEXT,
+  slug: 'hostile',
+  url: 'javascript:alert(1)',
+  publishedAt: '2026-01-15T10:00:00.000Z',
+  updatedAt: '2026-01-15T10:00:00.000Z',
+  coverImage: 'javascript:alert(2)',
+  author: {
+    name: '<i>Eve</i> "quoted"',
+    username: 'eve',
+    profilePicture: '" onload="alert(3)',
+    profileUrl: 'javascript:alert(4)'
+  },
+  coAuthors: [],
+  tags: [{ name: '<b>tag</b>', slug: 'x"><script>' }],
+  readTime: 3,
+  reactions: 1,
+  comments: 2,
+  views: 3,
+  series: { name: HOSTILE_TEXT, slug: 'series' },
+  card: { src: 'javascript:alert(5)', darkSrc: '"><script>alert(6)</script>' }
+};
+
+const FORMATS = ConfigHelper.getSupportedFormats();
+const TARGETS = ConfigHelper.getSupportedRenderTargets();
+
+// Formats that write post data as Markdown text rather than inside HTML blocks,
+// where GitHub does not parse Markdown
+const MARKDOWN_FORMATS = {
+  html: ['list'],
+  github: ['card', 'list', 'table']
+};
+
+/**
+ * Build a configuration with all post fields shown
+ * @param {Object} overrides - Options keyed by input name
+ * @returns {Object} Configuration object
+ */
+function createConfig(overrides) {
+  return ConfigHelper.applyOverrides(
+    ConfigHelper.getConfig(() => undefined),
+    {
+      show_fields: ConfigHelper.getSupportedFields(),
+      custom_template:
+        '<a href="{{url | url}}" title="{{title | attr}}">{{title}}</a> [{{title | md}}]({{url | mdurl}}) {{#each tags}}{{name}}{{/each}}',
+      ...overrides
+    }
+  );
+}
+
+/**
+ * Check that rendered output contains none of the injected markup or links
+ * @param {string} output - Rendered output
+ * @param {boolean} markdown - Whether post data is written as Markdown text
+ */
+function expectNoInjection(output, markdown = true) {
+  expect(output).not.toMatch(/<script/i);
+  expect(output).not.toMatch(/<img src=x/i);
+  expect(output).not.toMatch(/<i>Eve/);
+  expect(output).not.toMatch(/<b>tag/);
+  expect(output).not.toMatch(/\s(onerror|onload)="/i);
+  expect(output).not.toMatch(/(href|src)\s*=\s*["']?\s*javascript:/i);
+  if (markdown) {
+    // A Markdown link needs unescaped brackets outside of HTML tags, e.g. image alt texts
+    expect(output.replace(/<[^>]*>/g, '')).not.toMatch(/(?<!\\)\]\(javascript:/i);
+  }
+}
+
+describe('TemplateService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hostile post data', () => {
+    const templateService = new TemplateService();
+
+    for (const target of TARGETS) {
+      for (const format of FORMATS) {
+        it(`is escaped in the ${format} format for the ${target} target`, () => {
+          const output = templateService.generateContent(
+            [hostilePost],
+            createConfig({ display_format: format, render_target: target })
+          );
+
+          expect(output).not.toBe('');
+          expectNoInjection(output, MARKDOWN_FORMATS[target].includes(format));
+        });
+      }
+    }
+
+    it('is escaped in series headings', () => {
+      const output = templateService.generateSeriesContent(
+        [
+          {
+            name: HOSTILE_TEXT,
+            url: 'javascript:alert(1)',
+            description: HOSTILE_TEXT,
+            totalParts: 1,
+            posts: [hostilePost]
+          }
+        ],
+        createConfig({ display_format: 'list', series: 'all' })
+      );
+
+      expectNoInjection(output);
+    });
+
+    it('is escaped in author headings', () => {
+      const output = templateService.generateAuthorContent(
+        [hostilePost],
+        createConfig({ display_format: 'list', group_by: 'author' })
+      );
+
+      expectNoInjection(output);
+    });
+
+    it('is escaped in SVG cards', () => {
+      const svgCardService = new SvgCardService({});
+      const config = createConfig({ display_format: 'svg-card' });
+      const svg = svgCardService.generateCardSvg(
+        { title: HOSTILE_TEXT, meta: HOSTILE_TEXT, tags: '<b>tag</b>', coverUrl: '' },
+        null,
+        svgCardService.templateHelper.resolveTheme(config.theme),
+        config
+      );
+
+      expectNoInjection(svg, false);
+    });
+  });
+
+  describe('author groups', () => {
+    const templateService = new TemplateService();
+    const ann = { name: 'Ann', username: 'ann', profileUrl: 'https://hashnode.com/@ann' };
+    const bob = { name: 'Bob', username: 'bob', profileUrl: 'https://hashnode.com/@bob' };
+    const postBy = (slug, author, coAuthors = []) => ({
+      title: slug,
+      slug,
+      url: `https://blog.example.com/${slug}`,
+      publishedAt: '2026-01-15T10:00:00.000Z',
+      author,
+      coAuthors,
+      tags: []
+    });
+
+    it('groups co-authored posts under their main author, in order of the first post', () => {
+      const output = templateService.generateAuthorContent(
+        [postBy('first', bob), postBy('joint', ann, [bob]), postBy('second', bob)],
+        createConfig({ display_format: 'list', group_by: 'author', show_fields: 'author' })
+      );
+      const bobHeading = output.indexOf('@bob">Bob</a>\n\n_2 posts_');
+      const annHeading = output.indexOf('@ann">Ann</a>\n\n_1 post_');
+
+      expect(bobHeading).toBeGreaterThan(-1);
+      expect(annHeading).toBeGreaterThan(bobHeading);
+      expect(output.indexOf('/second')).toBeLessThan(annHeading);
+      expect(output.slice(annHeading)).toContain('[joint](https://blog.example.com/joint)');
+      expect(output).toContain('· by Ann &amp; Bob');
+    });
+
+    it('groups posts without an author under Unknown Author', () => {
+      const output = templateService.generateAuthorContent(
+        [postBy('orphan', null)],
+        createConfig({ display_format: 'list', group_by: 'author' })
+      );
+
+      expect(output).toContain('### Unknown Author\n\n_1 post_');
+    });
+  });
+
+  describe('custom format', () => {
+    const templateService = new TemplateService();
+    const posts = [
+      {
+        title: 'First',
+        url: 'https://blog.example.com/first',
+        publishedAt: '2026-01-15T10:00:00.000Z',
+        tags: [{ name: 'JS', slug: 'js' }]
+      },
+      {
+        title: 'Second',
+        url: 'https://blog.example.com/second',
+        publishedAt: '2026-01-10T10:00:00.000Z',
+        tags: []
+      }
+    ];
+
+    it('renders every post with the template between the header and footer', () => {
+      const output = templateService.generateContent(
+        posts,
+        createConfig({
+          display_format: 'custom',
+          custom_template:
+            '- [{{title | md}}]({{url | mdurl}}) {{formattedDate}}{{#each tags}} #{{slug}}{{/each}}',
+          custom_header: '{{postCount}} posts in {{sectionTitle}}',
+          custom_footer: '---',
+          custom_separator: '\\n',
+          section_title: 'Blog'
+        })
+      );
+
+      expect(output).toBe(
+        [
+          '2 posts in Blog',
+          '- [First](https://blog.example.com/first) Jan 15, 2026 #js',
+          '- [Second](https://blog.example.com/second) Jan 10, 2026',
+          '---'
+        ].join('\n')
+      );
+    });
+
+    it('separates posts by a blank line by default', () => {
+      const output = templateService.generateContent(
+        posts,
+        createConfig({ display_format: 'custom', custom_template: '{{title}}' })
+      );
+
+      expect(output).toBe('First\n\nSecond');
+    });
+  });
+
+  describe('themes', () => {
+    const templateService = new TemplateService();
+    const post = {
+      title: 'First',
+      description: 'About the first post',
+      url: 'https://blog.example.com/first',
+      publishedAt: '2026-01-15T10:00:00.000Z',
+      tags: []
+    };
+    const render = (format, theme, overrides = {}) =>
+      templateService.generateContent(
+        [post],
+        createConfig({
+          display_format: format,
+          render_target: 'html',
+          show_fields: 'date',
+          theme,
+          ...overrides
+        })
+      );
+    const { stylesheet } = templateService.templateHelper.buildThemeStyles({
+      theme: 'github-auto'
+    });
+
+    it('writes the palette of fixed themes into the card styles', () => {
+      expect(render('card', 'dark'))
+        .toBe(`<div style="border: 1px solid #3d444d; border-radius: 8px; padding: 16px; margin: 16px 0; max-width: 500px; background-color: #0d1117; ">
+  <h3 style="margin: 0 0 8px 0; font-size: 18px;">
+    <a href="https://blog.example.com/first" style="text-decoration: none; color: #e6edf3;">First</a>
+  </h3>
+  <p style="margin: 0 0 8px 0; color: #9198a1; font-size: 14px;">Jan 15, 2026</p>
+  <p style="margin: 0; color: #c9d1d9; font-size: 14px; line-height: 1.5;">About the first post</p>
+</div>`);
+    });
+
+    it('leads auto theme cards with the stylesheet and styles them with its variables', () => {
+      expect(render('card', 'github-auto')).toBe(`${stylesheet}
+
+<div style="border: 1px solid var(--blog-border-color, #e1e5e9); border-radius: var(--blog-border-radius, 8px); padding: 16px; margin: 16px 0; max-width: 500px; background-color: var(--blog-background-color, #ffffff); ">
+  <h3 style="margin: 0 0 8px 0; font-size: 18px;">
+    <a href="https://blog.example.com/first" style="text-decoration: none; color: var(--blog-primary-color, #1a1a1a);">First</a>
+  </h3>
+  <p style="margin: 0 0 8px 0; color: var(--blog-secondary-color, #6b7280); font-size: 14px;">Jan 15, 2026</p>
+  <p style="margin: 0; color: var(--blog-text-color, #4b5563); font-size: 14px; line-height: 1.5;">About the first post</p>
+</div>`);
+    });
+
+    it('themes stacked cards', () => {
+      const fixed = render('stacked-left', 'high-contrast');
+      const auto = render('stacked-right', 'github-auto');
+
+      expect(fixed).toMatch(
+        /^<div style="display: flex; flex-direction: row; align-items: flex-start; padding: 12px; border: 1px solid #000000; border-radius: 8px; margin: 8px 0; background-color: #ffffff; ">/
+      );
+      expect(fixed).toContain('style="text-decoration: none; color: #000000;">First</a>');
+      expect(fixed).toContain('<p style="margin: 0 0 4px 0; color: #1f1f1f; font-size: 12px;">');
+      expect(fixed).not.toContain('<style>');
+      expect(
+        auto.startsWith(`${stylesheet}\n\n<div style="display: flex; flex-direction: row-reverse;`)
+      ).toBe(true);
+      expect(auto).toContain(
+        'border: 1px solid var(--blog-border-color, #e1e5e9); border-radius: var(--blog-border-radius, 8px); margin: 8px 0; background-color: var(--blog-background-color, #ffffff);'
+      );
+      expect(auto).toContain(
+        '<p style="margin: 0; color: var(--blog-text-color, #4b5563); font-size: 13px; line-height: 1.4;">'
+      );
+    });
+
+    it('themes the table header, cells and links', () => {
+      const fixed = render('table', 'dark');
+      const auto = render('table', 'github-auto');
+
+      expect(fixed).toMatch(
+        /^<table style="border-collapse: collapse; width: 100%; margin: 16px 0; background-color: #0d1117; ">/
+      );
+      expect(fixed).toContain(
+        '<th style="border: 1px solid #3d444d; padding: 12px; text-align: left; background-color: #161b22; color: #e6edf3; font-weight: 600;">Date</th>'
+      );
+      expect(fixed).toContain(
+        '<td style="border: 1px solid #3d444d; padding: 12px; vertical-align: top; color: #c9d1d9;">Jan 15, 2026</td>'
+      );
+      expect(fixed).toContain(
+        '<span style="color: #9198a1; font-size: 14px;">About the first post</span>'
+      );
+      expect(auto.startsWith(`${stylesheet}\n\n<table style=`)).toBe(true);
+      expect(auto).toContain(
+        '<th style="border: 1px solid var(--blog-border-color, #e1e5e9); padding: 12px; text-align: left; background-color: var(--blog-surface-color, #f8f9fa); color: var(--blog-primary-color, #1a1a1a); font-weight: 600;">Date</th>'
+      );
+    });
+
+    it('renders the markup-only formats without colors', () => {
+      for (const format of ['list', 'compact', 'grid']) {
+        expect(render(format, 'dark')).toBe(render(format, 'light'));
+        expect(render(format, 'github-auto')).not.toMatch(/<style|var\(--blog/);
+      }
+    });
+
+    it('exposes the theme values and stylesheet to custom templates', () => {
+      const template = '<a style="color: {{theme.primaryColor}}">{{title}}</a>';
+
+      expect(render('custom', 'dark', { custom_template: template })).toBe(
+        '<a style="color: #e6edf3">First</a>'
+      );
+      expect(
+        render('custom', 'github-auto', {
+          custom_template: template,
+          custom_header: '{{{themeStylesheet}}}'
+        })
+      ).toBe(`${stylesheet}\n<a style="color: var(--blog-primary-color, #1a1a1a)">First</a>`);
+    });
+  });
+
+  describe('github render target', () => {
+    const templateService = new TemplateService();
+    const post = {
+      title: 'First',
+      description: 'About the first post',
+      url: 'https://blog.example.com/first',
+      coverImage: 'https://cdn.example.com/first.jpg',
+      publishedAt: '2026-01-15T10:00:00.000Z',
+      tags: [],
+      card: { src: 'assets/first-card-light.svg', darkSrc: 'assets/first-card-dark.svg' }
+    };
+    const render = (format, overrides = {}) =>
+      templateService.generateContent(
+        [post],
+        createConfig({ display_format: format, render_target: 'github', ...overrides })
+      );
+
+    it('renders every format without the inline styles GitHub strips', () => {
+      for (const format of FORMATS.filter(name => name !== 'custom')) {
+        const output = render(format);
+
+        expect(output).toContain('https://blog.example.com/first');
+        expect(output).not.toMatch(/style=|<style|<div/);
+      }
+    });
+
+    it('lays out cards with Markdown and the attributes GitHub keeps', () => {
+      expect(render('card')).toMatch(/^<a href=.*width="\d+" \/><\/a>\n\n### \[First\]\(/);
+      expect(render('stacked-left')).toMatch(/<tr>\n<td width="\d+" valign="top"><a href/);
+      expect(render('stacked-right')).toMatch(
+        /<\/td>\n<td width="\d+" valign="top"><a href[^\n]*\n<\/tr>/
+      );
+      expect(render('svg-card')).toContain(
+        '<source media="(prefers-color-scheme: dark)" srcset="assets/first-card-dark.svg" />'
+      );
+    });
+
+    it('gives posts without a cover a content cell across both stacked columns', () => {
+      const output = templateService.generateContent(
+        [{ ...post, coverImage: '' }],
+        createConfig({ display_format: 'stacked-right', render_target: 'github' })
+      );
+
+      expect(output).toMatch(/^<table>\n<tr>\n<td colspan="2" valign="top">\n<b><a href/);
+      expect(output).not.toContain('width=');
+    });
+
+    it('Markdown-escapes author names in bylines', () => {
+      const author = {
+        name: '*Ann* [x](https://evil.example.com) _b_',
+        profileUrl: 'https://hashnode.com/@ann'
+      };
+      const escaped = '\\*Ann\\* \\[x\\](https://evil.example.com) \\_b\\_';
+
+      for (const format of ['card', 'stacked-left']) {
+        const output = templateService.generateContent(
+          [{ ...post, author }],
+          createConfig({ display_format: format, render_target: 'github' })
+        );
+
+        expect(output).toContain(`<a href="https://hashnode.com/@ann">${escaped}</a>`);
+      }
+
+      expect(templateService.generateAuthorHeading(author, 1)).toBe(
+        `### <a href="https://hashnode.com/@ann">${escaped}</a>\n\n_1 post_`
+      );
+    });
+
+    it('keeps the custom template', () => {
+      expect(render('custom', { custom_template: '{{title}}' })).toBe('First');
+    });
+
+    it('falls back to stacked-left for unknown formats', () => {
+      const config = createConfig({ render_target: 'github' });
+      const { githubTemplateService } = templateService;
+      jest.spyOn(githubTemplateService.logger, 'warn').mockImplementation(() => {});
+
+      expect(githubTemplateService.generateContent([post], { ...config, displayFormat: 'x' })).toBe(
+        githubTemplateService.generateContent([post], { ...config, displayFormat: 'stacked-left' })
+      );
+      expect(githubTemplateService.logger.warn).toHaveBeenCalledWith(
+        'Unknown display format: x, using stacked-left'
+      );
+    });
+  });
+});